@@ -0,0 +1,89 @@
+// Servidor local para sesiones multiusuario: sirve los archivos del visor y
+// acepta WebSockets en /ws. Sin dependencias; necesita Node 20.19 o posterior.
+//
+//   node server/server.mjs [puerto]
+//
+// y abrir http://localhost:8080 en varias pestañas o equipos.
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, relative, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { acceptWebSocket } from './websocket.mjs';
+import { SessionRoom } from './sessionRoom.mjs';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const PORT = Number(process.argv[2] ?? process.env.PORT ?? 8080);
+const SOCKET_PATH = '/ws';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.glb': 'model/gltf-binary',
+    '.gltf': 'model/gltf+json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml'
+};
+
+// Lo que carga el navegador; el resto del repositorio (.git, server...) no se sirve
+const PUBLIC_FILES = ['index.html', 'main.js', 'style.css'];
+const PUBLIC_DIRS = ['src', 'models', 'levels', 'choreographies'];
+
+const room = new SessionRoom();
+
+function isPublic(file) {
+    const [first, ...rest] = relative(ROOT, file).split(sep);
+    return rest.length === 0 ? PUBLIC_FILES.includes(first) : PUBLIC_DIRS.includes(first);
+}
+
+// Archivos estáticos del visor (sin salir de ROOT)
+async function serveFile(request, response) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch {
+        response.writeHead(400).end('Petición no válida');
+        return;
+    }
+    const file = normalize(join(ROOT, pathname.endsWith('/') ? `${pathname}index.html` : pathname));
+
+    if (!file.startsWith(ROOT.endsWith(sep) ? ROOT : ROOT + sep) || !isPublic(file)) {
+        response.writeHead(403).end('Prohibido');
+        return;
+    }
+
+    try {
+        const data = await readFile(file);
+        response.writeHead(200, { 'Content-Type': MIME_TYPES[extname(file)] ?? 'application/octet-stream' });
+        response.end(data);
+    } catch {
+        response.writeHead(404).end('No encontrado');
+    }
+}
+
+const server = createServer((request, response) => {
+    serveFile(request, response).catch((error) => {
+        console.error('❌ Error sirviendo archivo:', error);
+        response.writeHead(500).end();
+    });
+});
+
+server.on('upgrade', (request, socket) => {
+    if (new URL(request.url, 'http://localhost').pathname !== SOCKET_PATH) {
+        socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+        return;
+    }
+
+    const connection = acceptWebSocket(request, socket);
+    if (!connection) return;
+
+    connection.on('message', (text) => room.receive(connection, text));
+    connection.on('close', () => room.leave(connection));
+});
+
+server.listen(PORT, () => {
+    console.log(`🌐 Visor en http://localhost:${PORT} · sesiones en ws://localhost:${PORT}${SOCKET_PATH}`);
+});
@@ -0,0 +1,87 @@
+// Sala compartida: asigna un id a cada jugador, guarda su último estado para
+// los que lleguen después y reenvía estados y acciones a los demás.
+// Las conexiones solo necesitan send(texto) y close(código, motivo).
+import { parseMessage, encodeMessage } from '../src/netProtocol.js';
+
+export const MAX_PLAYERS = 16;
+
+export class SessionRoom {
+    constructor() {
+        this.players = new Map();   // conexión → { id, name, state }
+        this.nextId = 1;
+    }
+
+    // Mensaje de texto recibido de `connection`
+    receive(connection, text) {
+        let message;
+        try {
+            message = parseMessage(text);
+        } catch {
+            this.sendError(connection, 'invalidMessage');
+            return;
+        }
+
+        const player = this.players.get(connection);
+
+        if (!player) {
+            if (message.type !== 'join') {
+                this.sendError(connection, 'notJoined');
+                return;
+            }
+            this.join(connection, message);
+            return;
+        }
+
+        switch (message.type) {
+            case 'state':
+                player.state = message.state;
+                this.broadcast(connection, { type: 'state', id: player.id, state: message.state });
+                break;
+            case 'action':
+                this.broadcast(connection, { type: 'action', id: player.id, action: message.action, on: message.on });
+                break;
+            default:
+                this.sendError(connection, 'unexpectedMessage');
+        }
+    }
+
+    join(connection, { name, state }) {
+        if (this.players.size >= MAX_PLAYERS) {
+            this.sendError(connection, 'roomFull');
+            connection.close(1008, 'Sala llena');
+            return;
+        }
+
+        const player = { id: this.nextId++, name: name.trim() || `Jugador ${this.nextId - 1}`, state };
+        const peers = [...this.players.values()].map(({ id, name, state }) => ({ id, name, state }));
+
+        this.players.set(connection, player);
+        connection.send(encodeMessage({ type: 'welcome', id: player.id, peers }));
+        this.broadcast(connection, { type: 'join', id: player.id, name: player.name, state });
+        console.log(`👋 ${player.name} (#${player.id}) se ha unido · ${this.players.size} en la sala`);
+    }
+
+    leave(connection) {
+        const player = this.players.get(connection);
+        if (!player) return;
+
+        this.players.delete(connection);
+        this.broadcast(connection, { type: 'leave', id: player.id });
+        console.log(`🚪 ${player.name} (#${player.id}) se ha ido · ${this.players.size} en la sala`);
+    }
+
+    // Error con uno de ERROR_CODES (netProtocol.js): el cliente lo traduce
+    sendError(connection, code) {
+        connection.send(encodeMessage({ type: 'error', code }));
+    }
+
+    // Enviar a todos menos a `sender`
+    broadcast(sender, message) {
+        const text = encodeMessage(message);
+        this.players.forEach((player, connection) => {
+            if (connection !== sender) {
+                connection.send(text);
+            }
+        });
+    }
+}
@@ -0,0 +1,188 @@
+// WebSocket mínimo (RFC 6455) con los módulos de Node, sin dependencias:
+// handshake, tramas de texto (también fragmentadas), ping/pong y cierre.
+// Suficiente para el servidor de sesiones; no admite tramas binarias ni extensiones.
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Tamaño máximo de un mensaje (los de la sesión ocupan unos cientos de bytes)
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+export const CLOSE_CODES = { normal: 1000, goingAway: 1001, protocolError: 1002, unsupported: 1003, tooBig: 1009 };
+
+// Responder al handshake de `request` (evento 'upgrade' de http.Server).
+// Devuelve la conexión, o null si la petición no es un WebSocket válido.
+export function acceptWebSocket(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    const isWebSocket = request.headers.upgrade?.toLowerCase() === 'websocket'
+        && request.headers['sec-websocket-version'] === '13' && key;
+
+    if (!isWebSocket) {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket);
+}
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    // El servidor no enmascara sus tramas
+    return Buffer.concat([header, payload]);
+}
+
+// Eventos: 'message' (texto), 'close' (código)
+export class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsSize = 0;
+        this.closed = false;
+
+        socket.setNoDelay(true);
+        socket.on('data', (data) => this.receive(data));
+        // Los sockets de http.Server admiten medio cierre: 'end' no trae 'close' detrás
+        socket.on('end', () => this.finish(CLOSE_CODES.goingAway));
+        socket.on('close', () => this.finish(CLOSE_CODES.goingAway));
+        socket.on('error', () => this.finish(CLOSE_CODES.goingAway));
+    }
+
+    send(text) {
+        if (this.closed) return;
+        this.socket.write(encodeFrame(OPCODES.text, Buffer.from(text, 'utf8')));
+    }
+
+    close(code = CLOSE_CODES.normal, reason = '') {
+        if (this.closed) return;
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.socket.end(encodeFrame(OPCODES.close, payload));
+        this.finish(code);
+    }
+
+    finish(code) {
+        if (this.closed) return;
+        this.closed = true;
+        this.socket.destroy();
+        this.emit('close', code);
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        let frame;
+        while (!this.closed && (frame = this.readFrame())) {
+            this.handleFrame(frame);
+        }
+    }
+
+    // Siguiente trama completa del buffer, o null si faltan bytes
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            const longLength = buffer.readBigUInt64BE(2);
+            length = longLength > BigInt(MAX_MESSAGE_SIZE) ? Infinity : Number(longLength);
+            offset = 10;
+        }
+
+        // Los clientes siempre enmascaran sus tramas
+        if (!masked) {
+            this.close(CLOSE_CODES.protocolError, 'Trama sin máscara');
+            return null;
+        }
+        if (length > MAX_MESSAGE_SIZE) {
+            this.close(CLOSE_CODES.tooBig, 'Mensaje demasiado grande');
+            return null;
+        }
+        if (buffer.length < offset + 4 + length) return null;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.continuation: {
+                if (opcode === OPCODES.continuation && this.fragments.length === 0) {
+                    this.close(CLOSE_CODES.protocolError, 'Continuación inesperada');
+                    return;
+                }
+                this.fragments.push(payload);
+                this.fragmentsSize += payload.length;
+                if (this.fragmentsSize > MAX_MESSAGE_SIZE) {
+                    this.close(CLOSE_CODES.tooBig, 'Mensaje demasiado grande');
+                    return;
+                }
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentsSize = 0;
+                    this.emit('message', text);
+                }
+                break;
+            }
+            case OPCODES.ping:
+                this.socket.write(encodeFrame(OPCODES.pong, payload));
+                break;
+            case OPCODES.pong:
+                break;
+            case OPCODES.close:
+                this.close(payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_CODES.normal);
+                break;
+            default:
+                this.close(CLOSE_CODES.unsupported, 'Solo se admiten mensajes de texto');
+        }
+    }
+}
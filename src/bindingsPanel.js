@@ -0,0 +1,93 @@
+// Pantalla para reasignar las teclas de cada acción. Al pulsar un hueco se
+// espera la siguiente tecla: Escape cancela y Retroceso/Supr deja el hueco vacío.
+import { ACTIONS, BINDING_SLOTS, keyLabel } from './inputBindings.js';
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+export class BindingsPanel {
+    // `i18n`: Translator del visor para los textos
+    constructor(bindings, container, i18n, onChange) {
+        this.bindings = bindings;
+        this.container = container;
+        this.i18n = i18n;
+        this.onChange = onChange;
+        this.capturing = null;   // { action, slot } mientras se espera una tecla
+
+        // En fase de captura para que la tecla no llegue al robot
+        this.onKeyDown = (e) => this.handleKey(e);
+        window.addEventListener('keydown', this.onKeyDown, true);
+    }
+
+    dispose() {
+        window.removeEventListener('keydown', this.onKeyDown, true);
+        this.capturing = null;
+    }
+
+    // Mostrar u ocultar el panel; devuelve si queda visible
+    toggle() {
+        const visible = this.container.classList.toggle('visible');
+        if (!visible) this.capturing = null;
+        this.render();
+        return visible;
+    }
+
+    render() {
+        const { i18n } = this;
+        this.container.replaceChildren();
+        this.container.appendChild(createElement('h3', null, i18n.t('bindings.title')));
+
+        ACTIONS.forEach((action) => {
+            const row = createElement('div', 'binding-row');
+            row.appendChild(createElement('span', 'binding-label', i18n.t(`action.${action}`)));
+
+            for (let slot = 0; slot < BINDING_SLOTS; slot++) {
+                const waiting = this.capturing?.action === action && this.capturing.slot === slot;
+                const code = this.bindings.bindings[action][slot];
+                const button = createElement('button', 'binding-key', waiting ? i18n.t('bindings.waiting') : keyLabel(code, i18n));
+                button.classList.toggle('active', waiting);
+                button.addEventListener('click', () => {
+                    this.capturing = waiting ? null : { action, slot };
+                    this.render();
+                });
+                row.appendChild(button);
+            }
+
+            this.container.appendChild(row);
+        });
+
+        const resetBtn = createElement('button', 'action-btn', i18n.t('bindings.reset'));
+        resetBtn.addEventListener('click', () => {
+            this.capturing = null;
+            this.bindings.resetDefaults();
+            this.changed();
+        });
+        this.container.appendChild(resetBtn);
+    }
+
+    handleKey(e) {
+        if (!this.capturing) return;
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+
+        const { action, slot } = this.capturing;
+        this.capturing = null;
+
+        if (e.code === 'Backspace' || e.code === 'Delete') {
+            this.bindings.clear(action, slot);
+        } else if (e.code !== 'Escape') {
+            this.bindings.set(action, slot, e.code);
+        }
+        this.changed();
+    }
+
+    changed() {
+        this.render();
+        this.onChange?.();
+    }
+}
@@ -0,0 +1,235 @@
+// Modos de cámara: órbita alrededor del robot, seguimiento en tercera persona,
+// primera persona desde la cabeza y vuelo libre. Los cambios de modo se animan
+// interpolando desde la pose actual de la cámara hasta la del nuevo modo.
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.min.js';
+
+export const CAMERA_MODES = ['orbit', 'follow', 'firstPerson', 'fly'];
+
+// Altura del punto al que mira la cámara sobre la base del robot
+const TARGET_HEIGHT = 2;
+const TRANSITION_DURATION = 0.8;
+
+const ORBIT_LIMITS = { minRadius: 5, maxRadius: 25, minPhi: 0.1, maxPhi: Math.PI - 0.1 };
+const FOLLOW_LIMITS = { minDistance: 4, maxDistance: 20 };
+const LOOK_PITCH_LIMIT = Math.PI / 2 - 0.05;
+const FLY_SPEED = 8;    // unidades por segundo en vuelo libre
+
+const damp = (lambda, dt) => 1 - Math.exp(-lambda * dt);
+const easeInOutCubic = (t) => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+const _matrix = new THREE.Matrix4();
+const _up = new THREE.Vector3(0, 1, 0);
+const _target = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+
+export class CameraRig {
+    constructor(camera) {
+        this.camera = camera;
+        this.mode = 'orbit';
+
+        // Centro de la órbita (sigue al robot con suavizado)
+        this.center = new THREE.Vector3(0, TARGET_HEIGHT, 0);
+        this.spherical = new THREE.Spherical().setFromVector3(
+            _offset.copy(camera.position).sub(this.center)
+        );
+
+        this.follow = { distance: 8, height: 3.5, position: camera.position.clone() };
+        this.look = { yaw: 0, pitch: 0 };   // primera persona, relativo al robot
+        this.fly = { position: camera.position.clone(), yaw: 0, pitch: 0 };
+
+        this.transition = null;
+        this.desiredPosition = new THREE.Vector3();
+        this.desiredQuaternion = new THREE.Quaternion();
+    }
+
+    setMode(mode) {
+        if (!CAMERA_MODES.includes(mode) || mode === this.mode) return;
+
+        if (mode === 'fly') {
+            // Despegar desde donde esté la cámara
+            const direction = this.camera.getWorldDirection(_offset);
+            this.fly.position.copy(this.camera.position);
+            this.fly.yaw = Math.atan2(direction.x, direction.z);
+            this.fly.pitch = Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1));
+        }
+        if (mode === 'follow') {
+            this.follow.position.copy(this.camera.position);
+        }
+        if (mode === 'firstPerson') {
+            this.look.yaw = 0;
+            this.look.pitch = 0;
+        }
+
+        this.mode = mode;
+        this.transition = {
+            position: this.camera.position.clone(),
+            quaternion: this.camera.quaternion.clone(),
+            elapsed: 0
+        };
+    }
+
+    nextMode() {
+        const index = CAMERA_MODES.indexOf(this.mode);
+        this.setMode(CAMERA_MODES[(index + 1) % CAMERA_MODES.length]);
+        return this.mode;
+    }
+
+    // Arrastre del ratón (píxeles)
+    orbit(dx, dy) {
+        switch (this.mode) {
+            case 'orbit':
+                this.spherical.theta -= dx * 0.01;
+                this.spherical.phi = THREE.MathUtils.clamp(
+                    this.spherical.phi + dy * 0.01, ORBIT_LIMITS.minPhi, ORBIT_LIMITS.maxPhi);
+                break;
+            case 'follow':
+                this.follow.height = THREE.MathUtils.clamp(this.follow.height + dy * 0.02, 0.5, 12);
+                break;
+            case 'firstPerson':
+                this.look.yaw -= dx * 0.005;
+                this.look.pitch = THREE.MathUtils.clamp(this.look.pitch - dy * 0.005, -LOOK_PITCH_LIMIT, LOOK_PITCH_LIMIT);
+                break;
+            case 'fly':
+                this.fly.yaw -= dx * 0.005;
+                this.fly.pitch = THREE.MathUtils.clamp(this.fly.pitch - dy * 0.005, -LOOK_PITCH_LIMIT, LOOK_PITCH_LIMIT);
+                break;
+        }
+    }
+
+    // Rueda del ratón: acercar/alejar, o avanzar en vuelo libre
+    zoom(deltaY) {
+        switch (this.mode) {
+            case 'orbit':
+                this.spherical.radius = THREE.MathUtils.clamp(
+                    this.spherical.radius + deltaY * 0.01, ORBIT_LIMITS.minRadius, ORBIT_LIMITS.maxRadius);
+                break;
+            case 'follow':
+                this.follow.distance = THREE.MathUtils.clamp(
+                    this.follow.distance + deltaY * 0.01, FOLLOW_LIMITS.minDistance, FOLLOW_LIMITS.maxDistance);
+                break;
+            case 'fly':
+                this.fly.position.addScaledVector(this.flyDirection(_offset), -deltaY * 0.02);
+                break;
+        }
+    }
+
+    // Teclas de vuelo libre, en -1..1: `x` lateral (+ derecha), `y` vertical
+    // (+ arriba) y `z` en la dirección de la mirada (- adelante)
+    flyMove(x, y, z, dt) {
+        if (this.mode !== 'fly') return;
+
+        const distance = FLY_SPEED * dt;
+        const right = _target.set(-Math.cos(this.fly.yaw), 0, Math.sin(this.fly.yaw));
+        this.fly.position
+            .addScaledVector(this.flyDirection(_offset), -z * distance)
+            .addScaledVector(right, x * distance);
+        this.fly.position.y += y * distance;
+    }
+
+    flyDirection(target) {
+        const cosPitch = Math.cos(this.fly.pitch);
+        return target.set(
+            Math.sin(this.fly.yaw) * cosPitch,
+            Math.sin(this.fly.pitch),
+            Math.cos(this.fly.yaw) * cosPitch
+        );
+    }
+
+    // `robot`: { position, heading }, `head`: nodo de la cabeza (opcional)
+    update(dt, robot, head) {
+        this.computeDesiredPose(dt, robot, head);
+
+        if (this.transition) {
+            this.transition.elapsed += dt;
+            const t = easeInOutCubic(Math.min(this.transition.elapsed / TRANSITION_DURATION, 1));
+
+            this.camera.position.lerpVectors(this.transition.position, this.desiredPosition, t);
+            this.camera.quaternion.copy(this.transition.quaternion).slerp(this.desiredQuaternion, t);
+
+            if (t >= 1) this.transition = null;
+        } else {
+            this.camera.position.copy(this.desiredPosition);
+            this.camera.quaternion.copy(this.desiredQuaternion);
+        }
+    }
+
+    computeDesiredPose(dt, robot, head) {
+        const { position, heading } = robot;
+        _target.set(position.x, position.y + TARGET_HEIGHT, position.z);
+
+        switch (this.mode) {
+            case 'orbit':
+                this.center.lerp(_target, damp(6, dt));
+                this.desiredPosition.setFromSpherical(this.spherical).add(this.center);
+                this.lookAt(this.center);
+                break;
+
+            case 'follow': {
+                // Detrás del robot según su orientación
+                const behind = _offset.set(-Math.sin(heading), 0, -Math.cos(heading))
+                    .multiplyScalar(this.follow.distance);
+                behind.add(_target).setY(position.y + this.follow.height);
+                this.follow.position.lerp(behind, damp(4, dt));
+                this.desiredPosition.copy(this.follow.position);
+                this.lookAt(_target);
+                break;
+            }
+
+            case 'firstPerson': {
+                if (head) {
+                    head.getWorldPosition(this.desiredPosition);
+                } else {
+                    this.desiredPosition.set(position.x, position.y + TARGET_HEIGHT * 1.75, position.z);
+                }
+                const yaw = heading + this.look.yaw;
+                const cosPitch = Math.cos(this.look.pitch);
+                const forward = _offset.set(Math.sin(yaw) * cosPitch, Math.sin(this.look.pitch), Math.cos(yaw) * cosPitch);
+
+                // Un poco por delante de la cara para no ver el interior de la cabeza
+                this.desiredPosition.addScaledVector(forward, 0.9);
+                this.lookAt(_target.copy(this.desiredPosition).add(forward));
+                break;
+            }
+
+            case 'fly':
+                this.desiredPosition.copy(this.fly.position);
+                this.lookAt(_target.copy(this.fly.position).add(this.flyDirection(_offset)));
+                break;
+        }
+    }
+
+    lookAt(target) {
+        _matrix.lookAt(this.desiredPosition, target, _up);
+        this.desiredQuaternion.setFromRotationMatrix(_matrix);
+    }
+
+    // Estado serializable (sesiones grabadas)
+    getState() {
+        return {
+            mode: this.mode,
+            spherical: { radius: this.spherical.radius, theta: this.spherical.theta, phi: this.spherical.phi },
+            center: this.center.toArray(),
+            follow: {
+                distance: this.follow.distance,
+                height: this.follow.height,
+                position: this.follow.position.toArray()
+            },
+            look: { ...this.look },
+            fly: { position: this.fly.position.toArray(), yaw: this.fly.yaw, pitch: this.fly.pitch }
+        };
+    }
+
+    setState(state) {
+        this.mode = state.mode;
+        this.spherical.set(state.spherical.radius, state.spherical.phi, state.spherical.theta);
+        this.center.fromArray(state.center);
+        this.follow.distance = state.follow.distance;
+        this.follow.height = state.follow.height;
+        this.follow.position.fromArray(state.follow.position);
+        Object.assign(this.look, state.look);
+        this.fly.position.fromArray(state.fly.position);
+        this.fly.yaw = state.fly.yaw;
+        this.fly.pitch = state.fly.pitch;
+        this.transition = null;
+    }
+}
@@ -0,0 +1,201 @@
+// Capturas para documentación: PNG a la resolución elegida (con fondo
+// transparente si se pide), vídeo WebM de una vuelta completa de la cámara
+// alrededor del robot y exportación a .glb del robot con su pose actual.
+import { downloadBlob } from './download.js';
+import { MessageError } from './i18n.js';
+
+const GLTF_EXPORTER_URL = 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/examples/jsm/exporters/GLTFExporter.js';
+
+// Resoluciones del menú; 'window' es el tamaño actual del visor
+export const CAPTURE_SIZES = {
+    window: null,
+    hd: { width: 1280, height: 720 },
+    fullHd: { width: 1920, height: 1080 },
+    square: { width: 1024, height: 1024 },
+    uhd: { width: 3840, height: 2160 }
+};
+
+export const TURNTABLE_DURATION = 8;
+const TURNTABLE_FPS = 30;
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const timestamp = () => new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+
+export class CaptureTool {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.turntable = null;
+        this.listeners = new Set();
+    }
+
+    get recording() {
+        return this.turntable !== null;
+    }
+
+    // Renderiza un fotograma al tamaño `size` (CAPTURE_SIZES) y lo devuelve como PNG (Blob)
+    screenshot({ size = 'window', transparent = false } = {}) {
+        const { renderer, scene, camera } = this.viewer;
+        const canvas = renderer.domElement;
+        const maxSize = renderer.capabilities.maxTextureSize;
+        const target = CAPTURE_SIZES[size] ?? { width: this.viewer.width, height: this.viewer.height };
+        const scale = Math.min(1, maxSize / Math.max(target.width, target.height));
+        const width = Math.floor(target.width * scale);
+        const height = Math.floor(target.height * scale);
+
+        const previous = {
+            pixelRatio: renderer.getPixelRatio(),
+            aspect: camera.aspect,
+            background: scene.background,
+            fog: scene.fog,
+            hidden: []
+        };
+
+        // Sin fondo: solo los robots y las luces, sobre un lienzo transparente
+        if (transparent) {
+            const robots = new Set(this.viewer.robots.map((actor) => actor.object));
+            scene.background = null;
+            scene.fog = null;
+            scene.children.forEach((child) => {
+                if (child.visible && !child.isLight && !robots.has(child)) {
+                    child.visible = false;
+                    previous.hidden.push(child);
+                }
+            });
+        }
+
+        renderer.setPixelRatio(1);
+        renderer.setSize(width, height, false);
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+
+        renderer.render(scene, camera);
+
+        // toBlob copia el lienzo al llamarlo, antes de que se borre el búfer
+        const blob = new Promise((resolve, reject) => {
+            canvas.toBlob((result) => result ? resolve(result) : reject(new MessageError('capture.errorImage')), 'image/png');
+        });
+
+        scene.background = previous.background;
+        scene.fog = previous.fog;
+        previous.hidden.forEach((child) => { child.visible = true; });
+        renderer.setPixelRatio(previous.pixelRatio);
+        renderer.setSize(this.viewer.width, this.viewer.height);
+        camera.aspect = previous.aspect;
+        camera.updateProjectionMatrix();
+
+        return blob;
+    }
+
+    async downloadScreenshot(options) {
+        const blob = await this.screenshot(options);
+        downloadBlob(blob, `robot-${timestamp()}.png`);
+        return blob;
+    }
+
+    // Graba una vuelta de la cámara en órbita alrededor del robot seleccionado
+    startTurntable({ duration = TURNTABLE_DURATION } = {}) {
+        if (this.recording) return false;
+
+        const canvas = this.viewer.renderer.domElement;
+        const mimeType = VIDEO_TYPES.find((type) => window.MediaRecorder?.isTypeSupported(type));
+        if (!mimeType || !canvas.captureStream) {
+            throw new MessageError('capture.errorWebm');
+        }
+
+        const { cameraRig } = this.viewer;
+        cameraRig.setMode('orbit');
+        this.viewer.updateCameraModeButton();
+
+        const stream = canvas.captureStream(TURNTABLE_FPS);
+        const recorder = new MediaRecorder(stream, { mimeType });
+        const chunks = [];
+
+        recorder.ondataavailable = ({ data }) => {
+            if (data.size > 0) chunks.push(data);
+        };
+        recorder.onstop = () => {
+            stream.getTracks().forEach((track) => track.stop());
+            if (this.turntable?.recorder === recorder) {
+                this.turntable = null;
+            }
+            if (!recorder.cancelled) {
+                downloadBlob(new Blob(chunks, { type: 'video/webm' }), `robot-vuelta-${timestamp()}.webm`);
+            }
+            this.emit();
+        };
+
+        this.turntable = {
+            recorder,
+            duration,
+            elapsed: 0,
+            startTheta: cameraRig.spherical.theta
+        };
+        recorder.start();
+        this.emit();
+        return true;
+    }
+
+    // `save`: false para descartar lo grabado
+    stopTurntable(save = true) {
+        if (!this.recording) return;
+
+        const { recorder } = this.turntable;
+        recorder.cancelled = !save;
+        this.turntable = null;
+        recorder.stop();
+        this.emit();
+    }
+
+    // Girar la cámara; llamar cada frame antes de cameraRig.update
+    update(dt) {
+        const turntable = this.turntable;
+        if (!turntable) return;
+
+        turntable.elapsed += dt;
+        const progress = Math.min(turntable.elapsed / turntable.duration, 1);
+        this.viewer.cameraRig.spherical.theta = turntable.startTheta + progress * Math.PI * 2;
+
+        if (progress >= 1) {
+            this.stopTurntable();
+        }
+    }
+
+    // Robot `actor` con la pose de este frame (clip + overlay) como .glb
+    async exportPose(actor) {
+        if (!actor.object) {
+            throw new MessageError('capture.errorNoRobot');
+        }
+
+        const { GLTFExporter } = await import(GLTF_EXPORTER_URL);
+        const object = actor.object;
+
+        // En el origen y mirando al frente; la pose de las partes no se toca.
+        // El exportador lee los nodos de forma síncrona y solo empaqueta el
+        // .glb después, así que se puede devolver el robot a su sitio enseguida.
+        const glb = new Promise((resolve) => {
+            object.position.set(0, 0, 0);
+            object.rotation.set(0, 0, 0);
+            object.updateMatrixWorld(true);
+            try {
+                new GLTFExporter().parse(object, resolve, { binary: true, onlyVisible: true });
+            } finally {
+                actor.syncObject();
+            }
+        });
+
+        const name = (actor.modelName ?? 'robot').replace(/\.[^.]+$/, '');
+        downloadBlob(new Blob([await glb], { type: 'model/gltf-binary' }), `${name}-pose-${timestamp()}.glb`);
+    }
+
+    // Suscribirse a inicio/fin de la grabación ({ recording }). Devuelve la
+    // función para desuscribirse.
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit() {
+        const event = { recording: this.recording };
+        this.listeners.forEach((listener) => listener(event));
+    }
+}
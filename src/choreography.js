@@ -0,0 +1,323 @@
+// Coreografías: secuencias de pasos temporizados descritas en JSON y un
+// secuenciador que las ejecuta sobre las acciones del visor.
+//
+// Formato:
+// {
+//   "name": "Demo",
+//   "loop": false,
+//   "steps": [
+//     { "type": "move-to", "x": 3, "z": -2 },
+//     { "type": "walk", "direction": "left", "distance": 2 },
+//     { "type": "turn", "angle": 90, "duration": 0.5 },
+//     { "type": "jump" },
+//     { "type": "dance", "duration": 3 },
+//     { "type": "play-clip", "clip": "Wave", "duration": 2 },
+//     { "type": "wait", "duration": 1 },
+//     { "type": "reset" }
+//   ]
+// }
+//
+// `walk` es relativo a la orientación del robot (forward | back | left | right)
+// y no lo gira: camina de lado o hacia atrás.
+import { RobotState } from './robotStates.js';
+import { msg, MessageError } from './i18n.js';
+
+// Tiempo máximo que puede durar un move-to antes de darlo por terminado
+const MOVE_TIMEOUT = 20;
+const ARRIVAL_DISTANCE = 0.1;
+
+// Grados por segundo de los giros de la consola y de la tortuga
+export const TURN_SPEED = 180;
+
+// Ángulo de cada dirección de `walk` respecto a hacia dónde mira el robot
+const WALK_DIRECTIONS = {
+    forward: 0,
+    left: Math.PI / 2,
+    back: Math.PI,
+    right: -Math.PI / 2
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Misma velocidad que el movimiento continuo por teclado (a 60 fps)
+const walkSpeed = (run, viewer) => run.step.speed ?? viewer.moveSpeed * 0.4 * 60;
+
+// Acercar el objetivo del robot a (run.x, run.z); devuelve true al llegar
+function moveTowards(run, viewer, dt) {
+    const { targetPosition, position } = viewer.controller;
+    const dx = run.x - targetPosition.x;
+    const dz = run.z - targetPosition.z;
+    const distance = Math.hypot(dx, dz);
+
+    const speed = walkSpeed(run, viewer) * dt;
+    if (distance > 0.001) {
+        const k = Math.min(1, speed / distance);
+        viewer.moveRobot(dx * k, 0, dz * k);
+    }
+
+    return Math.hypot(run.x - position.x, run.z - position.z) < (run.step.tolerance ?? ARRIVAL_DISTANCE);
+}
+
+// Validación y ejecución de cada tipo de paso.
+// start/update/stop reciben el paso en curso ({ step, elapsed, ... }) y el visor.
+// update devuelve true cuando el paso ha terminado.
+const STEP_HANDLERS = {
+    'move-to': {
+        validate: (step) => isNumber(step.x) && isNumber(step.z),
+        start(run, viewer) {
+            const { x, z } = viewer.controller.constrain(run.step.x, run.step.z);
+            run.x = x;
+            run.z = z;
+        },
+        update(run, viewer, dt) {
+            return moveTowards(run, viewer, dt) || run.elapsed > MOVE_TIMEOUT;
+        }
+    },
+
+    walk: {
+        validate: (step) => (step.direction === undefined || step.direction in WALK_DIRECTIONS)
+            && isNumber(step.distance),
+        start(run, viewer) {
+            const { targetPosition, heading } = viewer.controller;
+            const angle = heading + WALK_DIRECTIONS[run.step.direction ?? 'forward'];
+            const { x, z } = viewer.controller.constrain(
+                targetPosition.x + Math.sin(angle) * run.step.distance,
+                targetPosition.z + Math.cos(angle) * run.step.distance
+            );
+            run.x = x;
+            run.z = z;
+            run.heading = heading;
+
+            // Si un obstáculo lo frena, se da por terminado poco después de lo previsto
+            run.timeout = Math.abs(run.step.distance) / walkSpeed(run, viewer) + 2;
+        },
+        update(run, viewer, dt) {
+            const arrived = moveTowards(run, viewer, dt);
+            viewer.controller.heading = run.heading;
+            return arrived || run.elapsed > run.timeout;
+        }
+    },
+
+    turn: {
+        validate: (step) => isNumber(step.angle),
+        update(run, viewer) {
+            const duration = run.step.duration ?? 0.5;
+            const progress = duration > 0 ? Math.min(run.elapsed / duration, 1) : 1;
+            const angle = run.step.angle * Math.PI / 180;
+
+            viewer.controller.turn(angle * (progress - (run.progress || 0)));
+            run.progress = progress;
+            return progress >= 1;
+        }
+    },
+
+    jump: {
+        validate: () => true,
+        start(run, viewer) {
+            viewer.jumpRobot();
+        },
+        update(run, viewer) {
+            return !viewer.controller.is(RobotState.JUMPING, RobotState.LANDING);
+        }
+    },
+
+    dance: {
+        validate: (step) => isNumber(step.duration) && step.duration > 0,
+        start(run, viewer) {
+            if (!viewer.controller.is(RobotState.DANCING)) {
+                viewer.toggleDance();
+            }
+        },
+        update(run) {
+            return run.elapsed >= run.step.duration;
+        },
+        stop(run, viewer) {
+            if (viewer.controller.is(RobotState.DANCING)) {
+                viewer.toggleDance();
+            }
+        }
+    },
+
+    'play-clip': {
+        validate: (step) => typeof step.clip === 'string' && step.clip.length > 0,
+        start(run, viewer) {
+            const action = viewer.playAnimation(run.step.clip, run.step.loop ?? false);
+            run.duration = run.step.duration ?? action?.getClip().duration ?? 0;
+        },
+        update(run) {
+            return run.elapsed >= run.duration;
+        },
+        stop(run, viewer) {
+            viewer.playStateAnimation();
+        }
+    },
+
+    wait: {
+        validate: (step) => isNumber(step.duration) && step.duration >= 0,
+        update(run) {
+            return run.elapsed >= run.step.duration;
+        }
+    },
+
+    reset: {
+        validate: () => true,
+        start(run, viewer) {
+            viewer.resetRobot();
+        },
+        update(run, viewer) {
+            return !viewer.controller.is(RobotState.RESETTING);
+        }
+    }
+};
+
+export const STEP_TYPES = Object.keys(STEP_HANDLERS);
+
+// Valida una coreografía (objeto, lista de pasos o texto JSON) y la normaliza
+export function parseChoreography(data) {
+    const source = typeof data === 'string' ? JSON.parse(data) : data;
+    const steps = Array.isArray(source) ? source : source?.steps;
+
+    if (!Array.isArray(steps)) {
+        throw new MessageError('choreo.errorNoSteps');
+    }
+    if (steps.length === 0) {
+        throw new MessageError('choreo.errorEmpty');
+    }
+
+    steps.forEach((step, index) => {
+        const handler = Object.hasOwn(STEP_HANDLERS, step?.type) && STEP_HANDLERS[step.type];
+        if (!handler) {
+            throw new MessageError('choreo.errorStepType', { index: index + 1, type: String(step?.type) });
+        }
+        if (!handler.validate(step)) {
+            throw new MessageError('choreo.errorStepParams', { index: index + 1, type: step.type });
+        }
+    });
+
+    return {
+        name: source.name || msg('choreo.untitled'),
+        loop: Boolean(source.loop),
+        steps
+    };
+}
+
+export class ChoreographySequencer {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.choreography = null;
+        this.status = 'stopped';   // stopped | playing | paused
+        this.loop = false;
+        this.index = 0;
+        this.current = null;
+        this.listeners = new Set();
+    }
+
+    load(data) {
+        const choreography = parseChoreography(data);
+        this.stop();
+        this.choreography = choreography;
+        this.loop = choreography.loop;
+        this.emit();
+        return choreography;
+    }
+
+    // Añadir pasos al final; si no estaba reproduciendo, empieza por ellos
+    append(data) {
+        const choreography = parseChoreography(data);
+
+        if (this.status === 'stopped' || !this.choreography) {
+            this.load(choreography);
+            this.play();
+            return;
+        }
+
+        this.choreography.steps.push(...choreography.steps);
+        this.emit();
+    }
+
+    play() {
+        if (!this.choreography || this.status === 'playing') return;
+
+        const resuming = this.status === 'paused';
+        this.status = 'playing';
+
+        if (!resuming) {
+            this.index = 0;
+            this.startStep();
+        }
+        this.emit();
+    }
+
+    pause() {
+        if (this.status !== 'playing') return;
+        this.status = 'paused';
+        this.emit();
+    }
+
+    stop() {
+        if (this.status === 'stopped') return;
+        this.endStep();
+        this.status = 'stopped';
+        this.index = 0;
+        this.emit();
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+        this.emit();
+    }
+
+    // Avanza el paso en curso; `dt` en segundos
+    update(dt) {
+        if (this.status !== 'playing' || !this.current) return;
+
+        this.current.elapsed += dt;
+        const handler = STEP_HANDLERS[this.current.step.type];
+        if (!handler.update(this.current, this.viewer, dt)) return;
+
+        this.endStep();
+        this.index++;
+
+        if (this.index >= this.choreography.steps.length) {
+            if (!this.loop) {
+                this.status = 'stopped';
+                this.index = 0;
+                this.emit();
+                return;
+            }
+            this.index = 0;
+        }
+
+        this.startStep();
+        this.emit();
+    }
+
+    startStep() {
+        const step = this.choreography.steps[this.index];
+        this.current = { step, elapsed: 0 };
+        STEP_HANDLERS[step.type].start?.(this.current, this.viewer);
+    }
+
+    endStep() {
+        if (!this.current) return;
+        STEP_HANDLERS[this.current.step.type].stop?.(this.current, this.viewer);
+        this.current = null;
+    }
+
+    // Suscribirse a cambios de estado/progreso. Devuelve la función para desuscribirse.
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit() {
+        const event = {
+            status: this.status,
+            loop: this.loop,
+            index: this.index,
+            total: this.choreography?.steps.length ?? 0,
+            name: this.choreography?.name ?? null
+        };
+        this.listeners.forEach((listener) => listener(event));
+    }
+}
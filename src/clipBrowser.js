@@ -0,0 +1,235 @@
+// Panel que lista todos los clips del modelo cargado: reproducir/pausar,
+// velocidad, modo de bucle, barra de posición, mezcla de dos clips y
+// reasignación de los clips que hacen de idle/walk/jump/land/dance.
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.min.js';
+import { ANIMATION_ROLES } from './robotActor.js';
+
+const LOOP_MODES = {
+    repeat: THREE.LoopRepeat,
+    once: THREE.LoopOnce,
+    pingpong: THREE.LoopPingPong
+};
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+function createSelect(options, value) {
+    const select = createElement('select', 'clip-select');
+    options.forEach(([optionValue, label]) => {
+        const option = createElement('option', null, label);
+        option.value = optionValue;
+        select.appendChild(option);
+    });
+    select.value = value;
+    return select;
+}
+
+function createRange(min, max, step, value) {
+    const input = createElement('input', 'clip-range');
+    Object.assign(input, { type: 'range', min, max, step, value });
+    return input;
+}
+
+export class ClipBrowser {
+    constructor(viewer, container) {
+        this.viewer = viewer;
+        this.container = container;
+        this.rows = new Map();   // nombre del clip -> { action, playBtn, scrub }
+        this.blend = { a: null, b: null, weight: 0 };
+    }
+
+    // Mostrar u ocultar el panel; devuelve si queda visible
+    toggle() {
+        return this.container.classList.toggle('visible');
+    }
+
+    // Reconstruir el panel para el modelo actual
+    render() {
+        const { animations } = this.viewer;
+        this.rows.clear();
+        this.container.replaceChildren();
+
+        this.container.appendChild(createElement('h3', null, this.viewer.t('clips.title')));
+
+        const names = Object.keys(animations || {});
+        if (names.length === 0) {
+            this.container.appendChild(createElement('p', 'clip-empty', this.viewer.t('clips.empty')));
+            return;
+        }
+
+        this.container.appendChild(this.renderRoles(names));
+        this.container.appendChild(this.renderBlend(names));
+
+        const list = createElement('div', 'clip-list');
+        names.forEach((name) => list.appendChild(this.renderClip(name, animations[name])));
+        this.container.appendChild(list);
+    }
+
+    renderRoles(names) {
+        const section = createElement('div', 'clip-section');
+        section.appendChild(createElement('h4', null, this.viewer.t('clips.roles')));
+
+        const roles = this.viewer.getAnimationRoles();
+        const options = [['', '—'], ...names.map((name) => [name, name])];
+
+        ANIMATION_ROLES.forEach((role) => {
+            const row = createElement('label', 'clip-role');
+            row.appendChild(createElement('span', null, role));
+
+            const select = createSelect(options, roles[role] || '');
+            select.addEventListener('change', () =>
+                this.viewer.setAnimationRole(role, select.value || null));
+            row.appendChild(select);
+
+            section.appendChild(row);
+        });
+
+        return section;
+    }
+
+    renderBlend(names) {
+        const section = createElement('div', 'clip-section');
+        section.appendChild(createElement('h4', null, this.viewer.t('clips.blend')));
+
+        const options = names.map((name) => [name, name]);
+        this.blend = { a: names[0], b: names[1] || names[0], weight: 0 };
+
+        const selectA = createSelect(options, this.blend.a);
+        const selectB = createSelect(options, this.blend.b);
+        const weight = createRange(0, 1, 0.01, 0);
+
+        selectA.addEventListener('change', () => {
+            this.blend.a = selectA.value;
+            this.applyBlend();
+        });
+        selectB.addEventListener('change', () => {
+            this.blend.b = selectB.value;
+            this.applyBlend();
+        });
+        weight.addEventListener('input', () => {
+            this.blend.weight = Number(weight.value);
+            this.applyBlend();
+        });
+
+        const row = createElement('div', 'clip-blend');
+        row.append(selectA, weight, selectB);
+        section.appendChild(row);
+
+        return section;
+    }
+
+    renderClip(name, action) {
+        const clip = action.getClip();
+        const row = createElement('div', 'clip-row');
+
+        const header = createElement('div', 'clip-header');
+        const playBtn = createElement('button', 'control-btn clip-play', '▶');
+        header.append(
+            playBtn,
+            createElement('span', 'clip-name', name),
+            createElement('span', 'clip-duration', `${clip.duration.toFixed(1)}s`)
+        );
+
+        const scrub = createRange(0, clip.duration, 0.01, 0);
+
+        const speed = createRange(0, 3, 0.1, action.timeScale);
+        speed.title = this.viewer.t('clips.speed');
+        const speedLabel = createElement('span', 'clip-speed', `${action.timeScale.toFixed(1)}x`);
+
+        const loop = createSelect(Object.keys(LOOP_MODES).map((mode) =>
+            [mode, this.viewer.t(`clips.loop.${mode}`)]), 'repeat');
+
+        const controls = createElement('div', 'clip-controls');
+        controls.append(speed, speedLabel, loop);
+
+        row.append(header, scrub, controls);
+
+        playBtn.addEventListener('click', () => this.togglePlay(name));
+
+        scrub.addEventListener('input', () => {
+            if (!action.isScheduled()) {
+                action.play();
+            }
+            action.paused = true;
+            action.time = Number(scrub.value);
+            this.viewer.mixer.update(0);
+            this.refreshRow(name);
+        });
+
+        speed.addEventListener('input', () => {
+            action.setEffectiveTimeScale(Number(speed.value));
+            speedLabel.textContent = `${action.timeScale.toFixed(1)}x`;
+        });
+
+        loop.addEventListener('change', () => {
+            action.setLoop(LOOP_MODES[loop.value], Infinity);
+            action.clampWhenFinished = loop.value === 'once';
+        });
+
+        this.rows.set(name, { action, playBtn, scrub });
+        return row;
+    }
+
+    togglePlay(name) {
+        const { action } = this.rows.get(name);
+
+        if (action.isRunning()) {
+            action.paused = true;
+        } else if (action.paused && action.isScheduled()) {
+            action.paused = false;
+        } else {
+            // Reproducir el clip en solitario
+            Object.values(this.viewer.animations).forEach((other) => {
+                if (other !== action) other.fadeOut(0.3);
+            });
+            action.reset();
+            action.setEffectiveWeight(1);
+            action.fadeIn(0.3);
+            action.play();
+        }
+
+        this.refreshRow(name);
+    }
+
+    applyBlend() {
+        const { animations } = this.viewer;
+        const actionA = animations[this.blend.a];
+        const actionB = animations[this.blend.b];
+        if (!actionA || !actionB) return;
+
+        Object.values(animations).forEach((action) => {
+            if (action !== actionA && action !== actionB) action.stop();
+        });
+
+        [actionA, actionB].forEach((action) => {
+            action.stopFading();
+            action.paused = false;
+            action.enabled = true;
+            if (!action.isRunning()) action.play();
+        });
+
+        if (actionA === actionB) {
+            actionA.setEffectiveWeight(1);
+        } else {
+            actionA.setEffectiveWeight(1 - this.blend.weight);
+            actionB.setEffectiveWeight(this.blend.weight);
+        }
+    }
+
+    refreshRow(name) {
+        const { action, playBtn, scrub } = this.rows.get(name);
+        playBtn.textContent = action.isRunning() ? '⏸' : '▶';
+        playBtn.classList.toggle('active', action.isRunning());
+        scrub.value = action.time;
+    }
+
+    // Sincronizar botones y barras con el mixer; se llama cada frame
+    update() {
+        if (!this.container.classList.contains('visible')) return;
+        this.rows.forEach((row, name) => this.refreshRow(name));
+    }
+}
@@ -0,0 +1,163 @@
+// Colisiones en el plano del suelo (x/z), sin dependencias de Three.js.
+// El robot es un círculo; los obstáculos son cajas alineadas a los ejes,
+// muros (segmentos con grosor) y pilares (círculos). Al chocar, la posición
+// se empuja fuera del obstáculo por la normal de contacto, así que el robot
+// se desliza a lo largo de las paredes en vez de detenerse en seco.
+//
+// Formato de nivel:
+// {
+//   "name": "Sala",
+//   "obstacles": [
+//     { "type": "box", "x": 5, "z": -3, "width": 2, "depth": 2, "height": 1.5 },
+//     { "type": "wall", "from": [-8, -6], "to": [-8, 6], "thickness": 0.5, "height": 3 },
+//     { "type": "pillar", "x": -4, "z": 5, "radius": 0.8, "height": 5 }
+//   ]
+// }
+import { MessageError } from './i18n.js';
+
+// Tamaño del suelo creado en createEnvironment
+export const FLOOR_SIZE = 40;
+
+// Iteraciones de resolución cuando el robot toca varios obstáculos a la vez
+const RESOLVE_ITERATIONS = 4;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPoint = (value) => Array.isArray(value) && value.length === 2 && value.every(isNumber);
+
+const OBSTACLE_TYPES = {
+    box: {
+        validate: (o) => isNumber(o.x) && isNumber(o.z) && o.width > 0 && o.depth > 0,
+        normalize: (o) => ({
+            ...o,
+            minX: o.x - o.width / 2,
+            maxX: o.x + o.width / 2,
+            minZ: o.z - o.depth / 2,
+            maxZ: o.z + o.depth / 2
+        }),
+        closestPoint: (o, x, z) => ({
+            x: clamp(x, o.minX, o.maxX),
+            z: clamp(z, o.minZ, o.maxZ),
+            radius: 0
+        })
+    },
+    wall: {
+        validate: (o) => isPoint(o.from) && isPoint(o.to),
+        normalize: (o) => ({ thickness: 0.5, ...o }),
+        closestPoint: (o, x, z) => {
+            const [ax, az] = o.from;
+            const [bx, bz] = o.to;
+            const abx = bx - ax;
+            const abz = bz - az;
+            const lengthSq = abx * abx + abz * abz;
+            const t = lengthSq > 0 ? clamp(((x - ax) * abx + (z - az) * abz) / lengthSq, 0, 1) : 0;
+            return { x: ax + abx * t, z: az + abz * t, radius: o.thickness / 2 };
+        }
+    },
+    pillar: {
+        validate: (o) => isNumber(o.x) && isNumber(o.z) && o.radius > 0,
+        normalize: (o) => ({ ...o }),
+        closestPoint: (o) => ({ x: o.x, z: o.z, radius: o.radius })
+    }
+};
+
+export function parseLevel(data) {
+    const source = typeof data === 'string' ? JSON.parse(data) : data;
+
+    if (!Array.isArray(source?.obstacles)) {
+        throw new MessageError('level.errorObstacles');
+    }
+
+    const obstacles = source.obstacles.map((obstacle, index) => {
+        const type = Object.hasOwn(OBSTACLE_TYPES, obstacle?.type) && OBSTACLE_TYPES[obstacle.type];
+        if (!type) {
+            throw new MessageError('level.errorObstacleType', { index: index + 1, type: String(obstacle?.type) });
+        }
+        if (!type.validate(obstacle)) {
+            throw new MessageError('level.errorObstacleParams', { index: index + 1, type: obstacle.type });
+        }
+        return { height: 1, ...type.normalize(obstacle) };
+    });
+
+    return { name: source.name || null, obstacles };
+}
+
+export class CollisionWorld {
+    constructor({ size = FLOOR_SIZE } = {}) {
+        this.obstacles = [];
+        this.setArena(size);
+    }
+
+    setArena(size) {
+        this.halfSize = size / 2;
+    }
+
+    setObstacles(obstacles) {
+        this.obstacles = obstacles;
+    }
+
+    clear() {
+        this.obstacles = [];
+    }
+
+    // Vector para sacar un círculo (x, z, radius) de un obstáculo, o null si no lo toca
+    penetration(obstacle, x, z, radius) {
+        const closest = OBSTACLE_TYPES[obstacle.type].closestPoint(obstacle, x, z);
+        const dx = x - closest.x;
+        const dz = z - closest.z;
+        const distance = Math.hypot(dx, dz);
+        const minDistance = radius + closest.radius;
+
+        if (distance >= minDistance) return null;
+
+        if (distance > 1e-6) {
+            const depth = minDistance - distance;
+            return { x: dx / distance * depth, z: dz / distance * depth };
+        }
+
+        // Centro dentro de una caja: salir por el lado más cercano
+        if (obstacle.type === 'box') {
+            const exits = [
+                { x: obstacle.minX - radius - x, z: 0 },
+                { x: obstacle.maxX + radius - x, z: 0 },
+                { x: 0, z: obstacle.minZ - radius - z },
+                { x: 0, z: obstacle.maxZ + radius - z }
+            ];
+            return exits.reduce((best, exit) =>
+                Math.hypot(exit.x, exit.z) < Math.hypot(best.x, best.z) ? exit : best);
+        }
+
+        return { x: minDistance, z: 0 };
+    }
+
+    collides(x, z, radius) {
+        const inside = Math.abs(x) <= this.halfSize - radius && Math.abs(z) <= this.halfSize - radius;
+        return !inside || this.obstacles.some((obstacle) => this.penetration(obstacle, x, z, radius));
+    }
+
+    // Posición válida más cercana a (x, z) para un círculo de radio `radius`
+    resolve(x, z, radius) {
+        const position = { x, z };
+
+        for (let i = 0; i < RESOLVE_ITERATIONS; i++) {
+            let pushed = false;
+
+            this.obstacles.forEach((obstacle) => {
+                const push = this.penetration(obstacle, position.x, position.z, radius);
+                if (!push) return;
+                position.x += push.x;
+                position.z += push.z;
+                pushed = true;
+            });
+
+            if (!pushed) break;
+        }
+
+        // Límites del suelo
+        const limit = Math.max(0, this.halfSize - radius);
+        position.x = clamp(position.x, -limit, limit);
+        position.z = clamp(position.z, -limit, limit);
+
+        return position;
+    }
+}
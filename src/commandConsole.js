@@ -0,0 +1,168 @@
+// Consola de órdenes de texto: una línea de entrada con historial (↑/↓),
+// autocompletado con Tab (órdenes, direcciones y clips del modelo) y un
+// registro con lo ejecutado y los errores. Las órdenes las analiza
+// commandParser.js y las ejecuta Robot3DViewer#runCommands.
+import { completeCommand, CommandError } from './commandParser.js';
+import { loadJSON, saveJSON } from './storage.js';
+
+const HISTORY_KEY = 'commandHistory';
+const MAX_HISTORY = 50;
+const MAX_LOG_LINES = 100;
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+// Parte común más larga al principio de todos los textos
+function commonPrefix(texts) {
+    return texts.reduce((prefix, text) => {
+        let length = 0;
+        while (length < prefix.length && prefix[length] === text[length]) length++;
+        return prefix.slice(0, length);
+    });
+}
+
+export class CommandConsole {
+    constructor(viewer, container) {
+        this.viewer = viewer;
+        this.container = container;
+
+        const saved = loadJSON(HISTORY_KEY, []);
+        this.history = Array.isArray(saved) ? saved.filter((line) => typeof line === 'string') : [];
+        this.historyIndex = this.history.length;
+        this.draft = '';
+
+        this.log = createElement('div', 'console-log');
+        this.input = createElement('input', 'text-input console-input');
+        Object.assign(this.input, { spellcheck: false, autocomplete: 'off' });
+        this.input.addEventListener('keydown', (e) => this.handleKey(e));
+
+        this.container.append(this.log, this.input);
+        this.render();
+    }
+
+    // Mostrar u ocultar la consola; devuelve si queda visible
+    toggle() {
+        const visible = this.container.classList.toggle('visible');
+        if (visible) {
+            this.input.focus();
+        } else {
+            this.viewer.focus();
+        }
+        return visible;
+    }
+
+    render() {
+        this.input.placeholder = this.viewer.t('console.placeholder');
+    }
+
+    handleKey(e) {
+        switch (e.key) {
+            case 'Enter':
+                e.preventDefault();
+                this.submit();
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.browseHistory(-1);
+                break;
+            case 'ArrowDown':
+                e.preventDefault();
+                this.browseHistory(1);
+                break;
+            case 'Tab':
+                e.preventDefault();
+                this.complete();
+                break;
+            case 'Escape':
+                this.viewer.toggleConsole(false);
+                break;
+        }
+    }
+
+    submit() {
+        const text = this.input.value.trim();
+        this.input.value = '';
+        this.draft = '';
+        if (!text) return;
+
+        if (this.history[this.history.length - 1] !== text) {
+            this.history.push(text);
+            this.history.splice(0, this.history.length - MAX_HISTORY);
+            saveJSON(HISTORY_KEY, this.history);
+        }
+        this.historyIndex = this.history.length;
+
+        this.print(`> ${text}`, 'command');
+
+        let commands;
+        try {
+            commands = this.viewer.runCommands(text);
+        } catch (error) {
+            if (!(error instanceof CommandError)) throw error;
+            this.print(this.viewer.i18n.format(error.detail), 'error');
+            return;
+        }
+
+        commands.forEach(({ name }) => {
+            if (name === 'help') {
+                this.viewer.t('console.help').split('\n').forEach((line) => this.print(line, 'info'));
+            } else if (name === 'clear') {
+                this.log.replaceChildren();
+            } else if (name === 'stop') {
+                this.print(this.viewer.t('console.stopped'), 'info');
+            }
+        });
+
+        const count = commands.reduce((total, { steps = [] }) => total + steps.length, 0);
+        if (count > 0) {
+            this.print(this.viewer.t('console.queued', { count }), 'info');
+        }
+    }
+
+    // Recorrer el historial; lo que se estaba escribiendo se recupera al volver abajo
+    browseHistory(direction) {
+        const index = Math.max(0, Math.min(this.history.length, this.historyIndex + direction));
+        if (index === this.historyIndex) return;
+
+        if (this.historyIndex === this.history.length) {
+            this.draft = this.input.value;
+        }
+        this.historyIndex = index;
+        this.input.value = index === this.history.length ? this.draft : this.history[index];
+    }
+
+    complete() {
+        const text = this.input.value;
+        const candidates = completeCommand(text, {
+            clips: Object.keys(this.viewer.animations || {}),
+            language: this.viewer.i18n.language
+        });
+        if (candidates.length === 0) return;
+
+        if (candidates.length === 1) {
+            this.input.value = `${candidates[0]} `;
+            return;
+        }
+
+        // Varias opciones: completar lo común y listarlas
+        const prefix = commonPrefix(candidates);
+        if (prefix.length > text.length) {
+            this.input.value = prefix;
+        }
+        const base = text.slice(0, text.lastIndexOf(' ') + 1);
+        this.print(candidates.map((candidate) => candidate.slice(base.length)).join('  '), 'info');
+    }
+
+    print(text, type) {
+        const line = createElement('div', `console-line ${type}`, text);
+        this.log.appendChild(line);
+        while (this.log.childElementCount > MAX_LOG_LINES) {
+            this.log.firstElementChild.remove();
+        }
+        this.log.scrollTop = this.log.scrollHeight;
+    }
+}
@@ -0,0 +1,306 @@
+// Órdenes de texto para la consola, en español o en inglés: 'camina adelante 3',
+// 'turn left 90', 'salta', 'dance 5s', 'reset', 'play Wave'... Cada orden se
+// traduce a pasos de coreografía (choreography.js) que ejecuta un secuenciador.
+// Varias órdenes en una línea se separan con ';' o con 'luego' / 'then'.
+//
+// Sin dependencias de navegador: se puede probar en Node.
+import { msg, MessageError } from './i18n.js';
+import { TURN_SPEED } from './choreography.js';
+
+// Palabras de cada orden por idioma. Al analizar valen todas; al autocompletar
+// se proponen las del idioma de la interfaz.
+const COMMAND_WORDS = {
+    walk: { es: ['camina', 'anda', 'avanza'], en: ['walk', 'go', 'move'] },
+    turn: { es: ['gira'], en: ['turn'] },
+    jump: { es: ['salta'], en: ['jump'] },
+    dance: { es: ['baila'], en: ['dance'] },
+    reset: { es: ['reinicia', 'reset'], en: ['reset'] },
+    play: { es: ['reproduce'], en: ['play'] },
+    wait: { es: ['espera'], en: ['wait'] },
+    stop: { es: ['para', 'detente'], en: ['stop'] },
+    clear: { es: ['limpia'], en: ['clear'] },
+    help: { es: ['ayuda'], en: ['help'] }
+};
+
+const DIRECTION_WORDS = {
+    forward: { es: ['adelante', 'delante'], en: ['forward', 'ahead'] },
+    back: { es: ['atras', 'detras'], en: ['back', 'backward', 'backwards'] },
+    left: { es: ['izquierda'], en: ['left'] },
+    right: { es: ['derecha'], en: ['right'] }
+};
+
+// Unidades opcionales detrás de un número
+const UNIT_WORDS = {
+    distance: ['m', 'metro', 'metros', 'paso', 'pasos', 'unidad', 'unidades', 'meter', 'meters', 'step', 'steps', 'unit', 'units'],
+    angle: ['º', '°', 'grado', 'grados', 'deg', 'degree', 'degrees'],
+    seconds: ['s', 'seg', 'segs', 'segundo', 'segundos', 'sec', 'second', 'seconds'],
+    times: ['x', 'vez', 'veces', 'time', 'times']
+};
+
+const SEPARATOR_WORDS = ['luego', 'then'];
+
+// Órdenes que actúan en el momento en vez de encolar pasos
+export const CONTROL_COMMANDS = ['stop', 'clear', 'help'];
+
+const DEFAULT_DISTANCE = 1;
+const DEFAULT_ANGLE = 90;
+const DEFAULT_DANCE = 3;
+const MAX_REPEAT = 20;
+
+// Error de una orden con su mensaje de catálogo (msg), para mostrarlo traducido
+export class CommandError extends MessageError {
+    constructor(key, params = {}) {
+        super(key, params);
+        this.name = 'CommandError';
+    }
+}
+
+// Minúsculas y sin tildes, para comparar palabras
+const fold = (word) => word.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+function lookup(table, word) {
+    const folded = fold(word);
+    return Object.keys(table).find((key) =>
+        Object.values(table[key]).some((words) => words.includes(folded))) ?? null;
+}
+
+// '3', '-2.5', '1,5', '90º', '5s', '2m'...; devuelve null si no es un número
+function parseNumber(word) {
+    const match = /^(-?\d+(?:[.,]\d+)?)([a-zº°]*)$/.exec(fold(word));
+    if (!match) return null;
+
+    const unit = match[2];
+    if (unit && !Object.values(UNIT_WORDS).flat().includes(unit)) return null;
+    return Number(match[1].replace(',', '.'));
+}
+
+// Lee un número opcional (y su unidad, si viene separada) al principio de `words`
+function takeNumber(words, units) {
+    if (words.length === 0) return null;
+
+    const value = parseNumber(words[0]);
+    if (value === null) {
+        throw new CommandError('console.badNumber', { word: words[0] });
+    }
+    words.shift();
+
+    if (words.length > 0 && units.includes(fold(words[0]))) {
+        words.shift();
+    }
+    return value;
+}
+
+function expectEnd(words, command) {
+    if (words.length > 0) {
+        throw new CommandError('console.extraWord', { word: words[0], command });
+    }
+}
+
+const findClip = (clips, name) => clips.find((candidate) => candidate === name)
+    ?? clips.find((candidate) => fold(candidate) === fold(name));
+
+// Nombre de clip (puede tener espacios) con una duración opcional al final
+function takeClip(words, clips, command) {
+    // 'reproduce Wave 2', 'play Wave 2s' o 'play Wave 2 seconds', salvo que
+    // el número sea parte del nombre ('play Take 001')
+    let duration;
+    if (!findClip(clips, words.join(' '))) {
+        const unit = words.length > 2 && UNIT_WORDS.seconds.includes(fold(words[words.length - 1]));
+        const value = words.length > 1 ? parseNumber(words[words.length - (unit ? 2 : 1)]) : null;
+        if (value !== null) {
+            duration = value;
+            words.splice(unit ? -2 : -1);
+        }
+    }
+
+    const name = words.join(' ');
+    if (!name) {
+        throw new CommandError('console.missingClip', { command });
+    }
+
+    const clip = findClip(clips, name);
+    if (!clip) {
+        throw new CommandError('console.unknownClip', {
+            name,
+            clips: clips.length > 0 ? clips.join(', ') : msg('console.noClips')
+        });
+    }
+    return { clip, duration };
+}
+
+const PARSERS = {
+    walk(words, { command }) {
+        let direction = 'forward';
+        let distance = null;
+
+        // 'camina 3 adelante' o 'camina adelante 3'
+        if (words.length > 0 && parseNumber(words[0]) !== null) {
+            distance = takeNumber(words, UNIT_WORDS.distance);
+        }
+        if (words.length > 0) {
+            direction = lookup(DIRECTION_WORDS, words[0]);
+            if (!direction) {
+                throw new CommandError('console.badDirection', { word: words[0] });
+            }
+            words.shift();
+        }
+        if (distance === null) {
+            distance = takeNumber(words, UNIT_WORDS.distance) ?? DEFAULT_DISTANCE;
+        }
+        expectEnd(words, command);
+        return [{ type: 'walk', direction, distance }];
+    },
+
+    turn(words, { command }) {
+        let sign = 1;
+        const direction = words.length > 0 ? lookup(DIRECTION_WORDS, words[0]) : null;
+        if (direction === 'left' || direction === 'right') {
+            sign = direction === 'left' ? 1 : -1;
+            words.shift();
+        } else if (direction) {
+            throw new CommandError('console.badTurn', { word: words[0] });
+        }
+
+        const angle = (takeNumber(words, UNIT_WORDS.angle) ?? DEFAULT_ANGLE) * sign;
+        expectEnd(words, command);
+        return [{ type: 'turn', angle, duration: Math.abs(angle) / TURN_SPEED }];
+    },
+
+    jump(words, { command }) {
+        const times = takeNumber(words, UNIT_WORDS.times) ?? 1;
+        expectEnd(words, command);
+        if (!Number.isInteger(times) || times < 1 || times > MAX_REPEAT) {
+            throw new CommandError('console.badTimes', { max: MAX_REPEAT });
+        }
+        return Array.from({ length: times }, () => ({ type: 'jump' }));
+    },
+
+    dance(words, { command }) {
+        const duration = takeNumber(words, UNIT_WORDS.seconds) ?? DEFAULT_DANCE;
+        expectEnd(words, command);
+        if (duration <= 0) {
+            throw new CommandError('console.badDuration', { command });
+        }
+        return [{ type: 'dance', duration }];
+    },
+
+    reset(words, { command }) {
+        expectEnd(words, command);
+        return [{ type: 'reset' }];
+    },
+
+    play(words, { command, clips }) {
+        const { clip, duration } = takeClip(words, clips, command);
+        return [duration === undefined
+            ? { type: 'play-clip', clip }
+            : { type: 'play-clip', clip, duration }];
+    },
+
+    wait(words, { command }) {
+        const duration = takeNumber(words, UNIT_WORDS.seconds);
+        expectEnd(words, command);
+        if (duration === null || duration < 0) {
+            throw new CommandError('console.badDuration', { command });
+        }
+        return [{ type: 'wait', duration }];
+    }
+};
+
+function parseCommand(words, clips) {
+    const [command, ...rest] = words;
+
+    // 'adelante 3' equivale a 'camina adelante 3'
+    const name = lookup(COMMAND_WORDS, command) ?? (lookup(DIRECTION_WORDS, command) && 'walk');
+    if (!name) {
+        throw new CommandError('console.unknownCommand', { word: command });
+    }
+    if (CONTROL_COMMANDS.includes(name)) {
+        expectEnd(rest, command);
+        return { name };
+    }
+
+    const args = name === 'walk' && !lookup(COMMAND_WORDS, command) ? words : rest;
+    return { name, steps: PARSERS[name]([...args], { command, clips }) };
+}
+
+/**
+ * Analiza una línea de la consola.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string[]} [options.clips] - Nombres de los clips del modelo (para 'play')
+ * @returns {{ name: string, steps?: Object[] }[]} Órdenes en orden; las de
+ *   CONTROL_COMMANDS no llevan pasos
+ * @throws {CommandError}
+ */
+export function parseCommands(text, { clips = [] } = {}) {
+    const commands = [];
+
+    text.split(/[;\n]/).forEach((part) => {
+        let words = [];
+        const flush = () => {
+            if (words.length > 0) commands.push(parseCommand(words, clips));
+            words = [];
+        };
+
+        part.trim().split(/\s+/).filter(Boolean).forEach((word) => {
+            if (SEPARATOR_WORDS.includes(fold(word))) {
+                flush();
+            } else {
+                words.push(word);
+            }
+        });
+        flush();
+    });
+
+    if (commands.length === 0) {
+        throw new CommandError('console.empty');
+    }
+    return commands;
+}
+
+/**
+ * Propuestas para completar la última palabra de `text`.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string[]} [options.clips]
+ * @param {string} [options.language] - Idioma de las palabras propuestas
+ * @returns {string[]} Textos completos de la línea, ordenados
+ */
+export function completeCommand(text, { clips = [], language = 'es' } = {}) {
+    // Solo se completa la última orden de la línea
+    const start = Math.max(text.lastIndexOf(';'), text.lastIndexOf('\n')) + 1;
+    const head = text.slice(0, start) + text.slice(start).match(/^\s*/)[0];
+    const words = text.slice(head.length).split(/\s+/);
+
+    const wordsOf = (table) => Object.values(table).flatMap((languages) => languages[language] ?? languages.en);
+    const finish = (prefix, candidates) => {
+        const last = words[words.length - 1];
+        return [...new Set(candidates)]
+            .filter((candidate) => fold(candidate).startsWith(fold(last)) && candidate !== last)
+            .sort()
+            .map((candidate) => `${head}${prefix}${candidate}`);
+    };
+
+    if (words.length === 1) {
+        return finish('', wordsOf(COMMAND_WORDS));
+    }
+
+    const command = lookup(COMMAND_WORDS, words[0]);
+    const prefix = `${words.slice(0, -1).join(' ')} `;
+
+    if (command === 'play') {
+        // El nombre del clip puede tener espacios: se completa todo lo escrito
+        const typed = words.slice(1).join(' ');
+        return clips
+            .filter((clip) => fold(clip).startsWith(fold(typed)) && clip !== typed)
+            .sort()
+            .map((clip) => `${head}${words[0]} ${clip}`);
+    }
+    if (words.length === 2 && command === 'walk') {
+        return finish(prefix, wordsOf(DIRECTION_WORDS));
+    }
+    if (words.length === 2 && command === 'turn') {
+        return finish(prefix, [...DIRECTION_WORDS.left[language] ?? [], ...DIRECTION_WORDS.right[language] ?? []]);
+    }
+    return [];
+}
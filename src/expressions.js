@@ -0,0 +1,281 @@
+// Expresiones del robot: cada estado de ánimo cambia el brillo y el pulso del
+// visor, el tamaño, la forma y la inclinación de los ojos, la postura de la
+// cabeza y sus variaciones en reposo, con transiciones suaves entre ellos.
+//
+// Funciona con las partes de findRobotParts: `visor` (robot procedural) o,
+// si no hay, las mallas de `eyes` (GLB) para el brillo; `eyes` para la forma
+// y `head` para la postura, que se aplica con el overlay procedural para que
+// el mixer la deshaga en el frame siguiente.
+//
+// Además del ánimo elegido con setMood, hay ánimos automáticos: sorpresa al
+// aterrizar un salto, alegría mientras baila y sueño tras un rato quieto.
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.min.js';
+import { RobotState } from './robotStates.js';
+
+export const MOODS = ['neutral', 'happy', 'sad', 'surprised', 'sleepy', 'angry'];
+
+// Cabezada: baja despacio y se recupera de golpe cada 5 s
+const nod = (t) => {
+    const phase = (t % 5) / 5;
+    return phase < 0.85 ? phase / 0.85 : (1 - phase) / 0.15;
+};
+
+// color: emisivo del visor (null: el del modelo); intensity: factor sobre el
+// brillo del modelo; pulse: [Hz, amplitud]. eyes: escala [ancho, alto];
+// slant: giro de cada ojo (+ baja el lado de dentro). tilt: [cabeceo (+ abajo),
+// ladeo]. blink: intervalo aleatorio entre parpadeos (null: no parpadea).
+// idle: variación de la cabeza en reposo según el tiempo.
+const MOOD_SETTINGS = {
+    neutral: {
+        color: null, intensity: 1, pulse: [0, 0],
+        eyes: [1, 1], slant: 0, tilt: [0, 0], blink: [2, 6],
+        idle: null
+    },
+    happy: {
+        color: 0x2ed573, intensity: 2, pulse: [1.5, 0.3],
+        eyes: [1.15, 0.55], slant: 0, tilt: [-0.1, 0], blink: [2, 5],
+        idle: (t) => ({ roll: Math.sin(t * 2.2) * 0.12 })
+    },
+    sad: {
+        color: 0x3498db, intensity: 0.5, pulse: [0.3, 0.3],
+        eyes: [0.9, 0.7], slant: -0.3, tilt: [0.35, 0.06], blink: [4, 8],
+        idle: (t) => ({ pitch: Math.max(0, Math.sin(t * 0.4)) * 0.12 })
+    },
+    surprised: {
+        color: 0xffd32a, intensity: 2.5, pulse: [6, 0.15],
+        eyes: [1.4, 1.4], slant: 0, tilt: [-0.2, 0], blink: null,
+        idle: null
+    },
+    sleepy: {
+        color: 0x8e44ad, intensity: 0.35, pulse: [0.25, 0.6],
+        eyes: [1.1, 0.2], slant: 0, tilt: [0.2, 0.18], blink: null,
+        idle: (t) => ({ pitch: nod(t) * 0.25 })
+    },
+    angry: {
+        color: 0xff4757, intensity: 2, pulse: [9, 0.2],
+        eyes: [1.1, 0.5], slant: 0.35, tilt: [0.15, 0], blink: [3, 7],
+        idle: (t) => ({ yaw: Math.sin(t * 23) * 0.04 })
+    }
+};
+
+const BLEND_SPEED = 5;          // rapidez de las transiciones entre ánimos
+const BLINK_DURATION = 0.15;
+const SURPRISE_DURATION = 1.2;
+const DEFAULT_SLEEP_AFTER = 30; // segundos quieto hasta dormirse
+
+const damp = (current, target, dt) => THREE.MathUtils.lerp(current, target, 1 - Math.exp(-BLEND_SPEED * dt));
+const randomBetween = ([min, max]) => min + Math.random() * (max - min);
+
+const _euler = new THREE.Euler();
+const _rotation = new THREE.Quaternion();
+const _color = new THREE.Color();
+
+// Mallas de una parte (ella misma o sus descendientes)
+function meshesOf(part) {
+    const meshes = [];
+    part?.traverse((child) => {
+        if (child.isMesh) meshes.push(child);
+    });
+    return meshes;
+}
+
+export class ExpressionController {
+    constructor(controller, overlay, { sleepAfter = DEFAULT_SLEEP_AFTER } = {}) {
+        this.controller = controller;
+        this.overlay = overlay;
+        this.sleepAfter = sleepAfter;
+        this.listeners = new Set();
+
+        this.baseMood = 'neutral';  // el elegido con setMood
+        this.temporary = null;      // { mood, remaining } con duración
+        this.current = 'neutral';   // el que se muestra
+
+        this.time = 0;
+        this.blink = { next: randomBetween(MOOD_SETTINGS.neutral.blink), elapsed: null };
+        this.state = { color: new THREE.Color(), intensity: 1, pulse: 0, eyesX: 1, eyesY: 1, slant: 0, pitch: 0, roll: 0, yaw: 0 };
+
+        this.head = null;
+        this.glows = [];    // { mesh, material, baseColor, baseIntensity }
+        this.eyes = [];     // { object, scale, rotationZ, side }
+
+        controller.onStateChange(({ to }) => {
+            if (to === RobotState.LANDING) {
+                this.temporary = { mood: 'surprised', remaining: SURPRISE_DURATION };
+            }
+        });
+    }
+
+    setRobot(robot, parts = {}) {
+        // Devolver a cada malla su material original
+        this.glows.forEach(({ mesh, material }) => {
+            mesh.material.dispose();
+            mesh.material = material;
+        });
+        this.eyes.forEach(({ object, scale, rotationZ }) => {
+            object.scale.copy(scale);
+            object.rotation.z = rotationZ;
+        });
+        this.glows = [];
+        this.eyes = [];
+        this.head = null;
+        if (!robot) return;
+
+        this.head = parts.head ?? null;
+
+        // Los clones de un GLB comparten materiales: cada robot brilla con una copia
+        const glowMeshes = parts.visor ? [parts.visor] : meshesOf(parts.eyes);
+        glowMeshes.forEach((mesh) => {
+            const { material } = mesh;
+            if (Array.isArray(material) || !material.emissive) return;
+            mesh.material = material.clone();
+            this.glows.push({
+                mesh,
+                material,
+                baseColor: material.emissive.clone(),
+                baseIntensity: material.emissiveIntensity
+            });
+        });
+
+        // Dos ojos o más se deforman por separado (la inclinación depende del lado)
+        const eyes = parts.eyes;
+        if (eyes) {
+            robot.updateMatrixWorld(true);
+            const targets = eyes.children.length >= 2 ? eyes.children : [eyes];
+            this.eyes = targets.map((object) => {
+                const local = robot.worldToLocal(object.getWorldPosition(new THREE.Vector3()));
+                return {
+                    object,
+                    scale: object.scale.clone(),
+                    rotationZ: object.rotation.z,
+                    side: targets.length > 1 ? Math.sign(local.x) : 0
+                };
+            });
+        }
+
+        this.state.color.copy(this.glows[0]?.baseColor ?? this.state.color);
+    }
+
+    get mood() {
+        return this.current;
+    }
+
+    // Elegir el ánimo; con `duration` (segundos) solo dura ese rato y luego
+    // vuelve el anterior
+    setMood(mood, { duration } = {}) {
+        if (!MOODS.includes(mood)) {
+            throw new Error(`Estado de ánimo desconocido "${mood}"`);
+        }
+        if (duration > 0) {
+            this.temporary = { mood, remaining: duration };
+        } else {
+            this.baseMood = mood;
+            this.temporary = null;
+        }
+        this.updateMood();
+    }
+
+    // Ánimo que toca ahora: el temporal, los automáticos o el elegido
+    resolveMood() {
+        const { controller } = this;
+        if (this.temporary) return this.temporary.mood;
+        if (controller.is(RobotState.DANCING)) return 'happy';
+        if (controller.is(RobotState.IDLE) && controller.stateMachine.timeInState > this.sleepAfter) return 'sleepy';
+        return this.baseMood;
+    }
+
+    updateMood() {
+        const mood = this.resolveMood();
+        if (mood === this.current) return;
+
+        const from = this.current;
+        this.current = mood;
+        this.emit({ mood, from });
+    }
+
+    // Después del overlay procedural, que deshace también la postura de la cabeza
+    update(delta) {
+        this.time += delta;
+        if (this.temporary) {
+            this.temporary.remaining -= delta;
+            if (this.temporary.remaining <= 0) this.temporary = null;
+        }
+        this.updateMood();
+
+        const settings = MOOD_SETTINGS[this.current];
+        const idle = this.controller.is(RobotState.IDLE) && settings.idle ? settings.idle(this.time) : {};
+        const state = this.state;
+
+        state.intensity = damp(state.intensity, settings.intensity, delta);
+        state.pulse = damp(state.pulse, settings.pulse[1], delta);
+        state.eyesX = damp(state.eyesX, settings.eyes[0], delta);
+        state.eyesY = damp(state.eyesY, settings.eyes[1], delta);
+        state.slant = damp(state.slant, settings.slant, delta);
+        state.pitch = damp(state.pitch, settings.tilt[0] + (idle.pitch ?? 0), delta);
+        state.roll = damp(state.roll, settings.tilt[1] + (idle.roll ?? 0), delta);
+        state.yaw = damp(state.yaw, idle.yaw ?? 0, delta);
+
+        this.updateGlow(settings, delta);
+        this.updateEyes(this.updateBlink(settings, delta));
+        this.updateHead();
+    }
+
+    updateGlow(settings, delta) {
+        if (this.glows.length === 0) return;
+
+        const target = settings.color === null ? this.glows[0].baseColor : _color.setHex(settings.color);
+        this.state.color.lerp(target, 1 - Math.exp(-BLEND_SPEED * delta));
+
+        const [frequency] = settings.pulse;
+        const pulse = 1 + this.state.pulse * Math.sin(this.time * frequency * Math.PI * 2);
+        this.glows.forEach(({ mesh, baseIntensity }) => {
+            mesh.material.emissive.copy(this.state.color);
+            mesh.material.emissiveIntensity = baseIntensity * this.state.intensity * pulse;
+        });
+    }
+
+    // Devuelve cuánto están cerrados los ojos por el parpadeo (0..1)
+    updateBlink(settings, delta) {
+        const blink = this.blink;
+        if (blink.elapsed !== null) {
+            blink.elapsed += delta;
+            if (blink.elapsed < BLINK_DURATION) {
+                return Math.sin(blink.elapsed / BLINK_DURATION * Math.PI);
+            }
+            blink.elapsed = null;
+            blink.next = settings.blink ? randomBetween(settings.blink) : 0;
+        }
+
+        if (!settings.blink) return 0;
+        blink.next -= delta;
+        if (blink.next <= 0) blink.elapsed = 0;
+        return 0;
+    }
+
+    updateEyes(closed) {
+        const { eyesX, eyesY, slant } = this.state;
+        this.eyes.forEach(({ object, scale, rotationZ, side }) => {
+            object.scale.set(scale.x * eyesX, scale.y * eyesY * (1 - 0.9 * closed), scale.z);
+            object.rotation.z = rotationZ + side * slant;
+        });
+    }
+
+    updateHead() {
+        const { pitch, roll, yaw } = this.state;
+        if (!this.head || !this.overlay.robot) return;
+        if (Math.abs(pitch) + Math.abs(roll) + Math.abs(yaw) < 0.001) return;
+
+        _rotation.setFromEuler(_euler.set(pitch, yaw, roll, 'YXZ'));
+        this.overlay.applyRobotSpaceRotation(this.head, _rotation);
+    }
+
+    // Suscribirse a los cambios del ánimo que se muestra ({ mood, from }).
+    // Devuelve la función para desuscribirse.
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit(event) {
+        this.listeners.forEach((listener) => listener(event));
+    }
+}
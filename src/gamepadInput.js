@@ -0,0 +1,109 @@
+// Mando (Gamepad API, mapeo estándar): el stick izquierdo mueve el robot con
+// velocidad analógica, el derecho orbita la cámara, los gatillos hacen zoom y
+// los botones disparan acciones. Se consulta una vez por frame con poll().
+
+// Botones del mapeo estándar → acción
+const BUTTON_ACTIONS = {
+    0: 'jump',        // A / ✕
+    1: 'dance',       // B / ○
+    2: 'wave',        // X / □
+    3: 'point',       // Y / △
+    5: 'cameraMode',  // RB / R1
+    8: 'reset'        // Back / Share
+};
+
+const DEAD_ZONE = 0.15;
+const ORBIT_SPEED = 600;   // píxeles de arrastre equivalentes por segundo
+const ZOOM_SPEED = 1500;   // unidades de rueda por segundo
+
+// Eje con zona muerta, reescalado para que empiece en 0 al salir de ella
+function applyDeadZone(value) {
+    if (Math.abs(value) < DEAD_ZONE) return 0;
+    return Math.sign(value) * (Math.abs(value) - DEAD_ZONE) / (1 - DEAD_ZONE);
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export class GamepadInput {
+    // handlers: { onAction(action, pressed), onAxis(x, z), onOrbit(dx, dy), onZoom(deltaY) }
+    constructor(handlers) {
+        this.handlers = handlers;
+        this.index = null;
+        this.buttons = {};
+        this.axis = { x: 0, z: 0 };
+
+        this.onConnected = (e) => {
+            this.index = e.gamepad.index;
+            console.log(`🎮 Mando conectado: ${e.gamepad.id}`);
+        };
+
+        this.onDisconnected = (e) => {
+            if (e.gamepad.index !== this.index) return;
+            this.index = null;
+            this.releaseAll();
+            console.log('🎮 Mando desconectado');
+        };
+
+        window.addEventListener('gamepadconnected', this.onConnected);
+        window.addEventListener('gamepaddisconnected', this.onDisconnected);
+    }
+
+    dispose() {
+        window.removeEventListener('gamepadconnected', this.onConnected);
+        window.removeEventListener('gamepaddisconnected', this.onDisconnected);
+        this.index = null;
+    }
+
+    get connected() {
+        return this.index !== null;
+    }
+
+    poll(dt) {
+        if (!this.connected || !navigator.getGamepads) return;
+
+        const pad = navigator.getGamepads()[this.index];
+        if (!pad) return;
+
+        // Botones: avisar solo en los cambios
+        Object.entries(BUTTON_ACTIONS).forEach(([button, action]) => {
+            const pressed = Boolean(pad.buttons[button]?.pressed);
+            if (pressed !== Boolean(this.buttons[button])) {
+                this.buttons[button] = pressed;
+                this.handlers.onAction?.(action, pressed);
+            }
+        });
+
+        // Stick izquierdo: movimiento (redondeado para no emitir ruido del sensor)
+        const x = round(applyDeadZone(pad.axes[0] ?? 0));
+        const z = round(applyDeadZone(pad.axes[1] ?? 0));
+        if (x !== this.axis.x || z !== this.axis.z) {
+            this.axis = { x, z };
+            this.handlers.onAxis?.(x, z);
+        }
+
+        // Stick derecho: cámara
+        const lookX = applyDeadZone(pad.axes[2] ?? 0);
+        const lookY = applyDeadZone(pad.axes[3] ?? 0);
+        if (lookX || lookY) {
+            this.handlers.onOrbit?.(round(lookX * ORBIT_SPEED * dt), round(lookY * ORBIT_SPEED * dt));
+        }
+
+        // Gatillos: LT aleja, RT acerca
+        const zoom = (pad.buttons[6]?.value ?? 0) - (pad.buttons[7]?.value ?? 0);
+        if (Math.abs(zoom) > 0.05) {
+            this.handlers.onZoom?.(round(zoom * ZOOM_SPEED * dt));
+        }
+    }
+
+    releaseAll() {
+        Object.entries(this.buttons).forEach(([button, pressed]) => {
+            if (pressed) this.handlers.onAction?.(BUTTON_ACTIONS[button], false);
+        });
+        this.buttons = {};
+
+        if (this.axis.x || this.axis.z) {
+            this.axis = { x: 0, z: 0 };
+            this.handlers.onAxis?.(0, 0);
+        }
+    }
+}
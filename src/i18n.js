@@ -0,0 +1,111 @@
+// Traducción de la interfaz y los mensajes. Los textos están en catálogos por
+// idioma (src/locales/<código>.js) con claves del tipo 'robots.selected'
+// y parámetros entre llaves: '{name} se ha unido'.
+//
+// En el marcado, los elementos llevan la clave en `data-i18n` (texto),
+// `data-i18n-title` o `data-i18n-placeholder`, y translate(root) los rellena.
+import * as CATALOGS from './locales/index.js';
+
+// Idioma de los textos que falten en otro catálogo
+export const DEFAULT_LANGUAGE = 'es';
+
+export const LANGUAGES = Object.keys(CATALOGS);
+
+// Nombre de cada idioma en su propio idioma, para el selector
+export const LANGUAGE_NAMES = Object.fromEntries(
+    LANGUAGES.map((code) => [code, CATALOGS[code].name]));
+
+const ATTRIBUTES = [
+    ['i18n', 'textContent'],
+    ['i18nTitle', 'title'],
+    ['i18nPlaceholder', 'placeholder']
+];
+
+// Primer idioma disponible de los preferidos ('en-GB' vale para 'en')
+export function detectLanguage(preferred = globalThis.navigator?.languages ?? []) {
+    for (const tag of preferred) {
+        const code = tag.toLowerCase();
+        if (LANGUAGES.includes(code)) return code;
+
+        const base = code.split('-')[0];
+        if (LANGUAGES.includes(base)) return base;
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+// Mensaje pendiente de traducir, para showStatus y reportError: así se
+// puede volver a mostrar en otro idioma
+export const msg = (key, params = {}) => ({ key, params });
+
+// Error para mostrar al usuario: `detail` es el mensaje de msg(), que se
+// traduce al mostrarlo, y `message` el texto en el idioma por defecto
+export class MessageError extends Error {
+    constructor(key, params = {}) {
+        super(new Translator().t(key, params));
+        this.name = 'MessageError';
+        this.detail = msg(key, params);
+    }
+}
+
+// Parámetro `error` de los mensajes de fallo: el traducible de un
+// MessageError o, si no lo es, el texto del error
+export const errorDetail = (error) => error?.detail ?? error?.message;
+
+export class Translator {
+    constructor(language = DEFAULT_LANGUAGE) {
+        this.language = DEFAULT_LANGUAGE;
+        this.listeners = new Set();
+        this.setLanguage(language);
+    }
+
+    get messages() {
+        return CATALOGS[this.language].messages;
+    }
+
+    // Devuelve false si no hay catálogo para `language`
+    setLanguage(language) {
+        if (!LANGUAGES.includes(language)) return false;
+        if (language === this.language) return true;
+
+        this.language = language;
+        this.listeners.forEach((listener) => listener(language));
+        return true;
+    }
+
+    has(key) {
+        return key in this.messages || key in CATALOGS[DEFAULT_LANGUAGE].messages;
+    }
+
+    // Texto de `key` con los parámetros sustituidos; los parámetros pueden
+    // ser a su vez mensajes de msg(). Si falta en todos los catálogos se
+    // devuelve la clave.
+    t(key, params = {}) {
+        const text = this.messages[key] ?? CATALOGS[DEFAULT_LANGUAGE].messages[key] ?? key;
+        return text.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = params[name];
+            if (value === undefined) return match;
+            return value?.key ? this.t(value.key, value.params) : String(value);
+        });
+    }
+
+    // Texto de un mensaje de msg(); los textos ya hechos se devuelven tal cual
+    format(message) {
+        return typeof message === 'string' ? message : this.t(message.key, message.params);
+    }
+
+    // Rellenar los elementos con data-i18n* dentro de `root`
+    translate(root) {
+        ATTRIBUTES.forEach(([attribute, property]) => {
+            const selector = `[data-${attribute.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}]`;
+            root.querySelectorAll(selector).forEach((element) => {
+                element[property] = this.t(element.dataset[attribute]);
+            });
+        });
+    }
+
+    // Suscribirse a los cambios de idioma. Devuelve la función para desuscribirse.
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
@@ -0,0 +1,107 @@
+// Acciones del robot y teclas asignadas a cada una, guardadas en localStorage
+import { loadJSON, saveJSON } from './storage.js';
+
+// Los nombres visibles están en los catálogos de idioma ('action.<acción>')
+export const ACTIONS = [
+    'moveUp', 'moveDown', 'moveLeft', 'moveRight',
+    'jump', 'dance', 'reset', 'wave', 'point',
+    'cameraMode', 'flyUp', 'flyDown', 'nextRobot', 'console', 'mute'
+];
+
+// Orden en que se muestran las teclas de movimiento
+export const MOVE_ACTIONS = ['moveUp', 'moveLeft', 'moveDown', 'moveRight'];
+
+// Teclas por acción (cada acción admite dos)
+export const BINDING_SLOTS = 2;
+
+export const DEFAULT_BINDINGS = {
+    moveUp: ['ArrowUp', 'KeyW'],
+    moveDown: ['ArrowDown', 'KeyS'],
+    moveLeft: ['ArrowLeft', 'KeyA'],
+    moveRight: ['ArrowRight', 'KeyD'],
+    jump: ['Space', null],
+    dance: ['KeyQ', null],
+    reset: ['KeyR', null],
+    wave: ['KeyE', null],
+    point: ['KeyF', null],
+    cameraMode: ['KeyC', null],
+    flyUp: ['PageUp', 'KeyX'],
+    flyDown: ['PageDown', 'KeyZ'],
+    nextRobot: ['KeyN', null],
+    console: ['Backquote', null],
+    mute: ['KeyM', null]
+};
+
+const STORAGE_KEY = 'keyBindings';
+
+// Teclas con el mismo nombre en todos los idiomas; las demás con nombre
+// propio están en los catálogos ('key.<code>')
+const KEY_LABELS = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ShiftLeft: 'Shift',
+    ControlLeft: 'Ctrl',
+    AltLeft: 'Alt',
+    Tab: 'Tab'
+};
+
+// Texto legible para un `KeyboardEvent.code`, traducido con `i18n` (Translator)
+export function keyLabel(code, i18n) {
+    if (!code) return '—';
+    if (i18n?.has(`key.${code}`)) return i18n.t(`key.${code}`);
+    if (KEY_LABELS[code]) return KEY_LABELS[code];
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (/^Numpad\d$/.test(code)) return `Num ${code.slice(6)}`;
+    return code;
+}
+
+function normalize(saved) {
+    const bindings = {};
+    ACTIONS.forEach((action) => {
+        const codes = Array.isArray(saved?.[action]) ? saved[action] : DEFAULT_BINDINGS[action];
+        bindings[action] = Array.from({ length: BINDING_SLOTS }, (_, slot) => codes[slot] || null);
+    });
+    return bindings;
+}
+
+export class InputBindings {
+    constructor() {
+        this.bindings = normalize(loadJSON(STORAGE_KEY, DEFAULT_BINDINGS));
+    }
+
+    get(action) {
+        return this.bindings[action].filter(Boolean);
+    }
+
+    actionForCode(code) {
+        return Object.keys(this.bindings).find((action) => this.bindings[action].includes(code)) || null;
+    }
+
+    // Asignar una tecla; se quita de cualquier otra acción que la tuviera
+    set(action, slot, code) {
+        Object.values(this.bindings).forEach((codes) => {
+            codes.forEach((existing, index) => {
+                if (existing === code) codes[index] = null;
+            });
+        });
+        this.bindings[action][slot] = code;
+        this.save();
+    }
+
+    clear(action, slot) {
+        this.bindings[action][slot] = null;
+        this.save();
+    }
+
+    resetDefaults() {
+        this.bindings = normalize(DEFAULT_BINDINGS);
+        this.save();
+    }
+
+    save() {
+        saveJSON(STORAGE_KEY, this.bindings);
+    }
+}
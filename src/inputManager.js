@@ -0,0 +1,60 @@
+// Estado de entrada por acciones: acciones mantenidas (teclado, gamepad,
+// botones) y ejes analógicos de movimiento por dispositivo (joystick táctil,
+// stick del gamepad). Los dispositivos se traducen a acciones antes de llegar
+// aquí, así el resto del visor no depende de teclas concretas.
+import { MOVE_ACTIONS } from './inputBindings.js';
+
+export class InputManager {
+    constructor() {
+        this.held = new Set();
+        this.axes = {};
+    }
+
+    // Devuelve true si la acción no estaba ya pulsada
+    press(action) {
+        if (this.held.has(action)) return false;
+        this.held.add(action);
+        return true;
+    }
+
+    release(action) {
+        this.held.delete(action);
+    }
+
+    isHeld(action) {
+        return this.held.has(action);
+    }
+
+    // Eje analógico de movimiento de un dispositivo, en -1..1
+    setAxis(source, x, z) {
+        if (x === 0 && z === 0) {
+            delete this.axes[source];
+        } else {
+            this.axes[source] = { x, z };
+        }
+    }
+
+    // Vector de movimiento combinado de todos los dispositivos, longitud <= 1
+    getMoveVector() {
+        const [up, left, down, right] = MOVE_ACTIONS.map((action) => (this.held.has(action) ? 1 : 0));
+        let x = right - left;
+        let z = down - up;
+
+        Object.values(this.axes).forEach((axis) => {
+            x += axis.x;
+            z += axis.z;
+        });
+
+        const length = Math.hypot(x, z);
+        if (length > 1) {
+            x /= length;
+            z /= length;
+        }
+        return { x, z };
+    }
+
+    clear() {
+        this.held.clear();
+        this.axes = {};
+    }
+}
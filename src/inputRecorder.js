@@ -0,0 +1,110 @@
+// Grabación y reproducción determinista de sesiones de entrada.
+//
+// Una sesión guarda el delta de cada frame y los eventos de entrada asociados
+// al frame en el que se aplicaron. Al reproducirla se usan esos mismos deltas
+// en lugar del reloj real, así la simulación avanza exactamente igual.
+//
+// {
+//   "version": 4,
+//   "initial": { ...estado inicial de los robots y la cámara },
+//   "frames": [0.016, 0.017, ...],
+//   "events": [{ "frame": 12, "time": 0.2, "type": "actionDown", "action": "jump" }, ...]
+// }
+import { MessageError } from './i18n.js';
+
+export const SESSION_VERSION = 4;
+
+export const INPUT_TYPES = ['actionDown', 'actionUp', 'axis', 'click', 'orbit', 'zoom', 'moveTo', 'select'];
+
+export class InputRecorder {
+    constructor() {
+        this.recording = false;
+        this.session = null;
+        this.time = 0;
+    }
+
+    start(initial) {
+        this.recording = true;
+        this.time = 0;
+        this.session = {
+            version: SESSION_VERSION,
+            createdAt: new Date().toISOString(),
+            initial,
+            frames: [],
+            events: []
+        };
+    }
+
+    // Registrar un evento; se aplica antes del siguiente frame
+    recordEvent(event) {
+        if (!this.recording) return;
+        this.session.events.push({
+            frame: this.session.frames.length,
+            time: this.time,
+            ...event
+        });
+    }
+
+    recordFrame(dt) {
+        if (!this.recording) return;
+        this.session.frames.push(dt);
+        this.time += dt;
+    }
+
+    stop() {
+        this.recording = false;
+        return this.session;
+    }
+}
+
+// Valida una sesión (objeto o texto JSON)
+export function parseSession(data) {
+    const session = typeof data === 'string' ? JSON.parse(data) : data;
+
+    if (session?.version !== SESSION_VERSION) {
+        throw new MessageError('session.errorVersion');
+    }
+    if (!Array.isArray(session.frames) || !Array.isArray(session.events)) {
+        throw new MessageError('session.errorFrames');
+    }
+    if (session.events.some((event) => !INPUT_TYPES.includes(event.type))) {
+        throw new MessageError('session.errorEvents');
+    }
+
+    return session;
+}
+
+export class InputReplayer {
+    constructor() {
+        this.session = null;
+        this.frame = 0;
+        this.eventIndex = 0;
+    }
+
+    get active() {
+        return this.session !== null;
+    }
+
+    start(session) {
+        this.session = parseSession(session);
+        this.frame = 0;
+        this.eventIndex = 0;
+    }
+
+    // Devuelve { dt, events } del siguiente frame, o null al terminar
+    nextFrame() {
+        if (!this.session || this.frame >= this.session.frames.length) return null;
+
+        const { frames, events } = this.session;
+        const frameEvents = [];
+        while (this.eventIndex < events.length && events[this.eventIndex].frame <= this.frame) {
+            frameEvents.push(events[this.eventIndex++]);
+        }
+
+        return { dt: frames[this.frame++], events: frameEvents };
+    }
+
+    stop() {
+        this.session = null;
+    }
+}
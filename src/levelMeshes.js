@@ -0,0 +1,66 @@
+// Mallas 3D para los obstáculos de un nivel (ver collision.js)
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.min.js';
+
+const OBSTACLE_COLOR = 0x34495e;
+const EDGE_COLOR = 0x3498db;
+
+function createObstacleMesh(obstacle, material) {
+    let mesh;
+
+    switch (obstacle.type) {
+        case 'box':
+            mesh = new THREE.Mesh(
+                new THREE.BoxGeometry(obstacle.width, obstacle.height, obstacle.depth),
+                material
+            );
+            mesh.position.set(obstacle.x, obstacle.height / 2, obstacle.z);
+            break;
+
+        case 'wall': {
+            const [ax, az] = obstacle.from;
+            const [bx, bz] = obstacle.to;
+            const length = Math.hypot(bx - ax, bz - az);
+            mesh = new THREE.Mesh(
+                new THREE.BoxGeometry(obstacle.thickness, obstacle.height, length + obstacle.thickness),
+                material
+            );
+            mesh.position.set((ax + bx) / 2, obstacle.height / 2, (az + bz) / 2);
+            mesh.rotation.y = Math.atan2(bx - ax, bz - az);
+            break;
+        }
+
+        case 'pillar':
+            mesh = new THREE.Mesh(
+                new THREE.CylinderGeometry(obstacle.radius, obstacle.radius, obstacle.height, 24),
+                material
+            );
+            mesh.position.set(obstacle.x, obstacle.height / 2, obstacle.z);
+            break;
+    }
+
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+
+    // Bordes luminosos
+    const edges = new THREE.LineSegments(
+        new THREE.EdgesGeometry(mesh.geometry),
+        new THREE.LineBasicMaterial({ color: EDGE_COLOR, transparent: true, opacity: 0.6 })
+    );
+    mesh.add(edges);
+
+    return mesh;
+}
+
+export function buildLevelMeshes(level) {
+    const group = new THREE.Group();
+    group.name = `Level:${level.name}`;
+
+    const material = new THREE.MeshStandardMaterial({
+        color: OBSTACLE_COLOR,
+        roughness: 0.5,
+        metalness: 0.5
+    });
+
+    level.obstacles.forEach((obstacle) => group.add(createObstacleMesh(obstacle, material)));
+    return group;
+}
@@ -0,0 +1,90 @@
+// Panel de ambiente: elegir preset (con transición), ajustar la exposición en
+// vivo y cargar, exportar o quitar presets propios en JSON.
+import { downloadJSON } from './download.js';
+import { msg, errorDetail } from './i18n.js';
+
+const EXPOSURE_RANGE = { min: 0.3, max: 2.5, step: 0.05 };
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+export class LightingPanel {
+    constructor(viewer, container) {
+        this.viewer = viewer;
+        this.container = container;
+
+        this.fileInput = createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.json,application/json';
+        this.fileInput.addEventListener('change', () => this.loadFile());
+    }
+
+    // Mostrar u ocultar el panel; devuelve si queda visible
+    toggle() {
+        const visible = this.container.classList.toggle('visible');
+        this.render();
+        return visible;
+    }
+
+    render() {
+        if (!this.container.classList.contains('visible')) return;
+
+        const viewer = this.viewer;
+        this.container.replaceChildren();
+        this.container.appendChild(createElement('h3', null, viewer.t('lighting.title')));
+
+        Object.entries(viewer.lightingPresets).forEach(([id, preset]) => {
+            const row = createElement('div', 'preset-row');
+            // Los presets incluidos tienen nombre en los catálogos; los propios, el suyo
+            const key = `lighting.preset.${id}`;
+            const name = viewer.i18n.has(key) ? viewer.t(key) : preset.name;
+            const button = createElement('button', 'action-btn toggle-btn', name);
+            button.classList.toggle('active', id === viewer.lightingPreset);
+            button.addEventListener('click', () => viewer.setLightingPreset(id));
+            row.appendChild(button);
+
+            if (viewer.customPresetIds.has(id)) {
+                const remove = createElement('button', 'binding-key', '✕');
+                remove.title = viewer.t('lighting.remove');
+                remove.addEventListener('click', () => viewer.removeLightingPreset(id));
+                row.appendChild(remove);
+            }
+            this.container.appendChild(row);
+        });
+
+        const exposureRow = createElement('label', 'clip-role', viewer.t('lighting.exposure'));
+        const exposure = createElement('input', 'clip-range');
+        Object.assign(exposure, { type: 'range', ...EXPOSURE_RANGE });
+        exposure.value = viewer.lightingRig.exposure;
+        exposure.addEventListener('input', () => viewer.setExposure(Number(exposure.value)));
+        exposureRow.appendChild(exposure);
+        this.container.appendChild(exposureRow);
+
+        const loadBtn = createElement('button', 'action-btn', viewer.t('lighting.load'));
+        loadBtn.addEventListener('click', () => this.fileInput.click());
+        const exportBtn = createElement('button', 'action-btn', viewer.t('lighting.export'));
+        exportBtn.addEventListener('click', () => {
+            const preset = { ...viewer.lightingPresets[viewer.lightingPreset], exposure: viewer.lightingRig.exposure };
+            downloadJSON(preset, `ambiente-${viewer.lightingPreset}.json`);
+        });
+        this.container.append(loadBtn, exportBtn);
+    }
+
+    async loadFile() {
+        const file = this.fileInput.files[0];
+        this.fileInput.value = '';
+        if (!file) return;
+
+        try {
+            const id = this.viewer.addLightingPreset(await file.text());
+            this.viewer.setLightingPreset(id);
+            this.viewer.showStatus(msg('lighting.added', { name: this.viewer.lightingPresets[id].name }), 'success');
+        } catch (error) {
+            this.viewer.reportError(msg('lighting.invalid', { error: errorDetail(error) }), error);
+        }
+    }
+}
@@ -0,0 +1,159 @@
+// Ambientes predefinidos: luces, niebla, fondo (degradado o cielo procedural),
+// suelo, rejilla, partículas y exposición. Sin dependencias de Three.js; los
+// aplica LightingRig. Un preset propio en JSON puede definir solo una parte:
+// el resto se toma del ambiente original.
+//
+// {
+//   "name": "Mi estudio",
+//   "background": { "type": "gradient", "top": "#dfe6ee", "bottom": "#8795a1" },
+//   "background": { "type": "sky", "top": "#1e3c72", "bottom": "#ff9a5a",
+//                   "sun": "#ffd27f", "sunElevation": 8, "sunAzimuth": 210 },
+//   "fog": { "color": "#8795a1", "near": 15, "far": 70 },        // null: sin niebla
+//   "lights": {
+//     "ambient": { "color": "#ffffff", "intensity": 0.5 },
+//     "main": { ... }, "accent1": { ... }, "accent2": { ... }, "fill": { ... }
+//   },
+//   "floor": { "color": "#c8ccd0", "roughness": 0.9, "metalness": 0 },
+//   "grid": false,
+//   "particles": { "color": "#ffffff", "opacity": 0 },
+//   "exposure": 1
+// }
+import { msg, MessageError } from './i18n.js';
+
+export const LIGHT_NAMES = ['ambient', 'main', 'accent1', 'accent2', 'fill'];
+
+const BACKGROUND_TYPES = ['gradient', 'sky'];
+
+const toHex = (color) => `#${color.toString(16).padStart(6, '0')}`;
+
+// El ambiente de siempre, con los colores de las opciones del visor
+export function createOriginalPreset(colors) {
+    return {
+        name: 'Original',
+        background: { type: 'gradient', top: toHex(colors.background), bottom: toHex(colors.background) },
+        fog: { color: toHex(colors.background), near: 10, far: 50 },
+        lights: {
+            ambient: { color: '#404040', intensity: 0.4 },
+            main: { color: '#ffffff', intensity: 1.2 },
+            accent1: { color: '#3498db', intensity: 0.8 },
+            accent2: { color: '#2980b9', intensity: 0.6 },
+            fill: { color: '#87ceeb', intensity: 0.3 }
+        },
+        floor: { color: toHex(colors.floor), roughness: 0.7, metalness: 0.3 },
+        grid: true,
+        particles: { color: '#3498db', opacity: 0.4 },
+        exposure: 1.2
+    };
+}
+
+export const LIGHTING_PRESETS = {
+    studio: {
+        name: 'Estudio',
+        background: { type: 'gradient', top: '#f5f7fa', bottom: '#9aa5b1' },
+        fog: { color: '#c3cbd3', near: 25, far: 90 },
+        lights: {
+            ambient: { color: '#ffffff', intensity: 0.6 },
+            main: { color: '#ffffff', intensity: 1.1 },
+            accent1: { color: '#ffffff', intensity: 0.3 },
+            accent2: { color: '#ffffff', intensity: 0.3 },
+            fill: { color: '#e8f0ff', intensity: 0.5 }
+        },
+        floor: { color: '#d5d9de', roughness: 0.9, metalness: 0 },
+        grid: false,
+        particles: { color: '#ffffff', opacity: 0 },
+        exposure: 1
+    },
+    sunset: {
+        name: 'Atardecer',
+        background: { type: 'sky', top: '#2b3a67', bottom: '#ff8c5a', sun: '#ffd27f', sunElevation: 6, sunAzimuth: 215 },
+        fog: { color: '#e0896a', near: 20, far: 80 },
+        lights: {
+            ambient: { color: '#5a4060', intensity: 0.5 },
+            main: { color: '#ffb36b', intensity: 1.4 },
+            accent1: { color: '#ff6f61', intensity: 0.6 },
+            accent2: { color: '#ffa45c', intensity: 0.4 },
+            fill: { color: '#6a7fdb', intensity: 0.35 }
+        },
+        floor: { color: '#6b4f4f', roughness: 0.8, metalness: 0.1 },
+        grid: false,
+        particles: { color: '#ffd27f', opacity: 0.3 },
+        exposure: 1.1
+    },
+    nightLab: {
+        name: 'Laboratorio nocturno',
+        background: { type: 'gradient', top: '#05070d', bottom: '#0f1f2a' },
+        fog: { color: '#08121a', near: 6, far: 35 },
+        lights: {
+            ambient: { color: '#1a2a3a', intensity: 0.3 },
+            main: { color: '#9fc9ff', intensity: 0.6 },
+            accent1: { color: '#00ffc8', intensity: 1.2 },
+            accent2: { color: '#0077ff', intensity: 1 },
+            fill: { color: '#203040', intensity: 0.2 }
+        },
+        floor: { color: '#101820', roughness: 0.4, metalness: 0.7 },
+        grid: true,
+        particles: { color: '#00ffc8', opacity: 0.6 },
+        exposure: 1.3
+    },
+    neon: {
+        name: 'Neón',
+        background: { type: 'gradient', top: '#12002b', bottom: '#3d0066' },
+        fog: { color: '#22003f', near: 8, far: 45 },
+        lights: {
+            ambient: { color: '#2a0a4a', intensity: 0.4 },
+            main: { color: '#ff66cc', intensity: 0.9 },
+            accent1: { color: '#ff00aa', intensity: 1.5 },
+            accent2: { color: '#00e5ff', intensity: 1.5 },
+            fill: { color: '#7c4dff', intensity: 0.5 }
+        },
+        floor: { color: '#1a0633', roughness: 0.3, metalness: 0.8 },
+        grid: true,
+        particles: { color: '#ff00aa', opacity: 0.7 },
+        exposure: 1.4
+    }
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+const isLight = (light) => isColor(light?.color) && isNumber(light.intensity) && light.intensity >= 0;
+
+// Comprobaciones de cada apartado del preset ya combinado con la base
+const SECTION_CHECKS = {
+    name: (name) => typeof name === 'string' && name.length > 0,
+    background: (bg) => BACKGROUND_TYPES.includes(bg?.type) && isColor(bg.top) && isColor(bg.bottom)
+        && (bg.type !== 'sky' || (isColor(bg.sun) && isNumber(bg.sunElevation) && isNumber(bg.sunAzimuth))),
+    fog: (fog) => fog === null || (isColor(fog?.color) && isNumber(fog.near) && isNumber(fog.far) && fog.far > fog.near),
+    lights: (lights) => LIGHT_NAMES.every((name) => isLight(lights?.[name])),
+    floor: (floor) => isColor(floor?.color) && isNumber(floor.roughness) && isNumber(floor.metalness),
+    grid: (grid) => typeof grid === 'boolean',
+    particles: (particles) => isColor(particles?.color) && isNumber(particles.opacity),
+    exposure: (exposure) => isNumber(exposure) && exposure > 0
+};
+
+// Valida un preset (objeto o texto JSON) y completa lo que falte con `base`
+export function parsePreset(data, base) {
+    const source = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!source || typeof source !== 'object') {
+        throw new MessageError('lighting.errorObject');
+    }
+
+    const preset = {
+        ...base,
+        ...source,
+        // Los apartados se combinan, salvo el fondo: cambiar de tipo lo sustituye entero
+        background: source.background ?? base.background,
+        fog: source.fog === undefined ? base.fog : source.fog && { ...base.fog, ...source.fog },
+        lights: Object.fromEntries(LIGHT_NAMES.map((name) =>
+            [name, { ...base.lights[name], ...source.lights?.[name] }])),
+        floor: { ...base.floor, ...source.floor },
+        particles: { ...base.particles, ...source.particles }
+    };
+
+    Object.entries(SECTION_CHECKS).forEach(([section, check]) => {
+        if (!check(preset[section])) {
+            throw new MessageError('lighting.errorSection', { name: source.name ?? msg('error.unnamed'), section });
+        }
+    });
+
+    return preset;
+}
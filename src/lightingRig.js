@@ -0,0 +1,222 @@
+// Aplica los presets de ambiente (lightingPresets.js) a las luces, la niebla,
+// el fondo, el suelo, la rejilla y las partículas del visor, pasando de uno a
+// otro con una transición suave.
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.min.js';
+import { LIGHT_NAMES } from './lightingPresets.js';
+
+export const TRANSITION_DURATION = 1.5;
+
+// Distancia de la niebla cuando el preset no tiene
+const NO_FOG_FAR = 1000;
+const GRID_OPACITY = 0.3;
+const SKY_RADIUS = 400;
+
+// Cúpula con degradado vertical y, en los cielos, el brillo del sol
+const SKY_VERTEX_SHADER = `
+    varying vec3 vDirection;
+    void main() {
+        vDirection = normalize(position);
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const SKY_FRAGMENT_SHADER = `
+    uniform vec3 topColor;
+    uniform vec3 bottomColor;
+    uniform vec3 sunColor;
+    uniform vec3 sunDirection;
+    uniform float sunIntensity;
+    varying vec3 vDirection;
+    void main() {
+        vec3 direction = normalize(vDirection);
+        float height = clamp((direction.y + 0.1) / 0.8, 0.0, 1.0);
+        vec3 color = mix(bottomColor, topColor, pow(height, 0.7));
+        float sun = max(dot(direction, sunDirection), 0.0);
+        color += sunColor * sunIntensity * (pow(sun, 400.0) + pow(sun, 12.0) * 0.3);
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
+
+const easeInOut = (t) => t * t * (3 - 2 * t);
+
+// Valores numéricos de un preset, listos para interpolar
+function resolvePreset(preset) {
+    const { background, fog, lights, floor, particles } = preset;
+    const sky = background.type === 'sky';
+    const elevation = THREE.MathUtils.degToRad(sky ? background.sunElevation : 0);
+    const azimuth = THREE.MathUtils.degToRad(sky ? background.sunAzimuth : 0);
+
+    return {
+        background: {
+            top: new THREE.Color(background.top),
+            bottom: new THREE.Color(background.bottom),
+            sun: new THREE.Color(sky ? background.sun : background.top),
+            sunIntensity: sky ? 1 : 0,
+            sunDirection: new THREE.Vector3(
+                Math.cos(elevation) * Math.sin(azimuth),
+                Math.sin(elevation),
+                Math.cos(elevation) * Math.cos(azimuth)
+            )
+        },
+        fog: fog
+            ? { color: new THREE.Color(fog.color), near: fog.near, far: fog.far }
+            : { color: new THREE.Color(background.bottom), near: NO_FOG_FAR, far: NO_FOG_FAR * 2 },
+        lights: Object.fromEntries(LIGHT_NAMES.map((name) =>
+            [name, { color: new THREE.Color(lights[name].color), intensity: lights[name].intensity }])),
+        floor: { color: new THREE.Color(floor.color), roughness: floor.roughness, metalness: floor.metalness },
+        gridOpacity: preset.grid ? GRID_OPACITY : 0,
+        particles: { color: new THREE.Color(particles.color), opacity: particles.opacity },
+        exposure: preset.exposure
+    };
+}
+
+function cloneValues(values) {
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => [
+        key,
+        typeof value === 'number' ? value : value.clone?.() ?? cloneValues(value)
+    ]));
+}
+
+// Interpola recursivamente dos objetos de resolvePreset en `target`
+function lerpValues(from, to, t, target) {
+    Object.keys(to).forEach((key) => {
+        const a = from[key];
+        const b = to[key];
+        if (b instanceof THREE.Color) {
+            target[key].copy(a).lerp(b, t);
+        } else if (b instanceof THREE.Vector3) {
+            target[key].copy(a).lerp(b, t).normalize();
+        } else if (typeof b === 'number') {
+            target[key] = a + (b - a) * t;
+        } else {
+            lerpValues(a, b, t, target[key]);
+        }
+    });
+    return target;
+}
+
+export class LightingRig {
+    // `lights`: { ambient, main, accent1, accent2, fill }
+    constructor({ scene, renderer, lights, floor, grid, particles }) {
+        this.scene = scene;
+        this.renderer = renderer;
+        this.lights = lights;
+        this.floor = floor;
+        this.grid = grid;
+        this.particles = particles;
+
+        this.preset = null;
+        this.current = null;
+        this.transition = null;
+
+        // Multiplicador de las distancias de la niebla (calidad de render)
+        this.fogScale = 1;
+
+        this.sky = new THREE.Mesh(
+            new THREE.SphereGeometry(SKY_RADIUS, 32, 16),
+            new THREE.ShaderMaterial({
+                uniforms: {
+                    topColor: { value: new THREE.Color() },
+                    bottomColor: { value: new THREE.Color() },
+                    sunColor: { value: new THREE.Color() },
+                    sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+                    sunIntensity: { value: 0 }
+                },
+                vertexShader: SKY_VERTEX_SHADER,
+                fragmentShader: SKY_FRAGMENT_SHADER,
+                side: THREE.BackSide,
+                depthWrite: false
+            })
+        );
+        this.sky.renderOrder = -1;
+        this.scene.add(this.sky);
+
+        // La cúpula sustituye al color de fondo
+        this.scene.background = null;
+        this.scene.fog = this.scene.fog ?? new THREE.Fog(0x000000, 10, 50);
+        this.grid.material.transparent = true;
+        this.particles.material.transparent = true;
+    }
+
+    // Cambiar de preset; con `duration` 0 se aplica al momento
+    setPreset(preset, { duration = TRANSITION_DURATION } = {}) {
+        const target = resolvePreset(preset);
+        this.preset = preset;
+
+        if (!this.current || duration <= 0) {
+            this.current = target;
+            this.transition = null;
+            this.apply(this.current);
+            return;
+        }
+
+        this.transition = {
+            from: cloneValues(this.current),
+            to: target,
+            elapsed: 0,
+            duration
+        };
+    }
+
+    // Exposición ajustada a mano (se mantiene hasta el siguiente preset)
+    setExposure(exposure) {
+        if (this.transition) this.transition.to.exposure = exposure;
+        this.current.exposure = exposure;
+        this.renderer.toneMappingExposure = exposure;
+    }
+
+    // Acercar (< 1) o alejar la niebla sin cambiar de preset
+    setFogScale(scale) {
+        this.fogScale = scale;
+        if (this.current) this.apply(this.current);
+    }
+
+    get exposure() {
+        return this.transition?.to.exposure ?? this.current.exposure;
+    }
+
+    update(dt) {
+        const transition = this.transition;
+        if (!transition) return;
+
+        transition.elapsed += dt;
+        const t = Math.min(transition.elapsed / transition.duration, 1);
+        lerpValues(transition.from, transition.to, easeInOut(t), this.current);
+        this.apply(this.current);
+
+        if (t >= 1) this.transition = null;
+    }
+
+    apply(values) {
+        const { background, fog, lights, floor, particles } = values;
+
+        const uniforms = this.sky.material.uniforms;
+        uniforms.topColor.value.copy(background.top);
+        uniforms.bottomColor.value.copy(background.bottom);
+        uniforms.sunColor.value.copy(background.sun);
+        uniforms.sunDirection.value.copy(background.sunDirection);
+        uniforms.sunIntensity.value = background.sunIntensity;
+
+        this.scene.fog.color.copy(fog.color);
+        this.scene.fog.near = fog.near * this.fogScale;
+        this.scene.fog.far = fog.far * this.fogScale;
+
+        LIGHT_NAMES.forEach((name) => {
+            this.lights[name].color.copy(lights[name].color);
+            this.lights[name].intensity = lights[name].intensity;
+        });
+
+        this.floor.material.color.copy(floor.color);
+        this.floor.material.roughness = floor.roughness;
+        this.floor.material.metalness = floor.metalness;
+
+        this.grid.material.opacity = values.gridOpacity;
+        this.grid.visible = values.gridOpacity > 0.001;
+
+        this.particles.material.color.copy(particles.color);
+        this.particles.material.opacity = particles.opacity;
+        this.particles.visible = particles.opacity > 0.001;
+
+        this.renderer.toneMappingExposure = values.exposure;
+    }
+}
@@ -0,0 +1,371 @@
+// English catalog. Missing keys fall back to the Spanish one (es.js).
+export default {
+    name: 'English',
+    messages: {
+        // Interface (viewerUI.js)
+        'ui.loading': 'Loading robot...',
+        'ui.dropModel': 'Drop a .glb or .gltf model here',
+        'ui.movement': '🎮 Movement',
+        'ui.actions': '🚀 Actions',
+        'ui.keys': 'Keys',
+        'ui.lighting': 'Lighting',
+        'ui.model': '🤖 Model',
+        'ui.modelOpen': 'Open GLB/GLTF',
+        'ui.clips': 'Clips',
+        'ui.robots': '👥 Robots',
+        'ui.robotAddClone': 'Add copy',
+        'ui.robotAddProcedural': 'Add procedural',
+        'ui.robotNext': 'Next',
+        'ui.robotRemove': 'Remove',
+        'ui.robotDanceAll': 'Everybody dance',
+        'ui.level': '🧱 Level',
+        'ui.levelLoad': 'Load level',
+        'ui.levelClear': 'Clear',
+        'ui.choreography': '🎬 Choreography',
+        'ui.play': 'Play',
+        'ui.pause': 'Pause',
+        'ui.stop': 'Stop',
+        'ui.loop': 'Loop',
+        'ui.record': 'Record',
+        'ui.loadJson': 'Load JSON',
+        'ui.exportJson': 'Export JSON',
+        'ui.importJson': 'Import JSON',
+        'ui.session': '⏺ Session',
+        'ui.scene': '💾 Scene',
+        'ui.sceneShare': 'Copy link',
+        'ui.capture': '📷 Capture',
+        'ui.captureWindow': 'Viewer size',
+        'ui.captureTransparent': 'Transparent background',
+        'ui.capturePng': 'PNG image',
+        'ui.captureGlb': 'Export pose .glb',
+        'ui.performance': '⚙️ Performance',
+        'ui.showFps': 'Show fps',
+        'ui.network': '🌐 Network',
+        'ui.netName': 'Your name',
+        'ui.language': '🗣 Language',
+        'ui.console': 'Console',
+        'ui.turtle': '🐢 Turtle',
+        'ui.sound': '🔊 Sound',
+        'ui.mood': 'Mood',
+        'ui.builder': '🛠️ Builder',
+
+        // Info panel
+        'info.title': '🎯 Controls:',
+        'info.move': 'Move',
+        'info.mouse': 'Mouse',
+        'info.camera': 'Camera',
+        'info.twoFingers': '2 fingers',
+        'info.orbitZoom': 'Orbit / zoom',
+        'info.gamepad': '🎮 Gamepad',
+        'info.gamepadHelp': 'Left stick moves, A/B/X/Y actions',
+        'info.clickRobot': 'Click a robot',
+        'info.select': 'Select it',
+        'info.clickFloor': 'Click the floor',
+        'info.goThere': 'Walk there',
+        'info.dragGlb': 'Drag a .glb',
+        'info.changeModel': 'Change model',
+
+        // Actions (inputBindings.js)
+        'action.moveUp': 'Forward',
+        'action.moveDown': 'Back',
+        'action.moveLeft': 'Left',
+        'action.moveRight': 'Right',
+        'action.jump': 'Jump',
+        'action.dance': 'Dance',
+        'action.stopDance': 'Stop',
+        'action.reset': 'Reset',
+        'action.wave': 'Wave',
+        'action.point': 'Point',
+        'action.cameraMode': 'Switch camera',
+        'action.flyUp': 'Up (free flight)',
+        'action.flyDown': 'Down (free flight)',
+        'action.nextRobot': 'Next robot',
+        'action.mute': 'Mute',
+        'action.console': 'Console',
+
+        // Key names
+        'key.Space': 'Space',
+        'key.Enter': 'Enter',
+        'key.ShiftRight': 'Right Shift',
+        'key.ControlRight': 'Right Ctrl',
+        'key.AltRight': 'Right Alt',
+        'key.Backquote': '`',
+        'key.PageUp': 'PgUp',
+        'key.PageDown': 'PgDn',
+
+        'bindings.title': '⌨ Keys',
+        'bindings.waiting': 'Press a key…',
+        'bindings.reset': 'Restore defaults',
+
+        // Camera and gaze
+        'camera.status': 'Camera: {mode}',
+        'camera.orbit': 'Orbit',
+        'camera.follow': 'Follow',
+        'camera.firstPerson': 'First person',
+        'camera.fly': 'Free flight',
+        'look.mouse': 'Look: mouse',
+        'look.camera': 'Look: camera',
+        'look.off': 'Look: off',
+
+        // Model
+        'model.loading': 'Loading {name}...',
+        'model.progress': 'Loading robot: {percentage}%',
+        'model.loaded': 'GLB robot loaded and ready!',
+        'model.loadFailed': 'Could not load {name}',
+        'model.fallback': 'Creating fallback robot...',
+        'model.proceduralCreated': 'Procedural robot created!',
+        'model.unsupported': 'Unsupported format: use .glb or .gltf',
+
+        // Robots
+        'robots.status': 'Robot {id} ({count} in scene)',
+        'robots.selected': 'Robot {id} selected',
+        'robots.lastOne': 'At least one robot must remain',
+        'path.none': 'There is no path to that point',
+
+        // Level, choreography and input sessions
+        'level.untitled': 'Untitled',
+        'level.loaded': 'Level "{name}" loaded',
+        'level.cleared': 'Level cleared',
+        'level.invalid': 'Invalid level: {error}',
+        'level.errorObstacles': 'The level must contain a list of obstacles',
+        'level.errorObstacleType': 'Obstacle {index}: unknown type "{type}"',
+        'level.errorObstacleParams': 'Obstacle {index}: invalid parameters for "{type}"',
+        'level.defaultFailed': 'Could not load the default level: {error}',
+        'choreo.none': 'No choreography',
+        'choreo.untitled': 'Untitled',
+        'choreo.ready': '{name} ({total} steps)',
+        'choreo.progress': '{label} {name}: step {step}/{total}',
+        'choreo.loaded': 'Choreography "{name}" loaded',
+        'choreo.invalid': 'Invalid choreography: {error}',
+        'choreo.errorNoSteps': 'The choreography must contain a list of steps',
+        'choreo.errorEmpty': 'The choreography has no steps',
+        'choreo.errorStepType': 'Step {index}: unknown type "{type}"',
+        'choreo.errorStepParams': 'Step {index}: invalid parameters for "{type}"',
+        'session.recording': 'Recording session...',
+        'session.recorded': 'Session recorded: {frames} frames',
+        'session.replaying': 'Replaying session...',
+        'session.replayDone': 'Replay finished',
+        'session.nothingToReplay': 'No session to replay',
+        'session.nothingToExport': 'No session to export',
+        'session.invalid': 'Invalid session: {error}',
+        'session.errorVersion': 'Unsupported session version',
+        'session.errorFrames': 'The session must contain frames and events',
+        'session.errorEvents': 'The session contains unknown events',
+        'session.missingRobots': '{count} robots from the session are missing',
+
+        // Scene state
+        'scene.loaded': 'Scene "{name}" loaded',
+        'scene.invalid': 'Invalid scene: {error}',
+        'scene.restoreFailed': 'Could not restore the scene: {error}',
+        'scene.linkCopied': 'Scene link copied',
+        'scene.linkFailed': 'Could not copy the link: {error}',
+        'scene.linkInvalid': 'Invalid scene link: {error}',
+        'scene.errorRobot': 'Robot {index}: invalid data',
+        'scene.errorCamera': 'Invalid camera state',
+        'scene.errorVersion': 'Unsupported scene version: {version}',
+        'scene.errorNoRobots': 'The scene must have at least one robot',
+        'scene.errorSelected': 'The selected robot is not in the scene',
+        'scene.errorCompression': 'This browser cannot open compressed links',
+        'scene.errorLink': 'Invalid scene link',
+
+        // Capture
+        'capture.saved': 'Image saved',
+        'capture.failed': 'Could not capture the image: {error}',
+        'capture.turntable': 'Turntable video',
+        'capture.stop': 'Stop recording',
+        'capture.recording': 'Recording turntable...',
+        'capture.recordFailed': 'Could not record: {error}',
+        'capture.poseExported': 'Pose exported',
+        'capture.poseFailed': 'Could not export the pose: {error}',
+        'capture.errorImage': 'The browser did not produce the image',
+        'capture.errorWebm': 'This browser cannot record WebM video',
+        'capture.errorNoRobot': 'There is no robot to export',
+
+        // Lighting (lightingPanel.js)
+        'lighting.title': '💡 Lighting',
+        'lighting.exposure': 'Exposure',
+        'lighting.load': 'Load preset JSON',
+        'lighting.export': 'Export current',
+        'lighting.remove': 'Remove preset',
+        'lighting.added': 'Preset "{name}" added',
+        'lighting.invalid': 'Invalid preset: {error}',
+        'lighting.errorObject': 'The preset must be a JSON object',
+        'lighting.errorSection': 'Preset "{name}": "{section}" is not valid',
+        'error.unnamed': 'unnamed',
+        'error.notFound': '{url} is not available (HTTP {status})',
+        'lighting.preset.original': 'Original',
+        'lighting.preset.studio': 'Studio',
+        'lighting.preset.sunset': 'Sunset',
+        'lighting.preset.nightLab': 'Night lab',
+        'lighting.preset.neon': 'Neon',
+
+        // Render quality
+        'quality.low': 'Low',
+        'quality.medium': 'Medium',
+        'quality.high': 'High',
+        'quality.ultra': 'Ultra',
+        'quality.auto': 'Automatic',
+        'quality.autoLevel': 'Automatic ({level})',
+        'quality.status': 'Quality: {level}',
+        'quality.stats': '{fps} fps · {frameTime} ms (worst {worst} ms) · {level} fixed',
+        'quality.statsAuto': '{fps} fps · {frameTime} ms (worst {worst} ms) · {level} auto',
+
+        // Command console (commandParser.js)
+        'console.placeholder': 'Type a command: walk forward 3, turn left 90, help…',
+        'console.queued': '{count} steps queued',
+        'console.stopped': 'Commands stopped',
+        'console.help': 'walk [forward|back|left|right] [distance]\n'
+            + 'turn [left|right] [degrees]\n'
+            + 'jump [times] · dance [seconds] · wait <seconds>\n'
+            + 'play <clip> [seconds] · reset · stop · clear\n'
+            + 'Several commands: separate them with ; or "then" (walk 2 then jump). Spanish works too: camina, gira, salta…',
+        'console.empty': 'Type a command; "help" shows the list',
+        'console.unknownCommand': 'Unknown command "{word}". Type "help" to see the list',
+        'console.badNumber': '"{word}" is not a number',
+        'console.badDirection': 'Unknown direction: "{word}" (forward, back, left or right)',
+        'console.badTurn': 'You can only turn left or right, not "{word}"',
+        'console.badTimes': 'The number of times must be a whole number from 1 to {max}',
+        'console.badDuration': 'Missing a valid duration in seconds: {command} 2',
+        'console.extraWord': 'Unexpected "{word}" in the {command} command',
+        'console.missingClip': 'Missing the clip name: {command} <clip>',
+        'console.unknownClip': 'There is no clip "{name}". Model clips: {clips}',
+        'console.noClips': 'none',
+        'console.sessionActive': 'Commands are not accepted while a session is being recorded or replayed',
+
+        // Moods (expressions.js)
+        'mood.neutral': '😐 Neutral',
+        'mood.happy': '😄 Happy',
+        'mood.sad': '😢 Sad',
+        'mood.surprised': '😮 Surprised',
+        'mood.sleepy': '😴 Sleepy',
+        'mood.angry': '😠 Angry',
+
+        // Sound
+        'sound.title': '🔊 Sound',
+        'sound.mute': '🔇 Mute',
+        'sound.unmute': '🔊 Unmute',
+        'sound.muted': 'Sound muted',
+        'sound.unmuted': 'Sound on',
+        'sound.master': 'Master',
+        'sound.footsteps': 'Footsteps',
+        'sound.jumps': 'Jumps',
+        'sound.music': 'Dance',
+        'sound.servos': 'Servos',
+
+        // Robot builder (robotCustomizer.js)
+        'builder.title': '🛠️ Builder',
+        'builder.name': 'Robot name',
+        'builder.apply': 'Apply to selected robot',
+        'builder.reset': 'Back to original',
+        'builder.load': 'Load JSON',
+        'builder.export': 'Export JSON',
+        'builder.loaded': 'Robot "{name}" loaded',
+        'builder.invalid': 'Invalid robot: {error}',
+        'builder.errorObject': 'The robot spec must be a JSON object',
+        'builder.errorSection': 'Robot "{name}": "{section}" is not valid',
+        'builder.section.body': 'Body',
+        'builder.section.head': 'Head',
+        'builder.section.visor': 'Visor',
+        'builder.section.eyes': 'Eyes',
+        'builder.section.arms': 'Arms',
+        'builder.section.legs': 'Legs',
+        'builder.section.accessories': 'Accessories',
+        'builder.section.colors': 'Colours',
+        'builder.section.bodyMaterial': 'Body material',
+        'builder.section.limbsMaterial': 'Limb material',
+        'builder.field.width': 'Width',
+        'builder.field.height': 'Height',
+        'builder.field.depth': 'Depth',
+        'builder.field.neck': 'Neck',
+        'builder.field.shape': 'Shape',
+        'builder.field.size': 'Size',
+        'builder.field.count': 'Count',
+        'builder.field.spacing': 'Spacing',
+        'builder.field.segments': 'Segments',
+        'builder.field.length': 'Length',
+        'builder.field.thickness': 'Thickness',
+        'builder.field.hands': 'Hands',
+        'builder.field.feet': 'Feet',
+        'builder.field.roughness': 'Roughness',
+        'builder.field.metalness': 'Metalness',
+        'builder.field.antennas': 'Antennas',
+        'builder.field.antennaLength': 'Antenna length',
+        'builder.field.ears': 'Ears',
+        'builder.field.backpack': 'Backpack',
+        'builder.field.chestLight': 'Chest light',
+        'builder.color.primary': 'Primary',
+        'builder.color.accent': 'Visor and lights',
+        'builder.color.limbs': 'Limbs',
+        'builder.color.joints': 'Joints',
+        'builder.color.eyes': 'Eyes',
+        'builder.shape.box': 'Box',
+        'builder.shape.sphere': 'Sphere',
+        'builder.shape.cylinder': 'Cylinder',
+        'builder.shape.round': 'Round',
+        'builder.shape.band': 'Band',
+        'builder.shape.none': 'No visor',
+
+        // Turtle (turtleRunner.js)
+        'turtle.title': '🐢 Turtle',
+        'turtle.run': '▶ Run',
+        'turtle.stop': '⏹ Stop',
+        'turtle.clear': '🧽 Clear trails',
+        'turtle.placeholder': 'await forward(3); await turn(90); …',
+        'turtle.example': '// Colourful star. API: forward(n), turn(degrees), penDown(), penUp(),\n'
+            + '// setColor(color), jump(), dance(sec), wait(sec), clear(), print(...)\n'
+            + 'await penDown();\n'
+            + 'for (const color of [\'red\', \'orange\', \'yellow\', \'lime\', \'deepskyblue\']) {\n'
+            + '    await setColor(color);\n'
+            + '    await forward(4);\n'
+            + '    await turn(144);\n'
+            + '}\n'
+            + 'await penUp();\n'
+            + 'await dance(2);\n',
+        'turtle.idle': 'Ctrl+Enter runs the program',
+        'turtle.running': 'Running…',
+        'turtle.done': 'Program finished',
+        'turtle.stopped': 'Program stopped',
+        'turtle.failed': 'The program failed',
+        'turtle.error': 'Error: {error}',
+        'turtle.errorLine': 'Error on line {line}: {error}',
+        'turtle.badNumber': '{name}() needs a number, not {value}',
+        'turtle.badColor': 'Invalid colour: {value} (use \'red\', \'#ff8800\' or 0xff8800)',
+        'turtle.unknownCall': 'Unknown function: {name}()',
+        'turtle.timeout': 'Program stopped: blocked for {seconds} s (a loop without await?)',
+        'turtle.tooLong': 'Program stopped: it ran longer than {minutes} minutes',
+        'turtle.sessionActive': 'Programs cannot run while a session is being recorded or replayed',
+
+        // Clip browser
+        'clips.title': '🎞 Clips',
+        'clips.empty': 'This model has no clips',
+        'clips.roles': 'Assignment',
+        'clips.blend': 'Blend',
+        'clips.speed': 'Speed',
+        'clips.loop.repeat': 'Loop',
+        'clips.loop.once': 'Once',
+        'clips.loop.pingpong': 'Ping-pong',
+
+        // Multi-user sessions
+        'net.connect': 'Connect',
+        'net.cancel': 'Cancel',
+        'net.disconnect': 'Disconnect',
+        'net.disconnected': 'Offline',
+        'net.connecting': 'Connecting...',
+        'net.connected': 'Connected · {players} players',
+        'net.connectedAs': 'Connected as {name}',
+        'net.disconnectedStatus': 'Left the session',
+        'net.connectFailed': 'Could not connect: {error}',
+        'net.badUrl': 'Invalid address: {url}',
+        'net.timeout': 'The server does not respond',
+        'net.unreachable': 'Could not reach the server',
+        'net.cancelled': 'Connection cancelled',
+        'net.error.invalidMessage': 'Invalid message',
+        'net.error.notJoined': 'The first message must be join',
+        'net.error.unexpectedMessage': 'Unexpected message',
+        'net.error.roomFull': 'The room is full',
+        'net.joined': '{name} joined',
+        'net.left': '{name} left',
+        'net.serverError': 'Server: {error}',
+        'net.lost': 'Lost connection to the server'
+    }
+};
@@ -0,0 +1,372 @@
+// Catálogo en español: es el de referencia, los demás idiomas toman de aquí
+// los textos que les falten.
+export default {
+    name: 'Español',
+    messages: {
+        // Interfaz (viewerUI.js)
+        'ui.loading': 'Cargando robot...',
+        'ui.dropModel': 'Suelta aquí un modelo .glb o .gltf',
+        'ui.movement': '🎮 Movimiento',
+        'ui.actions': '🚀 Acciones',
+        'ui.keys': 'Teclas',
+        'ui.lighting': 'Ambiente',
+        'ui.model': '🤖 Modelo',
+        'ui.modelOpen': 'Abrir GLB/GLTF',
+        'ui.clips': 'Clips',
+        'ui.robots': '👥 Robots',
+        'ui.robotAddClone': 'Añadir copia',
+        'ui.robotAddProcedural': 'Añadir procedural',
+        'ui.robotNext': 'Siguiente',
+        'ui.robotRemove': 'Quitar',
+        'ui.robotDanceAll': 'Bailar todos',
+        'ui.level': '🧱 Nivel',
+        'ui.levelLoad': 'Cargar nivel',
+        'ui.levelClear': 'Vaciar',
+        'ui.choreography': '🎬 Coreografía',
+        'ui.play': 'Reproducir',
+        'ui.pause': 'Pausar',
+        'ui.stop': 'Parar',
+        'ui.loop': 'Repetir',
+        'ui.record': 'Grabar',
+        'ui.loadJson': 'Cargar JSON',
+        'ui.exportJson': 'Exportar JSON',
+        'ui.importJson': 'Importar JSON',
+        'ui.session': '⏺ Sesión',
+        'ui.scene': '💾 Escena',
+        'ui.sceneShare': 'Copiar enlace',
+        'ui.capture': '📷 Captura',
+        'ui.captureWindow': 'Tamaño del visor',
+        'ui.captureTransparent': 'Fondo transparente',
+        'ui.capturePng': 'Imagen PNG',
+        'ui.captureGlb': 'Exportar pose .glb',
+        'ui.performance': '⚙️ Rendimiento',
+        'ui.showFps': 'Mostrar fps',
+        'ui.network': '🌐 Red',
+        'ui.netName': 'Tu nombre',
+        'ui.language': '🗣 Idioma',
+        'ui.console': 'Consola',
+        'ui.turtle': '🐢 Tortuga',
+        'ui.sound': '🔊 Sonido',
+        'ui.mood': 'Estado de ánimo',
+        'ui.builder': '🛠️ Constructor',
+
+        // Panel de información
+        'info.title': '🎯 Controles:',
+        'info.move': 'Mover',
+        'info.mouse': 'Mouse',
+        'info.camera': 'Cámara',
+        'info.twoFingers': '2 dedos',
+        'info.orbitZoom': 'Orbitar / zoom',
+        'info.gamepad': '🎮 Mando',
+        'info.gamepadHelp': 'Stick izq. mover, A/B/X/Y acciones',
+        'info.clickRobot': 'Clic en un robot',
+        'info.select': 'Seleccionarlo',
+        'info.clickFloor': 'Clic en el suelo',
+        'info.goThere': 'Ir allí',
+        'info.dragGlb': 'Arrastrar .glb',
+        'info.changeModel': 'Cambiar modelo',
+
+        // Acciones (inputBindings.js)
+        'action.moveUp': 'Adelante',
+        'action.moveDown': 'Atrás',
+        'action.moveLeft': 'Izquierda',
+        'action.moveRight': 'Derecha',
+        'action.jump': 'Saltar',
+        'action.dance': 'Bailar',
+        'action.stopDance': 'Parar',
+        'action.reset': 'Reset',
+        'action.wave': 'Saludar',
+        'action.point': 'Señalar',
+        'action.cameraMode': 'Cambiar cámara',
+        'action.flyUp': 'Subir (vuelo libre)',
+        'action.flyDown': 'Bajar (vuelo libre)',
+        'action.nextRobot': 'Siguiente robot',
+        'action.mute': 'Silenciar',
+        'action.console': 'Consola',
+
+        // Nombres de tecla (los que no son iguales en todos los idiomas)
+        'key.Space': 'Espacio',
+        'key.Enter': 'Intro',
+        'key.ShiftRight': 'Shift der.',
+        'key.ControlRight': 'Ctrl der.',
+        'key.AltRight': 'Alt der.',
+        'key.Backquote': 'º',
+        'key.PageUp': 'Re Pág',
+        'key.PageDown': 'Av Pág',
+
+        'bindings.title': '⌨ Teclas',
+        'bindings.waiting': 'Pulsa una tecla…',
+        'bindings.reset': 'Restaurar teclas',
+
+        // Cámara y mirada
+        'camera.status': 'Cámara: {mode}',
+        'camera.orbit': 'Órbita',
+        'camera.follow': 'Seguir',
+        'camera.firstPerson': 'Primera persona',
+        'camera.fly': 'Vuelo libre',
+        'look.mouse': 'Mirar: ratón',
+        'look.camera': 'Mirar: cámara',
+        'look.off': 'Mirar: no',
+
+        // Modelo
+        'model.loading': 'Cargando {name}...',
+        'model.progress': 'Cargando robot: {percentage}%',
+        'model.loaded': '¡Robot GLB cargado y listo!',
+        'model.loadFailed': 'No se pudo cargar {name}',
+        'model.fallback': 'Creando robot de respaldo...',
+        'model.proceduralCreated': '¡Robot procedural creado!',
+        'model.unsupported': 'Formato no soportado: usa .glb o .gltf',
+
+        // Robots
+        'robots.status': 'Robot {id} ({count} en escena)',
+        'robots.selected': 'Robot {id} seleccionado',
+        'robots.lastOne': 'Tiene que quedar al menos un robot',
+        'path.none': 'No hay camino hasta ese punto',
+
+        // Nivel, coreografía y sesiones de entrada
+        'level.untitled': 'Sin título',
+        'level.loaded': 'Nivel "{name}" cargado',
+        'level.cleared': 'Nivel vaciado',
+        'level.invalid': 'Nivel inválido: {error}',
+        'level.errorObstacles': 'El nivel debe contener una lista de obstáculos',
+        'level.errorObstacleType': 'Obstáculo {index}: tipo desconocido "{type}"',
+        'level.errorObstacleParams': 'Obstáculo {index}: parámetros inválidos para "{type}"',
+        'level.defaultFailed': 'No se pudo cargar el nivel por defecto: {error}',
+        'choreo.none': 'Sin coreografía',
+        'choreo.untitled': 'Sin título',
+        'choreo.ready': '{name} ({total} pasos)',
+        'choreo.progress': '{label} {name}: paso {step}/{total}',
+        'choreo.loaded': 'Coreografía "{name}" cargada',
+        'choreo.invalid': 'Coreografía inválida: {error}',
+        'choreo.errorNoSteps': 'La coreografía debe contener una lista de pasos',
+        'choreo.errorEmpty': 'La coreografía no tiene pasos',
+        'choreo.errorStepType': 'Paso {index}: tipo desconocido "{type}"',
+        'choreo.errorStepParams': 'Paso {index}: parámetros inválidos para "{type}"',
+        'session.recording': 'Grabando sesión...',
+        'session.recorded': 'Sesión grabada: {frames} frames',
+        'session.replaying': 'Reproduciendo sesión...',
+        'session.replayDone': 'Reproducción terminada',
+        'session.nothingToReplay': 'No hay sesión para reproducir',
+        'session.nothingToExport': 'No hay sesión para exportar',
+        'session.invalid': 'Sesión inválida: {error}',
+        'session.errorVersion': 'Versión de sesión no soportada',
+        'session.errorFrames': 'La sesión debe contener frames y eventos',
+        'session.errorEvents': 'La sesión contiene eventos desconocidos',
+        'session.missingRobots': 'Faltan {count} robots de la sesión',
+
+        // Estado de la escena
+        'scene.loaded': 'Escena "{name}" cargada',
+        'scene.invalid': 'Escena inválida: {error}',
+        'scene.restoreFailed': 'No se pudo restaurar la escena: {error}',
+        'scene.linkCopied': 'Enlace de la escena copiado',
+        'scene.linkFailed': 'No se pudo copiar el enlace: {error}',
+        'scene.linkInvalid': 'Enlace de escena inválido: {error}',
+        'scene.errorRobot': 'Robot {index}: datos inválidos',
+        'scene.errorCamera': 'Estado de la cámara inválido',
+        'scene.errorVersion': 'Versión de escena no soportada: {version}',
+        'scene.errorNoRobots': 'La escena debe tener al menos un robot',
+        'scene.errorSelected': 'El robot seleccionado no está en la escena',
+        'scene.errorCompression': 'Este navegador no puede abrir enlaces comprimidos',
+        'scene.errorLink': 'Enlace de escena no válido',
+
+        // Capturas
+        'capture.saved': 'Imagen guardada',
+        'capture.failed': 'No se pudo capturar la imagen: {error}',
+        'capture.turntable': 'Vuelta en vídeo',
+        'capture.stop': 'Parar grabación',
+        'capture.recording': 'Grabando vuelta...',
+        'capture.recordFailed': 'No se pudo grabar: {error}',
+        'capture.poseExported': 'Pose exportada',
+        'capture.poseFailed': 'No se pudo exportar la pose: {error}',
+        'capture.errorImage': 'El navegador no generó la imagen',
+        'capture.errorWebm': 'Este navegador no puede grabar vídeo WebM',
+        'capture.errorNoRobot': 'No hay robot que exportar',
+
+        // Ambiente (lightingPanel.js)
+        'lighting.title': '💡 Ambiente',
+        'lighting.exposure': 'Exposición',
+        'lighting.load': 'Cargar preset JSON',
+        'lighting.export': 'Exportar actual',
+        'lighting.remove': 'Quitar preset',
+        'lighting.added': 'Preset "{name}" añadido',
+        'lighting.invalid': 'Preset inválido: {error}',
+        'lighting.errorObject': 'El preset debe ser un objeto JSON',
+        'lighting.errorSection': 'Preset "{name}": "{section}" no es válido',
+        'error.unnamed': 'sin nombre',
+        'error.notFound': '{url} no está disponible (HTTP {status})',
+        'lighting.preset.original': 'Original',
+        'lighting.preset.studio': 'Estudio',
+        'lighting.preset.sunset': 'Atardecer',
+        'lighting.preset.nightLab': 'Laboratorio nocturno',
+        'lighting.preset.neon': 'Neón',
+
+        // Calidad de render
+        'quality.low': 'Baja',
+        'quality.medium': 'Media',
+        'quality.high': 'Alta',
+        'quality.ultra': 'Ultra',
+        'quality.auto': 'Automática',
+        'quality.autoLevel': 'Automática ({level})',
+        'quality.status': 'Calidad: {level}',
+        'quality.stats': '{fps} fps · {frameTime} ms (peor {worst} ms) · {level} fija',
+        'quality.statsAuto': '{fps} fps · {frameTime} ms (peor {worst} ms) · {level} auto',
+
+        // Consola de órdenes (commandParser.js)
+        'console.placeholder': 'Escribe una orden: camina adelante 3, gira izquierda 90, ayuda…',
+        'console.queued': '{count} pasos en cola',
+        'console.stopped': 'Órdenes detenidas',
+        'console.help': 'camina [adelante|atrás|izquierda|derecha] [distancia]\n'
+            + 'gira [izquierda|derecha] [grados]\n'
+            + 'salta [veces] · baila [segundos] · espera <segundos>\n'
+            + 'reproduce <clip> [segundos] · reinicia · para · limpia\n'
+            + 'Varias órdenes: separa con ; o con "luego" (camina 2 luego salta). También en inglés: walk, turn, jump…',
+        'console.empty': 'Escribe una orden; "ayuda" muestra la lista',
+        'console.unknownCommand': 'No conozco la orden "{word}". Escribe "ayuda" para ver la lista',
+        'console.badNumber': '"{word}" no es un número',
+        'console.badDirection': 'Dirección desconocida: "{word}" (adelante, atrás, izquierda o derecha)',
+        'console.badTurn': 'Solo se puede girar a la izquierda o a la derecha, no "{word}"',
+        'console.badTimes': 'El número de veces tiene que ser entero, de 1 a {max}',
+        'console.badDuration': 'Falta una duración válida en segundos: {command} 2',
+        'console.extraWord': 'Sobra "{word}" en la orden {command}',
+        'console.missingClip': 'Falta el nombre del clip: {command} <clip>',
+        'console.unknownClip': 'No hay ningún clip "{name}". Clips del modelo: {clips}',
+        'console.noClips': 'ninguno',
+        'console.sessionActive': 'No se aceptan órdenes mientras se graba o se reproduce una sesión',
+
+        // Estados de ánimo (expressions.js)
+        'mood.neutral': '😐 Neutral',
+        'mood.happy': '😄 Contento',
+        'mood.sad': '😢 Triste',
+        'mood.surprised': '😮 Sorprendido',
+        'mood.sleepy': '😴 Con sueño',
+        'mood.angry': '😠 Enfadado',
+
+        // Sonido
+        'sound.title': '🔊 Sonido',
+        'sound.mute': '🔇 Silenciar',
+        'sound.unmute': '🔊 Activar sonido',
+        'sound.muted': 'Sonido silenciado',
+        'sound.unmuted': 'Sonido activado',
+        'sound.master': 'General',
+        'sound.footsteps': 'Pasos',
+        'sound.jumps': 'Saltos',
+        'sound.music': 'Baile',
+        'sound.servos': 'Servos',
+
+        // Constructor de robots (robotCustomizer.js)
+        'builder.title': '🛠️ Constructor',
+        'builder.name': 'Nombre del robot',
+        'builder.apply': 'Aplicar al robot seleccionado',
+        'builder.reset': 'Volver al original',
+        'builder.load': 'Cargar JSON',
+        'builder.export': 'Exportar JSON',
+        'builder.loaded': 'Robot "{name}" cargado',
+        'builder.invalid': 'Robot inválido: {error}',
+        'builder.errorObject': 'La especificación del robot debe ser un objeto JSON',
+        'builder.errorSection': 'Robot "{name}": "{section}" no es válido',
+        'builder.section.body': 'Cuerpo',
+        'builder.section.head': 'Cabeza',
+        'builder.section.visor': 'Pantalla',
+        'builder.section.eyes': 'Ojos',
+        'builder.section.arms': 'Brazos',
+        'builder.section.legs': 'Piernas',
+        'builder.section.accessories': 'Accesorios',
+        'builder.section.colors': 'Colores',
+        'builder.section.bodyMaterial': 'Material del cuerpo',
+        'builder.section.limbsMaterial': 'Material de las extremidades',
+        'builder.field.width': 'Ancho',
+        'builder.field.height': 'Alto',
+        'builder.field.depth': 'Fondo',
+        'builder.field.neck': 'Cuello',
+        'builder.field.shape': 'Forma',
+        'builder.field.size': 'Tamaño',
+        'builder.field.count': 'Cantidad',
+        'builder.field.spacing': 'Separación',
+        'builder.field.segments': 'Segmentos',
+        'builder.field.length': 'Largo',
+        'builder.field.thickness': 'Grosor',
+        'builder.field.hands': 'Manos',
+        'builder.field.feet': 'Pies',
+        'builder.field.roughness': 'Rugosidad',
+        'builder.field.metalness': 'Metalizado',
+        'builder.field.antennas': 'Antenas',
+        'builder.field.antennaLength': 'Largo de las antenas',
+        'builder.field.ears': 'Orejas',
+        'builder.field.backpack': 'Mochila',
+        'builder.field.chestLight': 'Luz en el pecho',
+        'builder.color.primary': 'Principal',
+        'builder.color.accent': 'Pantalla y luces',
+        'builder.color.limbs': 'Extremidades',
+        'builder.color.joints': 'Articulaciones',
+        'builder.color.eyes': 'Ojos',
+        'builder.shape.box': 'Caja',
+        'builder.shape.sphere': 'Esfera',
+        'builder.shape.cylinder': 'Cilindro',
+        'builder.shape.round': 'Redonda',
+        'builder.shape.band': 'Franja',
+        'builder.shape.none': 'Sin pantalla',
+
+        // Tortuga (turtleRunner.js)
+        'turtle.title': '🐢 Tortuga',
+        'turtle.run': '▶ Ejecutar',
+        'turtle.stop': '⏹ Parar',
+        'turtle.clear': '🧽 Borrar trazos',
+        'turtle.placeholder': 'await forward(3); await turn(90); …',
+        'turtle.example': '// Estrella de colores. API: forward(n), turn(grados), penDown(), penUp(),\n'
+            + '// setColor(color), jump(), dance(seg), wait(seg), clear(), print(...)\n'
+            + 'await penDown();\n'
+            + 'for (const color of [\'red\', \'orange\', \'yellow\', \'lime\', \'deepskyblue\']) {\n'
+            + '    await setColor(color);\n'
+            + '    await forward(4);\n'
+            + '    await turn(144);\n'
+            + '}\n'
+            + 'await penUp();\n'
+            + 'await dance(2);\n',
+        'turtle.idle': 'Ctrl+Enter ejecuta el programa',
+        'turtle.running': 'Ejecutando…',
+        'turtle.done': 'Programa terminado',
+        'turtle.stopped': 'Programa detenido',
+        'turtle.failed': 'El programa ha fallado',
+        'turtle.error': 'Error: {error}',
+        'turtle.errorLine': 'Error en la línea {line}: {error}',
+        'turtle.badNumber': '{name}() necesita un número, no {value}',
+        'turtle.badColor': 'Color no válido: {value} (usa \'red\', \'#ff8800\' o 0xff8800)',
+        'turtle.unknownCall': 'Función desconocida: {name}()',
+        'turtle.timeout': 'Programa detenido: llevaba {seconds} s bloqueado (¿un bucle sin await?)',
+        'turtle.tooLong': 'Programa detenido: ha superado los {minutes} minutos',
+        'turtle.sessionActive': 'No se pueden ejecutar programas mientras se graba o se reproduce una sesión',
+
+        // Navegador de clips
+        'clips.title': '🎞 Clips',
+        'clips.empty': 'Este modelo no tiene clips',
+        'clips.roles': 'Asignación',
+        'clips.blend': 'Mezcla',
+        'clips.speed': 'Velocidad',
+        'clips.loop.repeat': 'Bucle',
+        'clips.loop.once': 'Una vez',
+        'clips.loop.pingpong': 'Ping-pong',
+
+        // Sesiones multiusuario
+        'net.connect': 'Conectar',
+        'net.cancel': 'Cancelar',
+        'net.disconnect': 'Desconectar',
+        'net.disconnected': 'Sin conexión',
+        'net.connecting': 'Conectando...',
+        'net.connected': 'Conectado · {players} jugadores',
+        'net.connectedAs': 'Conectado como {name}',
+        'net.disconnectedStatus': 'Desconectado de la sesión',
+        'net.connectFailed': 'No se pudo conectar: {error}',
+        'net.badUrl': 'Dirección no válida: {url}',
+        'net.timeout': 'El servidor no responde',
+        'net.unreachable': 'No se pudo conectar con el servidor',
+        'net.cancelled': 'Conexión cancelada',
+        'net.error.invalidMessage': 'Mensaje no válido',
+        'net.error.notJoined': 'El primer mensaje debe ser join',
+        'net.error.unexpectedMessage': 'Mensaje inesperado',
+        'net.error.roomFull': 'La sala está llena',
+        'net.joined': '{name} se ha unido',
+        'net.left': '{name} se ha ido',
+        'net.serverError': 'Servidor: {error}',
+        'net.lost': 'Conexión perdida con el servidor'
+    }
+};
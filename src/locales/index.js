@@ -0,0 +1,6 @@
+// Catálogos disponibles, por código de idioma. Para añadir un idioma, copia
+// es.js a <código>.js, tradúcelo y añade aquí su línea: sin empaquetador, el
+// navegador no puede listar los archivos de la carpeta, así que esta lista es
+// el único sitio (aparte del catálogo) que hay que tocar.
+export { default as es } from './es.js';
+export { default as en } from './en.js';
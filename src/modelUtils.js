@@ -0,0 +1,46 @@
+// Utilidades para preparar y liberar modelos 3D
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.min.js';
+
+// Altura a la que se normalizan los modelos cargados
+export const MODEL_HEIGHT = 4;
+
+const TEXTURE_KEYS = [
+    'map', 'normalMap', 'roughnessMap', 'metalnessMap', 'emissiveMap',
+    'aoMap', 'alphaMap', 'bumpMap', 'displacementMap', 'lightMap', 'envMap'
+];
+
+// Escala el modelo a `height` y lo centra en x/z con la base apoyada en y = 0.
+// Devuelve un grupo contenedor para poder mover y rotar el robot libremente.
+export function normalizeModel(model, height = MODEL_HEIGHT) {
+    const box = new THREE.Box3().setFromObject(model);
+    const size = box.getSize(new THREE.Vector3());
+
+    if (size.y > 0) {
+        model.scale.multiplyScalar(height / size.y);
+    }
+
+    box.setFromObject(model);
+    const center = box.getCenter(new THREE.Vector3());
+    model.position.x -= center.x;
+    model.position.z -= center.z;
+    model.position.y -= box.min.y;
+
+    const container = new THREE.Group();
+    container.name = 'RobotContainer';
+    container.add(model);
+    return container;
+}
+
+// Libera geometrías, materiales y texturas de un objeto y sus hijos
+export function disposeObject(object) {
+    object.traverse((child) => {
+        child.geometry?.dispose();
+
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach((material) => {
+            if (!material) return;
+            TEXTURE_KEYS.forEach((key) => material[key]?.dispose());
+            material.dispose();
+        });
+    });
+}
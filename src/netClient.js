@@ -0,0 +1,120 @@
+// Conexión del navegador con el servidor de sesiones (server/server.mjs)
+import { parseMessage, encodeMessage } from './netProtocol.js';
+import { MessageError } from './i18n.js';
+
+// Tiempo máximo para recibir la bienvenida del servidor
+const CONNECT_TIMEOUT = 5000;
+
+export class NetClient {
+    constructor() {
+        this.socket = null;
+        this.id = null;
+        this.cancelConnect = null;
+        this.listeners = new Set();
+    }
+
+    get connected() {
+        return this.id !== null;
+    }
+
+    // Conectar y unirse a la sala. Resuelve con el mensaje de bienvenida.
+    connect(url, join) {
+        this.disconnect();
+
+        return new Promise((resolve, reject) => {
+            let socket;
+            try {
+                socket = new WebSocket(url);
+            } catch (error) {
+                reject(new MessageError('net.badUrl', { url }));
+                return;
+            }
+            this.socket = socket;
+
+            const fail = (key) => {
+                clearTimeout(timeout);
+                this.cancelConnect = null;
+                if (this.socket === socket) {
+                    this.socket = null;
+                    socket.close();
+                }
+                reject(new MessageError(key));
+            };
+            const timeout = setTimeout(() => fail('net.timeout'), CONNECT_TIMEOUT);
+
+            // disconnect() antes de la bienvenida
+            this.cancelConnect = () => {
+                clearTimeout(timeout);
+                reject(new MessageError('net.cancelled'));
+            };
+
+            socket.onopen = () => {
+                socket.send(encodeMessage({ type: 'join', ...join }));
+            };
+
+            socket.onmessage = ({ data }) => {
+                let message;
+                try {
+                    message = parseMessage(data);
+                } catch (error) {
+                    console.warn('⚠️', error.message);
+                    return;
+                }
+
+                if (!this.connected) {
+                    if (message.type === 'welcome') {
+                        clearTimeout(timeout);
+                        this.cancelConnect = null;
+                        this.id = message.id;
+                        resolve(message);
+                    } else if (message.type === 'error') {
+                        fail(`net.error.${message.code}`);
+                    }
+                    return;
+                }
+                this.listeners.forEach((listener) => listener(message));
+            };
+
+            socket.onerror = () => {
+                if (this.socket === socket && !this.connected) {
+                    fail('net.unreachable');
+                }
+            };
+
+            socket.onclose = () => {
+                if (this.socket !== socket) return;
+
+                if (!this.connected) {
+                    fail('net.unreachable');
+                    return;
+                }
+                this.socket = null;
+                this.id = null;
+                this.listeners.forEach((listener) => listener({ type: 'disconnect' }));
+            };
+        });
+    }
+
+    send(message) {
+        if (this.connected && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(encodeMessage(message));
+        }
+    }
+
+    disconnect() {
+        const socket = this.socket;
+        const cancel = this.cancelConnect;
+        this.socket = null;
+        this.id = null;
+        this.cancelConnect = null;
+        cancel?.();
+        socket?.close();
+    }
+
+    // Suscribirse a los mensajes del servidor (y a { type: 'disconnect' } si
+    // se corta la conexión). Devuelve la función para desuscribirse.
+    onMessage(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
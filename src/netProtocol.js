@@ -0,0 +1,90 @@
+// Protocolo de las sesiones multiusuario, compartido por el cliente del
+// navegador y el servidor de Node. Los mensajes son JSON de texto.
+//
+// Cliente → servidor:
+//   { "type": "join", "name": "Ana", "state": {...} }        al conectar
+//   { "type": "state", "state": {...} }                       unas 10 veces por segundo
+//   { "type": "action", "action": "jump" }                    jump | dance | reset | wave | point
+//   { "type": "action", "action": "jump", "on": false }       soltar el salto (salto más bajo)
+//
+// Servidor → clientes:
+//   { "type": "welcome", "id": 3, "peers": [{ "id": 1, "name": "Ana", "state": {...} }] }
+//   { "type": "join", "id": 4, "name": "Luis", "state": {...} }
+//   { "type": "leave", "id": 4 }
+//   { "type": "state", "id": 4, "state": {...} }
+//   { "type": "action", "id": 4, "action": "dance", "on": true }
+//   { "type": "error", "code": "roomFull" }                   code: uno de ERROR_CODES
+//
+// state: { "x": 0, "z": 0, "heading": 0, "state": "idle", "home": { "x": 0, "z": 0 } }
+
+export const PROTOCOL_VERSION = 1;
+
+// Acciones que se retransmiten; son las mismas que jumpRobot, toggleDance,
+// resetRobot y playGesture aplican en local
+export const NET_ACTIONS = ['jump', 'dance', 'reset', 'wave', 'point'];
+
+// Motivos de los errores del servidor; el cliente muestra el texto en su idioma
+export const ERROR_CODES = ['invalidMessage', 'notJoined', 'unexpectedMessage', 'roomFull'];
+
+const ROBOT_STATES = ['idle', 'walking', 'jumping', 'landing', 'dancing', 'resetting'];
+
+const MAX_NAME_LENGTH = 24;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isId = (value) => Number.isInteger(value) && value > 0;
+const isName = (value) => typeof value === 'string' && value.length <= MAX_NAME_LENGTH;
+
+export function isRobotState(state) {
+    return Boolean(state)
+        && isNumber(state.x) && isNumber(state.z) && isNumber(state.heading)
+        && ROBOT_STATES.includes(state.state)
+        && (state.home === undefined || (isNumber(state.home?.x) && isNumber(state.home?.z)));
+}
+
+const isPeer = (peer) => isId(peer?.id) && isName(peer.name) && isRobotState(peer.state);
+
+// Validación de cada tipo de mensaje. `id` solo lo ponen los mensajes del servidor.
+const MESSAGE_TYPES = {
+    welcome: (m) => isId(m.id) && Array.isArray(m.peers) && m.peers.every(isPeer),
+    join: (m) => (m.id === undefined || isId(m.id)) && isName(m.name) && isRobotState(m.state),
+    leave: (m) => isId(m.id),
+    state: (m) => (m.id === undefined || isId(m.id)) && isRobotState(m.state),
+    action: (m) => (m.id === undefined || isId(m.id)) && NET_ACTIONS.includes(m.action)
+        && (m.on === undefined || typeof m.on === 'boolean'),
+    error: (m) => ERROR_CODES.includes(m.code)
+};
+
+export function parseMessage(text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch {
+        throw new Error('Mensaje no válido: no es JSON');
+    }
+
+    // Solo claves propias: 'constructor' o 'toString' no son tipos de mensaje
+    const validate = Object.hasOwn(MESSAGE_TYPES, message?.type) && MESSAGE_TYPES[message.type];
+    if (!validate) {
+        throw new Error(`Mensaje no válido: tipo desconocido "${message?.type}"`);
+    }
+    if (!validate(message)) {
+        throw new Error(`Mensaje no válido: parámetros inválidos para "${message.type}"`);
+    }
+    return message;
+}
+
+export function encodeMessage(message) {
+    return JSON.stringify(message);
+}
+
+// Estado de red de un RobotController, redondeado para no enviar ruido
+export function robotStateSnapshot(controller) {
+    const round = (value) => Math.round(value * 1000) / 1000;
+    return {
+        x: round(controller.position.x),
+        z: round(controller.position.z),
+        heading: round(controller.heading),
+        state: controller.state,
+        home: { x: round(controller.originalPosition.x), z: round(controller.originalPosition.z) }
+    };
+}
@@ -0,0 +1,280 @@
+// Sesión multiusuario del visor: cada jugador maneja su propio robot y ve los
+// de los demás. Se envía el estado del robot propio unas 10 veces por segundo
+// y sus acciones en cuanto ocurren; los robots remotos se mueven interpolando
+// los estados recibidos y repiten las acciones con los mismos métodos del
+// visor que usa la entrada local (moveRobot, jumpRobot, toggleDance...).
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.min.js';
+import { NetClient } from './netClient.js';
+import { robotStateSnapshot } from './netProtocol.js';
+import { SnapshotBuffer } from './snapshotBuffer.js';
+import { RobotState } from './robotStates.js';
+import { disposeObject } from './modelUtils.js';
+import { msg } from './i18n.js';
+
+// Segundos entre envíos de estado
+const SEND_INTERVAL = 0.1;
+
+// Altura de la etiqueta con el nombre sobre la base del robot
+const NAME_TAG_HEIGHT = 4.8;
+
+function createNameTag(name) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+
+    const context = canvas.getContext('2d');
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.font = 'bold 32px sans-serif';
+    context.fillStyle = '#ffffff';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(name, canvas.width / 2, canvas.height / 2, canvas.width - 16);
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        depthTest: false
+    }));
+    sprite.scale.set(2, 0.5, 1);
+    sprite.renderOrder = 1;
+    return sprite;
+}
+
+const now = () => performance.now() / 1000;
+
+export class NetSession {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.client = new NetClient();
+        this.client.onMessage((message) => this.handleMessage(message));
+
+        // Jugadores remotos: id → { name, actor, buffer, tag }
+        this.peers = new Map();
+
+        // Robot propio: el seleccionado al conectar
+        this.localActor = null;
+        this.unsubscribeLocal = null;
+        this.sendTimer = 0;
+        this.lastSent = null;
+
+        this.status = 'disconnected';   // disconnected | connecting | connected
+        this.listeners = new Set();
+    }
+
+    get connected() {
+        return this.status === 'connected';
+    }
+
+    // Unirse a la sala de `url` con el robot seleccionado. Devuelve false si
+    // se canceló con disconnect() antes de terminar.
+    async connect(url, name) {
+        if (this.status !== 'disconnected') return false;
+
+        this.localActor = this.viewer.selected;
+        this.setStatus('connecting');
+
+        let welcome;
+        try {
+            welcome = await this.client.connect(url, { name, state: robotStateSnapshot(this.localActor.controller) });
+        } catch (error) {
+            if (this.status === 'disconnected') return false;
+            this.localActor = null;
+            this.setStatus('disconnected');
+            throw error;
+        }
+
+        this.unsubscribeLocal = this.localActor.controller.onStateChange((event) => this.handleLocalStateChange(event));
+        this.lastSent = null;
+        welcome.peers.forEach((peer) => this.addPeer(peer));
+        this.setStatus('connected');
+        return true;
+    }
+
+    disconnect() {
+        this.client.disconnect();
+        this.cleanup();
+    }
+
+    cleanup() {
+        this.unsubscribeLocal?.();
+        this.unsubscribeLocal = null;
+        this.localActor = null;
+
+        [...this.peers.keys()].forEach((id) => this.removePeer(id));
+        this.setStatus('disconnected');
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'join':
+                this.addPeer(message);
+                this.viewer.showStatus(msg('net.joined', { name: message.name }), 'success');
+                break;
+            case 'leave': {
+                const peer = this.peers.get(message.id);
+                if (!peer) return;
+                this.removePeer(message.id);
+                this.viewer.showStatus(msg('net.left', { name: peer.name }), 'warning');
+                break;
+            }
+            case 'state':
+                this.peers.get(message.id)?.buffer.push(now(), message.state);
+                break;
+            case 'action':
+                this.applyAction(message);
+                break;
+            case 'error':
+                this.viewer.showStatus(msg('net.serverError', { error: msg(`net.error.${message.code}`) }), 'error');
+                break;
+            case 'disconnect':
+                this.cleanup();
+                this.viewer.showStatus(msg('net.lost'), 'error');
+                break;
+        }
+    }
+
+    addPeer({ id, name, state }) {
+        if (this.peers.has(id)) return;
+
+        const actor = this.viewer.spawnRobot(state.home ?? state, { id: `remote-${id}`, remote: true });
+        actor.controller.restore({ position: { x: state.x, y: 0, z: state.z }, heading: state.heading });
+
+        const buffer = new SnapshotBuffer();
+        buffer.push(now(), state);
+
+        const tag = createNameTag(name);
+        this.viewer.scene.add(tag);
+
+        this.peers.set(id, { name, actor, buffer, tag });
+        this.setStatus(this.status);
+    }
+
+    removePeer(id) {
+        const peer = this.peers.get(id);
+        if (!peer) return;
+
+        this.peers.delete(id);
+        this.viewer.scene.remove(peer.tag);
+        disposeObject(peer.tag);
+        this.viewer.destroyRobot(peer.actor);
+        this.setStatus(this.status);
+    }
+
+    // Acción de un jugador remoto, aplicada con los mismos métodos que la entrada local
+    applyAction({ id, action, on }) {
+        const actor = this.peers.get(id)?.actor;
+        if (!actor) return;
+
+        switch (action) {
+            case 'jump':
+                if (on === false) {
+                    this.viewer.releaseJump(actor);
+                } else {
+                    this.viewer.jumpRobot(actor);
+                }
+                break;
+            case 'dance':
+                if (on !== actor.controller.is(RobotState.DANCING)) {
+                    this.viewer.toggleDance(actor);
+                }
+                break;
+            case 'reset':
+                this.viewer.resetRobot(actor);
+                break;
+            case 'wave':
+            case 'point':
+                this.viewer.playGesture(action, actor);
+                break;
+        }
+    }
+
+    // Acciones del robot propio, deducidas de sus cambios de estado
+    handleLocalStateChange({ from, to }) {
+        if (to === RobotState.JUMPING) {
+            this.sendAction('jump');
+        } else if (to === RobotState.RESETTING) {
+            this.sendAction('reset');
+        } else if (to === RobotState.DANCING || from === RobotState.DANCING) {
+            this.sendAction('dance', { on: to === RobotState.DANCING });
+        }
+    }
+
+    // Los gestos no cambian de estado: el visor avisa al lanzarlos
+    notifyGesture(actor, name) {
+        if (actor === this.localActor) {
+            this.sendAction(name);
+        }
+    }
+
+    // Soltar el salto tampoco cambia de estado
+    notifyJumpRelease(actor) {
+        if (actor === this.localActor) {
+            this.sendAction('jump', { on: false });
+        }
+    }
+
+    sendAction(action, data = {}) {
+        if (!this.connected) return;
+        this.client.send({ type: 'action', action, ...data });
+    }
+
+    // Llamar una vez por frame, antes de avanzar los robots
+    update(dt) {
+        if (!this.connected) return;
+
+        this.sendTimer += dt;
+        if (this.sendTimer >= SEND_INTERVAL) {
+            this.sendTimer = 0;
+            this.sendState();
+        }
+
+        const time = now();
+        this.peers.forEach((peer) => this.updatePeer(peer, time));
+    }
+
+    sendState() {
+        const state = robotStateSnapshot(this.localActor.controller);
+        const text = JSON.stringify(state);
+        if (text === this.lastSent) return;
+
+        this.lastSent = text;
+        this.client.send({ type: 'state', state });
+    }
+
+    updatePeer({ actor, buffer, tag }, time) {
+        const sample = buffer.sample(time);
+        const { controller } = actor;
+
+        // Un baile perdido (p. ej. la acción llegó en pleno salto) se corrige
+        // con el estado más reciente
+        const dancing = buffer.latest.state === RobotState.DANCING;
+        if (dancing !== controller.is(RobotState.DANCING)) {
+            this.viewer.toggleDance(actor);
+        }
+
+        const dx = sample.x - controller.targetPosition.x;
+        const dz = sample.z - controller.targetPosition.z;
+        if (Math.hypot(dx, dz) > 0.001) {
+            this.viewer.moveRobot(dx, 0, dz, actor);
+        }
+        if (!controller.is(RobotState.DANCING, RobotState.RESETTING)) {
+            controller.heading = sample.heading;
+        }
+
+        const { position } = controller;
+        tag.position.set(position.x, position.y + NAME_TAG_HEIGHT, position.z);
+    }
+
+    // Suscribirse a cambios de conexión ({ status, players }). Devuelve la
+    // función para desuscribirse.
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    setStatus(status) {
+        this.status = status;
+        const event = { status, players: this.peers.size + (status === 'connected' ? 1 : 0) };
+        this.listeners.forEach((listener) => listener(event));
+    }
+}
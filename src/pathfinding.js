@@ -0,0 +1,186 @@
+// Búsqueda de caminos A* sobre la rejilla del suelo, sin dependencias de Three.js.
+// Una celda está bloqueada si el robot (círculo de radio `radius`) colisiona en
+// su centro según el CollisionWorld; el camino resultante se suaviza quitando
+// los puntos intermedios que tienen línea de visión libre.
+
+const DIRECTIONS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+// Distancia entre muestras al comprobar la línea de visión
+const SIGHT_STEP = 0.25;
+
+export class NavigationGrid {
+    constructor(world, radius, cellSize = 1) {
+        this.world = world;
+        this.radius = radius;
+        this.cellSize = cellSize;
+        this.size = Math.round(world.halfSize * 2 / cellSize);
+        this.blocked = new Uint8Array(this.size * this.size);
+
+        for (let row = 0; row < this.size; row++) {
+            for (let col = 0; col < this.size; col++) {
+                const { x, z } = this.cellCenter(col, row);
+                this.blocked[row * this.size + col] = world.collides(x, z, radius) ? 1 : 0;
+            }
+        }
+    }
+
+    cellCenter(col, row) {
+        const half = this.world.halfSize;
+        return {
+            x: -half + (col + 0.5) * this.cellSize,
+            z: -half + (row + 0.5) * this.cellSize
+        };
+    }
+
+    cellAt(x, z) {
+        const half = this.world.halfSize;
+        const clampIndex = (value) => Math.max(0, Math.min(this.size - 1, value));
+        return {
+            col: clampIndex(Math.floor((x + half) / this.cellSize)),
+            row: clampIndex(Math.floor((z + half) / this.cellSize))
+        };
+    }
+
+    isBlocked(col, row) {
+        if (col < 0 || row < 0 || col >= this.size || row >= this.size) return true;
+        return this.blocked[row * this.size + col] === 1;
+    }
+
+    // Celda libre más cercana (búsqueda en anchura)
+    nearestFree(col, row) {
+        if (!this.isBlocked(col, row)) return { col, row };
+
+        const visited = new Set([row * this.size + col]);
+        const queue = [{ col, row }];
+
+        while (queue.length > 0) {
+            const cell = queue.shift();
+            for (const [dc, dr] of DIRECTIONS.slice(0, 4)) {
+                const next = { col: cell.col + dc, row: cell.row + dr };
+                const key = next.row * this.size + next.col;
+                if (next.col < 0 || next.row < 0 || next.col >= this.size || next.row >= this.size) continue;
+                if (visited.has(key)) continue;
+                if (!this.isBlocked(next.col, next.row)) return next;
+                visited.add(key);
+                queue.push(next);
+            }
+        }
+
+        return null;
+    }
+
+    hasLineOfSight(from, to) {
+        const distance = Math.hypot(to.x - from.x, to.z - from.z);
+        const samples = Math.ceil(distance / SIGHT_STEP);
+
+        for (let i = 1; i < samples; i++) {
+            const t = i / samples;
+            const x = from.x + (to.x - from.x) * t;
+            const z = from.z + (to.z - from.z) * t;
+            if (this.world.collides(x, z, this.radius)) return false;
+        }
+        return true;
+    }
+}
+
+// Camino de `start` a `goal` como lista de puntos { x, z }, o null si no existe
+export function findPath(world, start, goal, radius, cellSize = 1) {
+    const grid = new NavigationGrid(world, radius, cellSize);
+    const size = grid.size;
+
+    const startCell = grid.cellAt(start.x, start.z);
+    const startKey = startCell.row * size + startCell.col;
+
+    const target = grid.cellAt(goal.x, goal.z);
+    const goalCell = grid.nearestFree(target.col, target.row);
+    if (!goalCell) return null;
+    const goalKey = goalCell.row * size + goalCell.col;
+
+    const heuristic = (col, row) => {
+        const dc = Math.abs(col - goalCell.col);
+        const dr = Math.abs(row - goalCell.row);
+        return Math.max(dc, dr) + (Math.SQRT2 - 1) * Math.min(dc, dr);
+    };
+
+    const gScore = new Map([[startKey, 0]]);
+    const cameFrom = new Map();
+    const closed = new Set();
+    const open = [{ key: startKey, col: startCell.col, row: startCell.row, f: heuristic(startCell.col, startCell.row) }];
+
+    while (open.length > 0) {
+        // Lista abierta pequeña (rejilla de 40×40): basta con buscar el mínimo
+        let best = 0;
+        for (let i = 1; i < open.length; i++) {
+            if (open[i].f < open[best].f) best = i;
+        }
+        const current = open.splice(best, 1)[0];
+
+        if (current.key === goalKey) {
+            return buildPath(grid, cameFrom, current.key, start, goal, goalCell);
+        }
+        if (closed.has(current.key)) continue;
+        closed.add(current.key);
+
+        for (const [dc, dr] of DIRECTIONS) {
+            const col = current.col + dc;
+            const row = current.row + dr;
+            if (grid.isBlocked(col, row)) continue;
+
+            // Sin cortar esquinas en diagonal
+            if (dc !== 0 && dr !== 0 && (grid.isBlocked(current.col + dc, current.row) || grid.isBlocked(current.col, current.row + dr))) {
+                continue;
+            }
+
+            const key = row * size + col;
+            if (closed.has(key)) continue;
+
+            const tentative = gScore.get(current.key) + (dc !== 0 && dr !== 0 ? Math.SQRT2 : 1);
+            if (tentative >= (gScore.get(key) ?? Infinity)) continue;
+
+            gScore.set(key, tentative);
+            cameFrom.set(key, current.key);
+            open.push({ key, col, row, f: tentative + heuristic(col, row) });
+        }
+    }
+
+    return null;
+}
+
+function buildPath(grid, cameFrom, goalKey, start, goal, goalCell) {
+    const cells = [];
+    for (let key = goalKey; key !== undefined; key = cameFrom.get(key)) {
+        cells.unshift(grid.cellCenter(key % grid.size, Math.floor(key / grid.size)));
+    }
+
+    if (cells.length === 1) {
+        cells.push({ ...cells[0] });
+    }
+
+    // Sustituir la primera celda por la posición real y la última por el destino
+    // si es alcanzable; si no, por el centro de la celda libre más cercana
+    cells[0] = { x: start.x, z: start.z };
+    const reachable = !grid.world.collides(goal.x, goal.z, grid.radius);
+    cells[cells.length - 1] = reachable ? { x: goal.x, z: goal.z } : grid.cellCenter(goalCell.col, goalCell.row);
+
+    return smoothPath(grid, cells);
+}
+
+function smoothPath(grid, points) {
+    if (points.length <= 2) return points;
+
+    const result = [points[0]];
+    let anchor = 0;
+
+    for (let i = 2; i < points.length; i++) {
+        if (!grid.hasLineOfSight(points[anchor], points[i])) {
+            result.push(points[i - 1]);
+            anchor = i - 1;
+        }
+    }
+
+    result.push(points[points.length - 1]);
+    return result;
+}
@@ -0,0 +1,121 @@
+// Trazos de la tortuga sobre el suelo: cintas planas de color que siguen al
+// robot mientras tiene el lápiz bajado. Todos los trazos comparten una sola
+// malla con capacidad fija, así que dibujar no crea geometrías nuevas.
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.min.js';
+
+const MAX_SEGMENTS = 20000;
+const VERTICES_PER_SEGMENT = 6;     // dos triángulos
+
+// Altura sobre el suelo (por debajo del anillo de selección) y ancho del trazo
+const TRAIL_HEIGHT = 0.015;
+const TRAIL_WIDTH = 0.12;
+
+// Distancia mínima recorrida antes de añadir otro tramo
+const MIN_SEGMENT_LENGTH = 0.05;
+
+// ¿Vale `value` como color del trazo? Número 0xRRGGBB, '#rgb', '#rrggbb' o nombre CSS
+export function isColor(value) {
+    if (typeof value === 'number') {
+        return Number.isInteger(value) && value >= 0 && value <= 0xffffff;
+    }
+    return typeof value === 'string'
+        && (/^#([0-9a-f]{3}){1,2}$/i.test(value) || value.toLowerCase() in THREE.Color.NAMES);
+}
+
+export class PenTrail {
+    constructor() {
+        const geometry = new THREE.BufferGeometry();
+        this.positions = new Float32Array(MAX_SEGMENTS * VERTICES_PER_SEGMENT * 3);
+        this.colors = new Float32Array(MAX_SEGMENTS * VERTICES_PER_SEGMENT * 3);
+        geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('color', new THREE.BufferAttribute(this.colors, 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setDrawRange(0, 0);
+
+        this.mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            vertexColors: true,
+            side: THREE.DoubleSide,
+            polygonOffset: true,
+            polygonOffsetFactor: -1
+        }));
+        this.mesh.name = 'PenTrail';
+        this.mesh.frustumCulled = false;
+
+        this.count = 0;
+        this.uploaded = 0;      // tramos ya enviados a la GPU
+        this.last = null;       // último punto dibujado ({ x, z }) o null con el lápiz subido
+        this.color = new THREE.Color(0xffffff);
+    }
+
+    get full() {
+        return this.count >= MAX_SEGMENTS;
+    }
+
+    // Empezar un trazo en (x, z)
+    start(x, z) {
+        this.last = { x, z };
+    }
+
+    // Terminar el trazo actual (lápiz arriba), cerrándolo en (x, z) si se indica
+    end(x, z) {
+        if (this.last && x !== undefined) {
+            this.extend(x, z, 0);
+        }
+        this.last = null;
+    }
+
+    setColor(color) {
+        this.color.set(color);
+    }
+
+    // Prolongar el trazo hasta (x, z) si el lápiz está bajado
+    extend(x, z, minLength = MIN_SEGMENT_LENGTH) {
+        if (!this.last) return;
+
+        const dx = x - this.last.x;
+        const dz = z - this.last.z;
+        const length = Math.hypot(dx, dz);
+        if (length === 0 || length < minLength || this.full) return;
+
+        // Perpendicular en el plano del suelo para dar ancho a la cinta
+        const px = -dz / length * TRAIL_WIDTH / 2;
+        const pz = dx / length * TRAIL_WIDTH / 2;
+        const a = this.last;
+        const corners = [
+            [a.x + px, a.z + pz], [a.x - px, a.z - pz], [x + px, z + pz],
+            [x + px, z + pz], [a.x - px, a.z - pz], [x - px, z - pz]
+        ];
+
+        let offset = this.count * VERTICES_PER_SEGMENT * 3;
+        corners.forEach(([cx, cz]) => {
+            this.positions.set([cx, TRAIL_HEIGHT, cz], offset);
+            this.colors.set([this.color.r, this.color.g, this.color.b], offset);
+            offset += 3;
+        });
+
+        this.count++;
+        this.last = { x, z };
+    }
+
+    // Borrar todos los trazos; el lápiz sigue como estaba
+    clear() {
+        this.count = 0;
+        this.uploaded = 0;
+        this.flush();
+    }
+
+    // Enviar a la GPU solo los tramos añadidos desde la última llamada; se
+    // llama una vez por frame, antes del render
+    flush() {
+        const { geometry } = this.mesh;
+        const floats = VERTICES_PER_SEGMENT * 3;
+        geometry.setDrawRange(0, this.count * VERTICES_PER_SEGMENT);
+        if (this.count === this.uploaded) return;
+
+        [geometry.attributes.position, geometry.attributes.color].forEach((attribute) => {
+            attribute.updateRange.offset = this.uploaded * floats;
+            attribute.updateRange.count = (this.count - this.uploaded) * floats;
+            attribute.needsUpdate = true;
+        });
+        this.uploaded = this.count;
+    }
+}
@@ -0,0 +1,189 @@
+// Animación procedural que se aplica encima de la salida del mixer:
+// la cabeza sigue al ratón o a la cámara dentro de sus límites, y los brazos
+// hacen gestos (saludar, señalar). Funciona igual con huesos de un GLB que con
+// los grupos del robot procedural, porque las rotaciones se expresan en el
+// espacio del robot y se convierten al espacio local de cada parte.
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.min.js';
+
+export const LOOK_MODES = ['mouse', 'camera', 'off'];
+
+const LOOK_LIMITS = {
+    yaw: THREE.MathUtils.degToRad(70),
+    pitch: THREE.MathUtils.degToRad(30)
+};
+
+const GESTURES = {
+    wave: { duration: 2.5, arm: 'rightArm' },
+    point: { duration: 2, arm: 'rightArm' }
+};
+
+// Tiempo de entrada/salida de un gesto, en segundos
+const GESTURE_FADE = 0.3;
+
+const damp = (current, target, lambda, dt) =>
+    THREE.MathUtils.lerp(current, target, 1 - Math.exp(-lambda * dt));
+
+const _robotQuat = new THREE.Quaternion();
+const _parentQuat = new THREE.Quaternion();
+const _localQuat = new THREE.Quaternion();
+const _identity = new THREE.Quaternion();
+const _euler = new THREE.Euler();
+const _target = new THREE.Vector3();
+const _headPosition = new THREE.Vector3();
+const _raycaster = new THREE.Raycaster();
+
+export class ProceduralOverlay {
+    constructor(camera) {
+        this.camera = camera;
+        this.lookMode = 'mouse';
+        this.pointer = new THREE.Vector2();
+
+        this.robot = null;
+        this.parts = {};
+        this.armSides = {};
+
+        this.look = { yaw: 0, pitch: 0, weight: 0 };
+        this.gesture = null;
+
+        // Rotación de cada parte antes de aplicar el overlay en este frame
+        this.saved = new Map();
+    }
+
+    setRobot(robot, parts = {}) {
+        this.restore();
+        this.robot = robot;
+        this.parts = parts;
+        this.gesture = null;
+        this.armSides = {};
+
+        if (!robot) return;
+
+        // Lado de cada brazo en el espacio del robot (+1 / -1)
+        robot.updateMatrixWorld(true);
+        ['leftArm', 'rightArm'].forEach((name) => {
+            const arm = parts[name];
+            if (!arm) return;
+            const local = robot.worldToLocal(arm.getWorldPosition(new THREE.Vector3()));
+            this.armSides[name] = local.x >= 0 ? 1 : -1;
+        });
+    }
+
+    // Posición del puntero en coordenadas normalizadas (-1..1)
+    setPointer(x, y) {
+        this.pointer.set(x, y);
+    }
+
+    setLookMode(mode) {
+        if (LOOK_MODES.includes(mode)) {
+            this.lookMode = mode;
+        }
+    }
+
+    playGesture(name) {
+        const gesture = GESTURES[name];
+        if (!gesture) return false;
+
+        // Usar el otro brazo si el modelo no tiene el preferido
+        const arm = this.parts[gesture.arm]
+            ? gesture.arm
+            : ['rightArm', 'leftArm'].find((candidate) => this.parts[candidate]);
+        if (!arm) return false;
+
+        this.gesture = { name, arm, duration: gesture.duration, elapsed: 0 };
+        return true;
+    }
+
+    // Deshacer el overlay del frame anterior; llamar antes de actualizar el mixer
+    restore() {
+        this.saved.forEach((quaternion, part) => part.quaternion.copy(quaternion));
+        this.saved.clear();
+    }
+
+    update(delta) {
+        if (!this.robot) return;
+
+        this.robot.updateMatrixWorld(true);
+        this.updateLook(delta);
+        this.updateGesture(delta);
+    }
+
+    updateLook(delta) {
+        const head = this.parts.head;
+        if (!head) return;
+
+        const active = this.lookMode !== 'off';
+        this.look.weight = damp(this.look.weight, active ? 1 : 0, 4, delta);
+
+        if (active) {
+            head.getWorldPosition(_headPosition);
+
+            if (this.lookMode === 'camera') {
+                _target.copy(this.camera.position);
+            } else {
+                _raycaster.setFromCamera(this.pointer, this.camera);
+                const distance = this.camera.position.distanceTo(_headPosition);
+                _raycaster.ray.at(distance, _target);
+            }
+
+            // Dirección al objetivo en el espacio del robot
+            this.robot.getWorldQuaternion(_robotQuat);
+            _target.sub(_headPosition).applyQuaternion(_robotQuat.invert());
+
+            const yaw = Math.atan2(_target.x, _target.z);
+            const pitch = Math.atan2(-_target.y, Math.hypot(_target.x, _target.z));
+
+            this.look.yaw = damp(this.look.yaw, THREE.MathUtils.clamp(yaw, -LOOK_LIMITS.yaw, LOOK_LIMITS.yaw), 8, delta);
+            this.look.pitch = damp(this.look.pitch, THREE.MathUtils.clamp(pitch, -LOOK_LIMITS.pitch, LOOK_LIMITS.pitch), 8, delta);
+        }
+
+        if (this.look.weight < 0.001) return;
+
+        _euler.set(this.look.pitch * this.look.weight, this.look.yaw * this.look.weight, 0, 'YXZ');
+        this.applyRobotSpaceRotation(head, new THREE.Quaternion().setFromEuler(_euler));
+    }
+
+    updateGesture(delta) {
+        const gesture = this.gesture;
+        if (!gesture) return;
+
+        gesture.elapsed += delta;
+        if (gesture.elapsed >= gesture.duration) {
+            this.gesture = null;
+            return;
+        }
+
+        // Entrada y salida suaves
+        const envelope = Math.min(1, gesture.elapsed / GESTURE_FADE, (gesture.duration - gesture.elapsed) / GESTURE_FADE);
+        const side = this.armSides[gesture.arm];
+        const pose = new THREE.Quaternion();
+
+        if (gesture.name === 'wave') {
+            // Brazo levantado hacia el lado, balanceándose
+            const angle = side * (2.6 + Math.sin(gesture.elapsed * 10) * 0.35);
+            pose.setFromEuler(_euler.set(0, 0, angle, 'XYZ'));
+        } else {
+            // Brazo al frente, en la dirección a la que mira la cabeza
+            pose.setFromEuler(_euler.set(-Math.PI / 2, this.look.yaw * this.look.weight, 0, 'YXZ'));
+        }
+
+        const rotation = _identity.clone().slerp(pose, envelope);
+        this.applyRobotSpaceRotation(this.parts[gesture.arm], rotation);
+    }
+
+    // Aplica `rotation` (en el espacio del robot) sobre la pose actual de `part`
+    applyRobotSpaceRotation(part, rotation) {
+        if (!this.saved.has(part)) {
+            this.saved.set(part, part.quaternion.clone());
+        }
+
+        this.robot.getWorldQuaternion(_robotQuat);
+        part.parent.getWorldQuaternion(_parentQuat);
+
+        // Rotación en espacio mundo, y de ahí al espacio del padre de la parte
+        _localQuat.copy(_robotQuat).multiply(rotation).multiply(_robotQuat.invert());
+        _localQuat.premultiply(_parentQuat.clone().invert()).multiply(_parentQuat);
+
+        part.quaternion.premultiply(_localQuat);
+        part.updateMatrixWorld(true);
+    }
+}
@@ -0,0 +1,136 @@
+// Calidad adaptativa: mide los tiempos de frame y sube o baja un nivel de
+// calidad según los fps medios. Sin dependencias de Three.js; el visor
+// aplica los ajustes de cada nivel al renderer y a la escena.
+
+export const QUALITY_LEVELS = ['low', 'medium', 'high', 'ultra'];
+
+// pixelRatio: máximo (se limita al devicePixelRatio de la pantalla)
+// particles: fracción de partículas visibles; fogScale: distancia de la niebla
+export const QUALITY_SETTINGS = {
+    low: { pixelRatio: 0.75, shadowMapSize: 512, shadowType: 'basic', antialias: false, particles: 0.25, fogScale: 0.6 },
+    medium: { pixelRatio: 1, shadowMapSize: 1024, shadowType: 'pcf', antialias: false, particles: 0.5, fogScale: 0.8 },
+    high: { pixelRatio: 1.5, shadowMapSize: 2048, shadowType: 'pcfSoft', antialias: true, particles: 1, fogScale: 1 },
+    ultra: { pixelRatio: Infinity, shadowMapSize: 4096, shadowType: 'pcfSoft', antialias: true, particles: 1, fogScale: 1 }
+};
+
+// Umbrales del modo automático
+const DOWNGRADE_FPS = 45;
+const UPGRADE_FPS = 57;
+const EVALUATION_TIME = 2;      // segundos de muestras por evaluación
+const UPGRADE_EVALUATIONS = 3;  // evaluaciones buenas seguidas para subir
+const MAX_UPGRADE_EVALUATIONS = 24;
+const SETTLE_TIME = 1.5;        // segundos ignorados tras cambiar (compilación de shaders)
+const MAX_SAMPLE = 0.25;        // un frame más largo (pestaña en segundo plano) no cuenta
+
+// Media de los últimos frames, para el overlay
+export class FrameMonitor {
+    constructor(size = 60) {
+        this.samples = new Float32Array(size);
+        this.count = 0;
+        this.index = 0;
+        this.total = 0;
+    }
+
+    record(dt) {
+        const sample = Math.min(dt, MAX_SAMPLE);
+        if (this.count === this.samples.length) {
+            this.total -= this.samples[this.index];
+        } else {
+            this.count++;
+        }
+        this.samples[this.index] = sample;
+        this.total += sample;
+        this.index = (this.index + 1) % this.samples.length;
+    }
+
+    // Tiempo medio de frame en milisegundos
+    get frameTime() {
+        return this.count ? this.total / this.count * 1000 : 0;
+    }
+
+    get fps() {
+        return this.count ? this.count / this.total : 0;
+    }
+
+    // Peor frame de la ventana, en milisegundos
+    get worstFrameTime() {
+        return Math.max(0, ...this.samples.subarray(0, this.count)) * 1000;
+    }
+}
+
+export class QualityScaler {
+    // `mode`: 'auto' o un nivel fijo de QUALITY_LEVELS
+    constructor({ mode = 'auto', level = 'high' } = {}) {
+        this.level = level;
+        this.mode = 'auto';
+        // Si subir acaba en bajar otra vez, cada vez se espera el doble para volver a subir
+        this.upgradeEvaluations = UPGRADE_EVALUATIONS;
+        this.lastChange = null;
+        this.setMode(mode);
+        this.resetEvaluation();
+    }
+
+    get auto() {
+        return this.mode === 'auto';
+    }
+
+    setMode(mode) {
+        if (mode !== 'auto' && !QUALITY_LEVELS.includes(mode)) return false;
+        this.mode = mode;
+        if (mode !== 'auto') {
+            this.level = mode;
+        }
+        this.resetEvaluation();
+        return true;
+    }
+
+    resetEvaluation() {
+        this.elapsed = 0;
+        this.frames = 0;
+        this.settle = SETTLE_TIME;
+        this.goodEvaluations = 0;
+    }
+
+    // Registrar un frame; devuelve el nuevo nivel si hay que cambiar, o null
+    update(dt) {
+        if (!this.auto || dt > MAX_SAMPLE) return null;
+
+        if (this.settle > 0) {
+            this.settle -= dt;
+            return null;
+        }
+
+        this.elapsed += dt;
+        this.frames++;
+        if (this.elapsed < EVALUATION_TIME) return null;
+
+        const fps = this.frames / this.elapsed;
+        this.elapsed = 0;
+        this.frames = 0;
+
+        const index = QUALITY_LEVELS.indexOf(this.level);
+        let next = null;
+
+        if (fps < DOWNGRADE_FPS && index > 0) {
+            next = QUALITY_LEVELS[index - 1];
+            if (this.lastChange === 'up') {
+                this.upgradeEvaluations = Math.min(this.upgradeEvaluations * 2, MAX_UPGRADE_EVALUATIONS);
+            }
+            this.lastChange = 'down';
+        } else if (fps >= UPGRADE_FPS && index < QUALITY_LEVELS.length - 1) {
+            this.goodEvaluations++;
+            if (this.goodEvaluations >= this.upgradeEvaluations) {
+                next = QUALITY_LEVELS[index + 1];
+                this.lastChange = 'up';
+            }
+        } else {
+            this.goodEvaluations = 0;
+        }
+
+        if (!next) return null;
+
+        this.level = next;
+        this.resetEvaluation();
+        return next;
+    }
+}
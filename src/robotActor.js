@@ -0,0 +1,291 @@
+// Un robot de la escena: su modelo, su mixer y clips, su controlador (posición
+// y estado de acción) y su overlay procedural. El visor puede tener varios y
+// aplica la entrada solo al seleccionado.
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.min.js';
+import { RobotController } from './robotController.js';
+import { RobotState } from './robotStates.js';
+import { ProceduralOverlay } from './proceduralOverlay.js';
+import { ExpressionController } from './expressions.js';
+import { normalizeModel, disposeObject } from './modelUtils.js';
+import { loadJSON, saveJSON } from './storage.js';
+
+// Nombres habituales de los clips de cada alias
+const ANIMATION_NAMES = {
+    idle: ['Idle', 'idle', 'T-Pose', 'Rest', 'Stand'],
+    walk: ['Walk', 'walk', 'Walking', 'Run', 'Move'],
+    jump: ['Jump', 'jump', 'Hop', 'Leap'],
+    land: ['Land', 'land', 'Landing'],
+    dance: ['Dance', 'dance', 'Dancing', 'Wiggle', 'Wave']
+};
+
+const PART_NAMES = {
+    head: ['head', 'Head', 'cabeza'],
+    torso: ['torso', 'Torso', 'body', 'Body'],
+    leftArm: ['leftArm', 'LeftArm', 'left_arm'],
+    rightArm: ['rightArm', 'RightArm', 'right_arm'],
+    eyes: ['eyes', 'Eyes', 'eye']
+};
+
+// Alias de clip que usan los estados del robot (idle, walk, jump, land, dance)
+export const ANIMATION_ROLES = Object.keys(ANIMATION_NAMES);
+
+export function findRobotParts(model) {
+    const parts = {};
+
+    model.traverse((child) => {
+        if (!child.name) return;
+        Object.entries(PART_NAMES).forEach(([key, names]) => {
+            for (const name of names) {
+                if (child.name.toLowerCase().includes(name.toLowerCase()) && !parts[key]) {
+                    parts[key] = child;
+                    console.log(`✅ Parte encontrada: ${key} -> ${child.name}`);
+                    break;
+                }
+            }
+        });
+    });
+
+    return parts;
+}
+
+export class RobotActor {
+    constructor({ id, world, camera, remote = false, doubleJump = false, sleepAfter }) {
+        this.id = id;
+
+        // Robot de otro jugador (sesión en red): no se selecciona ni se graba
+        this.remote = remote;
+
+        this.object = null;
+        this.baseScale = null;  // escala del modelo sin el aplastamiento del aterrizaje
+        this.parts = {};
+        this.modelName = null;
+
+        // Modelo GLB del que es copia; sus geometrías y materiales se comparten
+        this.source = null;
+
+        // Especificación con la que se construyó el robot procedural (robotSpec.js)
+        this.robotSpec = null;
+
+        this.mixer = null;
+        this.animations = null;
+        this.commonAnimations = null;
+
+        // Último clip o alias reproducido (para guardar el estado de la escena)
+        this.currentClip = null;
+
+        this.controller = new RobotController({ world, doubleJump });
+        this.overlay = new ProceduralOverlay(camera);
+        this.expression = new ExpressionController(this.controller, this.overlay, { sleepAfter });
+    }
+
+    // Sustituir el modelo. `clips`: AnimationClip del GLB; `source`: modelo
+    // compartido (se libera cuando ningún robot lo usa); `spec`: la del robot procedural
+    setModel(model, { name, clips = [], source = null, normalize = false, parts = findRobotParts(model), spec = null }) {
+        this.disposeModel();
+
+        this.modelName = name;
+        this.source = source;
+        this.robotSpec = spec;
+        if (source) source.users++;
+
+        if (clips.length > 0) {
+            this.mixer = new THREE.AnimationMixer(model);
+            this.animations = {};
+            clips.forEach((clip) => {
+                this.animations[clip.name] = this.mixer.clipAction(clip);
+                console.log(`Animación encontrada: ${clip.name}`);
+            });
+            this.findCommonAnimations();
+        }
+        this.updateProceduralAnimations();
+
+        this.parts = parts;
+
+        // Escalar a una altura común y apoyar el modelo sobre el suelo
+        this.object = normalize ? normalizeModel(model) : model;
+        this.object.userData.robotId = this.id;
+        this.baseScale = this.object.scale.clone();
+        this.syncObject();
+        this.overlay.setRobot(this.object, this.parts);
+        this.expression.setRobot(this.object, this.parts);
+        this.updateRadius();
+
+        // Arrancar el clip del estado actual
+        this.playStateAnimation();
+    }
+
+    disposeModel() {
+        if (!this.object) return;
+
+        if (this.mixer) {
+            this.mixer.stopAllAction();
+            this.mixer.uncacheRoot(this.mixer.getRoot());
+        }
+        this.overlay.setRobot(null);
+        this.expression.setRobot(null);
+
+        if (!this.source) {
+            disposeObject(this.object);
+        } else if (--this.source.users === 0) {
+            disposeObject(this.source.template);
+        }
+
+        this.object = null;
+        this.baseScale = null;
+        this.source = null;
+        this.robotSpec = null;
+        this.mixer = null;
+        this.animations = null;
+        this.commonAnimations = null;
+        this.currentClip = null;
+        this.parts = {};
+    }
+
+    findCommonAnimations() {
+        this.commonAnimations = {};
+
+        Object.entries(ANIMATION_NAMES).forEach(([key, names]) => {
+            const name = names.find((candidate) => this.animations[candidate]);
+            if (name) {
+                this.commonAnimations[key] = this.animations[name];
+                console.log(`✅ Animación mapeada: ${key} -> ${name}`);
+            }
+        });
+
+        // Asignación guardada por el usuario para este modelo
+        const savedRoles = loadJSON(`clipRoles.${this.modelName}`, {});
+        Object.entries(savedRoles).forEach(([role, clipName]) => {
+            if (clipName === null) {
+                delete this.commonAnimations[role];
+            } else if (this.animations[clipName]) {
+                this.commonAnimations[role] = this.animations[clipName];
+            }
+        });
+    }
+
+    // Nombre del clip asignado a cada alias (idle, walk, jump, land, dance)
+    getAnimationRoles() {
+        const roles = {};
+        Object.entries(this.commonAnimations || {}).forEach(([role, action]) => {
+            roles[role] = action.getClip().name;
+        });
+        return roles;
+    }
+
+    // Reasignar el clip de un alias y guardarlo para este modelo; null lo desactiva
+    setAnimationRole(role, clipName) {
+        if (!this.animations) return;
+
+        if (clipName && this.animations[clipName]) {
+            this.commonAnimations[role] = this.animations[clipName];
+        } else {
+            delete this.commonAnimations[role];
+        }
+
+        const savedRoles = loadJSON(`clipRoles.${this.modelName}`, {});
+        savedRoles[role] = clipName && this.animations[clipName] ? clipName : null;
+        saveJSON(`clipRoles.${this.modelName}`, savedRoles);
+
+        this.updateProceduralAnimations();
+        this.playStateAnimation();
+    }
+
+    // Sin clips nativos, el controlador anima respiración y baile
+    updateProceduralAnimations() {
+        this.controller.proceduralIdle = !this.commonAnimations?.idle;
+        this.controller.proceduralDance = !this.commonAnimations?.dance;
+    }
+
+    // Acepta un alias común (idle, walk, jump, land, dance) o el nombre de cualquier clip
+    playAnimation(animationName, loop = true, fadeTime = 0.3) {
+        if (!this.mixer || !this.animations) return;
+
+        // Detener animaciones actuales
+        Object.values(this.animations).forEach((action) => {
+            action.fadeOut(fadeTime);
+        });
+
+        const action = this.commonAnimations?.[animationName] || this.animations[animationName];
+        if (action) {
+            action.reset();
+            action.fadeIn(fadeTime);
+            action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce);
+            action.play();
+            this.currentClip = animationName;
+
+            console.log(`▶️ Reproduciendo: ${animationName}`);
+            return action;
+        }
+    }
+
+    // Elegir el clip según el estado actual del robot
+    playStateAnimation() {
+        switch (this.controller.state) {
+            case RobotState.IDLE:
+                return this.playAnimation('idle', true, 0.5);
+            case RobotState.WALKING:
+                return this.playAnimation('walk', true, 0.2);
+            case RobotState.JUMPING:
+                return this.playAnimation('jump', false, 0.1);
+            case RobotState.LANDING:
+                // Sin clip de aterrizaje sigue el de salto
+                if (!this.commonAnimations?.land) return;
+                return this.playAnimation('land', false, 0.1);
+            case RobotState.DANCING:
+                return this.playAnimation('dance', true, 0.3);
+        }
+    }
+
+    // Radio del robot en el suelo a partir de su caja envolvente
+    updateRadius() {
+        const box = new THREE.Box3().setFromObject(this.object);
+        const size = box.getSize(new THREE.Vector3());
+        this.controller.radius = Math.max(size.x, size.z) / 2;
+        this.constrain();
+    }
+
+    // Sacar al robot de obstáculos tras cambiar de nivel o de modelo
+    constrain() {
+        const { targetPosition, position } = this.controller;
+        const target = this.controller.constrain(targetPosition.x, targetPosition.z);
+        targetPosition.x = target.x;
+        targetPosition.z = target.z;
+
+        const current = this.controller.constrain(position.x, position.z);
+        position.x = current.x;
+        position.z = current.z;
+    }
+
+    // Antes de avanzar la simulación: deshacer el overlay y aplicar los clips
+    updateAnimation(delta) {
+        this.overlay.restore();
+        this.mixer?.update(delta);
+    }
+
+    // Avanzar la simulación, reflejarla en el modelo y aplicar mirada, gestos
+    // y expresión
+    step(delta) {
+        this.controller.step(delta);
+        this.syncObject();
+        this.overlay.update(delta);
+        this.expression.update(delta);
+    }
+
+    // Copiar el estado del controlador al modelo 3D
+    syncObject() {
+        if (!this.object) return;
+
+        const { position, heading, tilt, squash } = this.controller;
+        this.object.position.set(position.x, position.y, position.z);
+        this.object.rotation.y = heading;
+        this.object.rotation.z = tilt;
+
+        // Aplastar al aterrizar, ensanchando para conservar el volumen aparente
+        const widen = 1 + squash / 2;
+        this.object.scale.set(this.baseScale.x * widen, this.baseScale.y * (1 - squash), this.baseScale.z * widen);
+    }
+
+    dispose() {
+        this.disposeModel();
+    }
+}
@@ -0,0 +1,190 @@
+// Construye el robot procedural a partir de su especificación (robotSpec.js)
+// como un esqueleto de grupos: cadera -> torso -> cuello (cabeza) y hombros
+// (brazos), y cadera -> piernas. Cada brazo y pierna cuelga de un pivote en
+// su articulación, con un pivote más por cada segmento (codos, rodillas), así
+// que girar una parte mueve todo lo que cuelga de ella. Los pies quedan
+// apoyados en y = 0.
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.min.js';
+
+const SIDES = { left: -1, right: 1 };
+const FOOT_HEIGHT = 0.3;
+const FOOT_LENGTH = 0.8;
+const HAND_SIZE = 0.3;
+
+function mesh(geometry, material, position) {
+    const object = new THREE.Mesh(geometry, material);
+    if (position) object.position.set(...position);
+    object.castShadow = true;
+    return object;
+}
+
+function group(name, position) {
+    const object = new THREE.Group();
+    object.name = name;
+    if (position) object.position.set(...position);
+    return object;
+}
+
+function createMaterials({ colors, materials }) {
+    const standard = (color, { roughness, metalness }) =>
+        new THREE.MeshStandardMaterial({ color, roughness, metalness });
+
+    return {
+        body: standard(colors.primary, materials.body),
+        limbs: standard(colors.limbs, materials.limbs),
+        joints: standard(colors.joints, materials.limbs),
+        visor: new THREE.MeshStandardMaterial({ color: 0x000000, emissive: colors.accent, emissiveIntensity: 0.3 }),
+        eyes: new THREE.MeshStandardMaterial({ color: colors.eyes, emissive: colors.eyes, emissiveIntensity: 0.3 }),
+        glow: new THREE.MeshStandardMaterial({ color: colors.accent, emissive: colors.accent, emissiveIntensity: 0.8 })
+    };
+}
+
+// Brazo o pierna: cadena de `segments` pivotes que cuelgan del primero.
+// Devuelve el pivote del último segmento, con su extremo en y = -segmentLength.
+function buildLimb(pivot, { segments, length, thickness }, materials) {
+    const segmentLength = length / segments;
+    const geometry = new THREE.BoxGeometry(thickness, segmentLength, thickness);
+    let current = pivot;
+
+    for (let index = 0; index < segments; index++) {
+        current.add(mesh(geometry, materials.limbs, [0, -segmentLength / 2, 0]));
+        if (index === segments - 1) break;
+
+        // Articulación (codo, rodilla...) entre segmentos
+        const joint = group(`${pivot.name}Joint${index + 1}`, [0, -segmentLength, 0]);
+        joint.add(mesh(new THREE.SphereGeometry(thickness * 0.6, 16, 12), materials.joints));
+        current.add(joint);
+        current = joint;
+    }
+    return { end: current, segmentLength };
+}
+
+function headGeometry(shape) {
+    switch (shape) {
+        case 'sphere':
+            return new THREE.SphereGeometry(0.5, 32, 24);
+        case 'cylinder':
+            return new THREE.CylinderGeometry(0.5, 0.5, 1, 32);
+        default:
+            return new THREE.BoxGeometry(1, 1, 1);
+    }
+}
+
+function buildHead(spec, materials) {
+    const { head, visor, eyes, accessories } = spec;
+    const pivot = group('head', [0, spec.body.height, 0]);
+    const centerY = head.neck + head.height / 2;
+    const front = head.depth / 2;
+
+    if (head.neck > 0) {
+        pivot.add(mesh(new THREE.CylinderGeometry(0.25, 0.3, head.neck, 16), materials.joints, [0, head.neck / 2, 0]));
+    }
+
+    const headMesh = mesh(headGeometry(head.shape), materials.body, [0, centerY, 0]);
+    headMesh.scale.set(head.width, head.height, head.depth);
+    pivot.add(headMesh);
+
+    // Pantalla: disco o franja que no se sale de la cara
+    let visorMesh = null;
+    if (visor.shape === 'round') {
+        const radius = Math.min(visor.size, head.width / 2, head.height / 2);
+        visorMesh = mesh(new THREE.CylinderGeometry(radius, radius, 0.1, 32), materials.visor, [0, centerY, front + 0.05]);
+        visorMesh.rotation.x = Math.PI / 2;
+    } else if (visor.shape === 'band') {
+        const height = Math.min(visor.size * 0.6, head.height * 0.8);
+        visorMesh = mesh(new THREE.BoxGeometry(head.width * 0.9, height, 0.1), materials.visor, [0, centerY, front + 0.05]);
+    }
+    if (visorMesh) {
+        visorMesh.castShadow = false;
+        pivot.add(visorMesh);
+    }
+
+    const eyeGroup = group('eyes');
+    const eyeGeometry = new THREE.SphereGeometry(eyes.size, 16, 16);
+    for (let index = 0; index < eyes.count; index++) {
+        const x = (index - (eyes.count - 1) / 2) * eyes.spacing;
+        eyeGroup.add(mesh(eyeGeometry, materials.eyes, [x, centerY + 0.1, front + 0.1]));
+    }
+    pivot.add(eyeGroup);
+
+    // Antenas repartidas sobre la cabeza, con la punta luminosa
+    const top = head.neck + head.height;
+    for (let index = 0; index < accessories.antennas; index++) {
+        const x = accessories.antennas === 1 ? 0 : (index / (accessories.antennas - 1) - 0.5) * head.width * 0.6;
+        const length = accessories.antennaLength;
+        pivot.add(mesh(new THREE.CylinderGeometry(0.04, 0.04, length, 8), materials.joints, [x, top + length / 2, 0]));
+        pivot.add(mesh(new THREE.SphereGeometry(0.08, 12, 12), materials.glow, [x, top + length, 0]));
+    }
+
+    if (accessories.ears) {
+        Object.values(SIDES).forEach((side) => {
+            const ear = mesh(new THREE.CylinderGeometry(0.25, 0.25, 0.15, 24), materials.joints,
+                [side * (head.width / 2 + 0.075), centerY, 0]);
+            ear.rotation.z = Math.PI / 2;
+            pivot.add(ear);
+        });
+    }
+
+    return { pivot, visor: visorMesh, eyes: eyeGroup };
+}
+
+/**
+ * Construye el robot de `spec` (ya validada con parseRobotSpec).
+ * @returns {{ object: THREE.Group, parts: Object }} El modelo y sus partes
+ *   (hips, torso, head, visor, eyes, leftArm, rightArm, leftLeg, rightLeg)
+ */
+export function buildRobot(spec) {
+    const materials = createMaterials(spec);
+    const { body, arms, legs, accessories } = spec;
+    const footHeight = legs.feet ? FOOT_HEIGHT : 0;
+
+    const root = group('robot');
+    const hips = group('hips', [0, footHeight + legs.length, 0]);
+    root.add(hips);
+
+    // Torso sobre la cadera; la cabeza y los brazos cuelgan de él
+    const torso = group('torso');
+    torso.add(mesh(new THREE.BoxGeometry(body.width, body.height, body.depth), materials.body, [0, body.height / 2, 0]));
+    hips.add(torso);
+
+    const head = buildHead(spec, materials);
+    torso.add(head.pivot);
+
+    const parts = { hips, torso, head: head.pivot, eyes: head.eyes };
+    if (head.visor) parts.visor = head.visor;
+
+    const shoulderY = body.height - Math.min(0.5, body.height / 4);
+    Object.entries(SIDES).forEach(([name, side]) => {
+        const shoulder = group(`${name}Arm`, [side * (body.width / 2 + arms.thickness / 2 + 0.1), shoulderY, 0]);
+        const { end, segmentLength } = buildLimb(shoulder, arms, materials);
+        if (arms.hands) {
+            const size = Math.max(HAND_SIZE, arms.thickness * 0.75);
+            end.add(mesh(new THREE.BoxGeometry(size, size, size), materials.joints, [0, -segmentLength - 0.1, 0]));
+        }
+        torso.add(shoulder);
+        parts[`${name}Arm`] = shoulder;
+
+        const hip = group(`${name}Leg`, [side * legs.spacing / 2, 0, 0]);
+        const leg = buildLimb(hip, legs, materials);
+        if (legs.feet) {
+            leg.end.add(mesh(new THREE.BoxGeometry(legs.thickness + 0.1, FOOT_HEIGHT, FOOT_LENGTH), materials.joints,
+                [0, -leg.segmentLength - FOOT_HEIGHT / 2, 0.2]));
+        }
+        hips.add(hip);
+        parts[`${name}Leg`] = hip;
+    });
+
+    if (accessories.backpack) {
+        torso.add(mesh(new THREE.BoxGeometry(body.width * 0.7, body.height * 0.6, 0.5), materials.joints,
+            [0, body.height * 0.55, -(body.depth / 2 + 0.25)]));
+    }
+    if (accessories.chestLight) {
+        const radius = Math.min(body.width, body.height) * 0.15;
+        const light = mesh(new THREE.CylinderGeometry(radius, radius, 0.06, 24), materials.glow,
+            [0, body.height * 0.65, body.depth / 2 + 0.03]);
+        light.rotation.x = Math.PI / 2;
+        torso.add(light);
+    }
+
+    return { object: root, parts };
+}
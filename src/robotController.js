@@ -0,0 +1,425 @@
+// Núcleo de simulación del robot, sin dependencias de navegador ni de Three.js.
+// Guarda posición, orientación y estado de acción, y avanza solo con step(dt),
+// así que puede ejecutarse y probarse en Node.
+import { StateMachine } from './stateMachine.js';
+import { RobotState, ROBOT_TRANSITIONS, WALK_TIMEOUT } from './robotStates.js';
+
+const DEFAULTS = {
+    bounds: 10,             // Límite del área de movimiento en x/z (sin mundo de colisiones)
+    world: null,            // CollisionWorld opcional con suelo y obstáculos
+    radius: 1,              // Radio del robot en el plano del suelo
+    followRate: 0.08,       // Fracción por frame (a 60 fps) hacia la posición objetivo
+    turnRate: 0.1,          // Fracción de giro hacia la dirección de movimiento
+    walkSpeed: 3.6,         // Unidades por segundo al seguir un camino
+    jumpHeight: 3.5,        // Altura del salto con el botón mantenido
+    gravity: 20,            // Unidades por segundo²
+    jumpCut: 0.45,          // Velocidad de subida que se conserva al soltar el salto
+    airControl: 0.4,        // Fracción del movimiento que se aplica en el aire
+    doubleJump: false,      // Permitir un segundo salto en el aire
+    landingDuration: 0.25,  // segundos de aplastamiento al aterrizar
+    landingSquash: 0.25,    // Aplastamiento máximo (fracción de la altura)
+    resetDuration: 1.5,     // segundos
+    tiltRecoveryDuration: 0.5,
+    proceduralIdle: true,   // Respiración procedural (si el modelo no trae clip idle)
+    proceduralDance: true   // Baile procedural (si el modelo no trae clip dance)
+};
+
+const lerp = (a, b, t) => a + (b - a) * t;
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3);
+
+export class RobotController {
+    constructor(options = {}) {
+        Object.assign(this, DEFAULTS, options);
+
+        this.originalPosition = { x: 0, y: 0, z: 0 };
+        this.position = { ...this.originalPosition };
+        this.targetPosition = { ...this.originalPosition };
+        this.heading = 0;   // rotación en y
+        this.tilt = 0;      // rotación en z (balanceo al bailar)
+        this.squash = 0;    // aplastamiento al aterrizar (0: ninguno)
+
+        // Física vertical del salto
+        this.velocityY = 0;
+        this.airJumps = 0;      // saltos dados en el aire desde el despegue
+        this.jumpHeld = false;  // el salto sigue pulsado (no se ha cortado)
+        this.landing = null;
+
+        // Reloj interno: solo avanza con step()
+        this.time = 0;
+
+        this.timeSinceMove = 0;
+        this.reset = null;
+        this.tiltRecovery = null;
+        this.path = null;
+
+        this.stateMachine = new StateMachine({
+            initial: RobotState.IDLE,
+            transitions: ROBOT_TRANSITIONS,
+            context: this,
+            states: {
+                [RobotState.WALKING]: {
+                    update(delta) {
+                        this.timeSinceMove += delta;
+                        if (this.timeSinceMove > WALK_TIMEOUT) {
+                            this.stateMachine.transition(RobotState.IDLE);
+                        }
+                    }
+                },
+                [RobotState.JUMPING]: {
+                    enter({ airJump = false }) {
+                        this.airJumps = airJump ? this.airJumps + 1 : 0;
+                        this.velocityY = this.jumpVelocity;
+                        this.jumpHeld = true;
+                    },
+                    exit() {
+                        this.velocityY = 0;
+                        this.jumpHeld = false;
+                    }
+                },
+                [RobotState.LANDING]: {
+                    enter({ impact = 1, elapsed = 0 }) {
+                        this.landing = { impact, elapsed };
+                    },
+                    exit() {
+                        this.landing = null;
+                        this.squash = 0;
+                    }
+                },
+                [RobotState.DANCING]: {
+                    exit() {
+                        this.tiltRecovery = { from: this.tilt, elapsed: 0 };
+                        if (this.proceduralDance) {
+                            this.position.y = this.originalPosition.y;
+                        }
+                    }
+                },
+                [RobotState.RESETTING]: {
+                    enter() {
+                        this.path = null;
+                        this.tiltRecovery = null;
+                        this.targetPosition = { ...this.originalPosition };
+                        this.reset = {
+                            from: { ...this.position },
+                            heading: this.heading,
+                            elapsed: 0
+                        };
+                    },
+                    exit() {
+                        this.reset = null;
+                    }
+                }
+            }
+        });
+    }
+
+    get state() {
+        return this.stateMachine.state;
+    }
+
+    is(...states) {
+        return this.stateMachine.is(...states);
+    }
+
+    // Suscribirse a los cambios de estado ({ from, to })
+    onStateChange(listener) {
+        return this.stateMachine.subscribe(listener);
+    }
+
+    // Velocidad de despegue para llegar a `jumpHeight` con la gravedad actual
+    get jumpVelocity() {
+        return Math.sqrt(2 * this.gravity * this.jumpHeight);
+    }
+
+    get airborne() {
+        return this.is(RobotState.JUMPING);
+    }
+
+    // Desplaza la posición objetivo; devuelve false si el estado no lo permite.
+    // En el aire solo se aplica la fracción `airControl` del desplazamiento.
+    move(dx, dz) {
+        if (this.is(RobotState.RESETTING)) return false;
+
+        const control = this.airborne ? this.airControl : 1;
+        dx *= control;
+        dz *= control;
+
+        const next = this.constrain(this.targetPosition.x + dx, this.targetPosition.z + dz);
+        this.targetPosition.x = next.x;
+        this.targetPosition.z = next.z;
+
+        // Rotación hacia la dirección
+        if (dx !== 0 || dz !== 0) {
+            this.heading = lerp(this.heading, Math.atan2(dx, dz), this.turnRate * control);
+        }
+
+        // Bailando se desplaza sin cambiar de estado; en el aire o aterrizando,
+        // pasa a caminar al terminar el aterrizaje
+        this.timeSinceMove = 0;
+        if (!this.is(RobotState.JUMPING, RobotState.LANDING)) {
+            this.stateMachine.transition(RobotState.WALKING);
+        }
+        return true;
+    }
+
+    // Posición válida más cercana a (x, z): fuera de obstáculos y dentro del área
+    constrain(x, z) {
+        if (this.world) {
+            return this.world.resolve(x, z, this.radius);
+        }
+        return {
+            x: clamp(x, -this.bounds, this.bounds),
+            z: clamp(z, -this.bounds, this.bounds)
+        };
+    }
+
+    // Caminar por una lista de puntos { x, z } (p. ej. de findPath)
+    followPath(points) {
+        if (this.is(RobotState.RESETTING)) return false;
+        this.path = points.map(({ x, z }) => ({ x, z }));
+        return true;
+    }
+
+    cancelPath() {
+        this.path = null;
+    }
+
+    // Gira `angle` radianes sobre el eje y
+    turn(angle) {
+        if (this.is(RobotState.RESETTING)) return false;
+        this.heading += angle;
+        return true;
+    }
+
+    // Despegar, o en el aire dar el doble salto si está permitido
+    startJump() {
+        if (this.airborne) {
+            if (!this.doubleJump || this.airJumps > 0) return false;
+
+            // Mismo estado, pero se vuelve a entrar para notificar el salto
+            this.stateMachine.reset(RobotState.JUMPING, { airJump: true });
+            return true;
+        }
+        return this.stateMachine.transition(RobotState.JUMPING);
+    }
+
+    // Soltar el salto mientras sube lo corta: cuanto antes, más bajo
+    releaseJump() {
+        if (!this.jumpHeld) return false;
+
+        this.jumpHeld = false;
+        if (this.velocityY > 0) {
+            this.velocityY *= this.jumpCut;
+        }
+        return true;
+    }
+
+    toggleDance() {
+        const next = this.is(RobotState.DANCING) ? RobotState.IDLE : RobotState.DANCING;
+        return this.stateMachine.transition(next);
+    }
+
+    startReset() {
+        return this.stateMachine.transition(RobotState.RESETTING);
+    }
+
+    // Avanza la simulación `dt` segundos
+    step(dt) {
+        this.time += dt;
+        this.stepPath(dt);
+        this.stateMachine.update(dt);
+
+        switch (this.state) {
+            case RobotState.JUMPING:
+                this.stepJump(dt);
+                break;
+            case RobotState.LANDING:
+                this.stepLanding(dt);
+                break;
+            case RobotState.DANCING:
+                this.stepDance(dt);
+                break;
+            case RobotState.RESETTING:
+                this.stepReset(dt);
+                break;
+            case RobotState.IDLE:
+                if (this.proceduralIdle) {
+                    // Respiración sutil
+                    this.position.y = Math.sin(this.time * 1.2) * 0.02;
+                }
+                break;
+        }
+
+        if (!this.is(RobotState.RESETTING)) {
+            this.followTarget(dt);
+        }
+        this.stepTiltRecovery(dt);
+    }
+
+    stepPath(dt) {
+        if (!this.path) return;
+
+        // Avanzar el objetivo hacia el siguiente punto del camino
+        let budget = this.walkSpeed * dt;
+        let dx = 0;
+        let dz = 0;
+        let { x, z } = this.targetPosition;
+
+        while (this.path.length > 0 && budget > 0) {
+            const waypoint = this.path[0];
+            const distance = Math.hypot(waypoint.x - x, waypoint.z - z);
+
+            if (distance <= budget) {
+                dx += waypoint.x - x;
+                dz += waypoint.z - z;
+                x = waypoint.x;
+                z = waypoint.z;
+                budget -= distance;
+                this.path.shift();
+            } else {
+                const k = budget / distance;
+                dx += (waypoint.x - x) * k;
+                dz += (waypoint.z - z) * k;
+                budget = 0;
+            }
+        }
+
+        if (dx !== 0 || dz !== 0) {
+            this.move(dx, dz);
+        }
+
+        // Sigue caminando hasta que el cuerpo llega al final del camino
+        if (this.path.length === 0) {
+            const arrived = Math.hypot(this.targetPosition.x - this.position.x, this.targetPosition.z - this.position.z) < 0.1;
+            if (arrived) {
+                this.path = null;
+            } else {
+                this.timeSinceMove = 0;
+            }
+        }
+    }
+
+    followTarget(dt) {
+        // Factor equivalente a `followRate` por frame a 60 fps, independiente del framerate
+        const factor = 1 - Math.pow(1 - this.followRate, dt * 60);
+        this.position.x = lerp(this.position.x, this.targetPosition.x, factor);
+        this.position.z = lerp(this.position.z, this.targetPosition.z, factor);
+    }
+
+    // Caída libre con gravedad constante. La integración es exacta para
+    // cualquier `dt`, así que la altura y el momento del aterrizaje no
+    // dependen del framerate.
+    stepJump(dt) {
+        this.timeSinceMove += dt;
+        const ground = this.originalPosition.y;
+        const { gravity } = this;
+        const y = this.position.y + this.velocityY * dt - gravity * dt * dt / 2;
+
+        if (y > ground) {
+            this.position.y = y;
+            this.velocityY -= gravity * dt;
+            return;
+        }
+
+        // Instante del contacto con el suelo dentro de este paso; el resto
+        // del paso ya cuenta como aterrizaje
+        const height = Math.max(this.position.y - ground, 0);
+        const contact = (this.velocityY + Math.sqrt(this.velocityY ** 2 + 2 * gravity * height)) / gravity;
+        const speed = gravity * contact - this.velocityY;
+
+        this.position.y = ground;
+        this.stateMachine.transition(RobotState.LANDING, {
+            impact: clamp(speed / this.jumpVelocity, 0, 1),
+            elapsed: Math.max(dt - contact, 0)
+        });
+        this.stepLanding(0);
+    }
+
+    stepLanding(dt) {
+        this.timeSinceMove += dt;
+        this.landing.elapsed += dt;
+        const progress = Math.min(this.landing.elapsed / this.landingDuration, 1);
+        this.squash = Math.sin(progress * Math.PI) * this.landingSquash * this.landing.impact;
+
+        if (progress >= 1) {
+            const next = this.timeSinceMove < WALK_TIMEOUT ? RobotState.WALKING : RobotState.IDLE;
+            this.stateMachine.transition(next);
+        }
+    }
+
+    stepDance(dt) {
+        if (!this.proceduralDance) return;
+
+        this.heading += dt;
+        this.position.y = Math.sin(this.time * 20) * 0.2;
+        this.tilt = Math.sin(this.time * 12) * 0.2;
+    }
+
+    stepReset(dt) {
+        this.reset.elapsed += dt;
+        const progress = Math.min(this.reset.elapsed / this.resetDuration, 1);
+        const ease = easeOutCubic(progress);
+        const { from } = this.reset;
+
+        this.position.x = lerp(from.x, this.originalPosition.x, ease);
+        this.position.y = lerp(from.y, this.originalPosition.y, ease);
+        this.position.z = lerp(from.z, this.originalPosition.z, ease);
+        this.heading = lerp(this.reset.heading, 0, ease);
+        this.tilt = 0;
+
+        if (progress >= 1) {
+            this.stateMachine.transition(RobotState.IDLE);
+        }
+    }
+
+    stepTiltRecovery(dt) {
+        if (!this.tiltRecovery) return;
+
+        this.tiltRecovery.elapsed += dt;
+        const progress = Math.min(this.tiltRecovery.elapsed / this.tiltRecoveryDuration, 1);
+        this.tilt = lerp(this.tiltRecovery.from, 0, easeOutCubic(progress));
+
+        if (progress >= 1) {
+            this.tiltRecovery = null;
+        }
+    }
+
+    // Nueva posición de partida (a la que vuelve el reset), con el robot ya en ella
+    setHome(x, z) {
+        this.originalPosition = { x, y: 0, z };
+        this.position = { ...this.originalPosition };
+        this.targetPosition = { ...this.originalPosition };
+    }
+
+    // Copia serializable del estado actual
+    getSnapshot() {
+        return {
+            state: this.state,
+            position: { ...this.position },
+            targetPosition: { ...this.targetPosition },
+            heading: this.heading,
+            tilt: this.tilt,
+            time: this.time
+        };
+    }
+
+    // Restaura posición, orientación y reloj de un snapshot, con el robot en idle
+    restore({ position, targetPosition = position, heading = 0, tilt = 0, time = 0 }) {
+        this.stateMachine.reset(RobotState.IDLE);
+
+        this.position = { ...position };
+        this.targetPosition = { ...targetPosition };
+        this.heading = heading;
+        this.tilt = tilt;
+        this.time = time;
+
+        this.timeSinceMove = 0;
+        this.squash = 0;
+        this.velocityY = 0;
+        this.airJumps = 0;
+        this.jumpHeld = false;
+        this.landing = null;
+        this.reset = null;
+        this.tiltRecovery = null;
+    }
+}
@@ -0,0 +1,177 @@
+// Personalizador del robot procedural: edita la especificación (robotSpec.js)
+// con vista previa en vivo sobre el robot seleccionado, la aplica a un robot
+// GLB y la carga o exporta en JSON. Los cambios los guarda el visor
+// (setRobotSpec).
+import { SPEC_LIMITS, HEAD_SHAPES, VISOR_SHAPES, COLOR_NAMES, MATERIAL_NAMES } from './robotSpec.js';
+import { msg, errorDetail } from './i18n.js';
+
+const MATERIAL_RANGE = { min: 0, max: 1, step: 0.05 };
+const SHAPES = { head: HEAD_SHAPES, visor: VISOR_SHAPES };
+
+// Apartados en el orden del panel; los materiales van aparte (uno por grupo)
+const SECTIONS = ['body', 'head', 'visor', 'eyes', 'arms', 'legs', 'accessories'];
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+export class RobotCustomizer {
+    constructor(viewer, container) {
+        this.viewer = viewer;
+        this.container = container;
+
+        this.fileInput = createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.json,application/json';
+        this.fileInput.addEventListener('change', () => this.loadFile());
+    }
+
+    // Mostrar u ocultar el panel; devuelve si queda visible
+    toggle() {
+        const visible = this.container.classList.toggle('visible');
+        this.render();
+        return visible;
+    }
+
+    // Especificación que se edita: la del robot seleccionado si es procedural
+    get spec() {
+        return this.viewer.selected?.robotSpec ?? this.viewer.robotSpec;
+    }
+
+    // Cambiar un valor (`path`: apartado y clave) y reconstruir el robot
+    update(path, value) {
+        const spec = structuredClone(this.spec);
+        const parent = path.slice(0, -1).reduce((section, name) => section[name], spec);
+        parent[path[path.length - 1]] = value;
+        this.viewer.setRobotSpec(spec);
+    }
+
+    render() {
+        if (!this.container.classList.contains('visible')) return;
+
+        const viewer = this.viewer;
+        const spec = this.spec;
+        this.container.replaceChildren();
+        this.container.appendChild(createElement('h3', null, viewer.t('builder.title')));
+
+        const name = createElement('input', 'text-input');
+        name.value = spec.name;
+        name.placeholder = viewer.t('builder.name');
+        name.addEventListener('change', () => {
+            if (name.value.trim()) this.update(['name'], name.value.trim());
+        });
+        this.container.appendChild(name);
+
+        // Solo los campos del robot original: un JSON puede traer claves de más
+        SECTIONS.forEach((section) => {
+            const group = this.addSection(`builder.section.${section}`);
+            Object.keys(viewer.defaultRobotSpec[section]).forEach((key) => {
+                const value = spec[section][key];
+                const label = viewer.t(`builder.field.${key}`);
+                if (key === 'shape') {
+                    group.appendChild(this.createSelect(label, [section, key], SHAPES[section], value));
+                } else if (typeof value === 'boolean') {
+                    group.appendChild(this.createCheckbox(label, [section, key], value));
+                } else {
+                    group.appendChild(this.createRange(label, [section, key], SPEC_LIMITS[section][key], value));
+                }
+            });
+        });
+
+        const colors = this.addSection('builder.section.colors');
+        COLOR_NAMES.forEach((color) => {
+            const row = createElement('label', 'clip-role', viewer.t(`builder.color.${color}`));
+            const input = createElement('input', 'builder-color');
+            input.type = 'color';
+            input.value = spec.colors[color];
+            input.addEventListener('input', () => this.update(['colors', color], input.value));
+            row.appendChild(input);
+            colors.appendChild(row);
+        });
+
+        MATERIAL_NAMES.forEach((material) => {
+            const group = this.addSection(`builder.section.${material}Material`);
+            ['roughness', 'metalness'].forEach((key) => {
+                group.appendChild(this.createRange(viewer.t(`builder.field.${key}`), ['materials', material, key], MATERIAL_RANGE, spec.materials[material][key]));
+            });
+        });
+
+        // Un robot GLB no cambia en vivo: se sustituye por el procedural
+        const apply = createElement('button', 'action-btn', viewer.t('builder.apply'));
+        apply.disabled = viewer.selected?.modelName === 'procedural';
+        apply.addEventListener('click', () => {
+            viewer.createAdvancedRobot(viewer.selected, this.spec);
+            this.render();
+        });
+
+        const reset = createElement('button', 'action-btn', viewer.t('builder.reset'));
+        reset.addEventListener('click', () => {
+            viewer.setRobotSpec(viewer.defaultRobotSpec);
+            this.render();
+        });
+
+        const loadBtn = createElement('button', 'action-btn', viewer.t('builder.load'));
+        loadBtn.addEventListener('click', () => this.fileInput.click());
+        const exportBtn = createElement('button', 'action-btn', viewer.t('builder.export'));
+        exportBtn.addEventListener('click', () => viewer.exportRobotSpec());
+        this.container.append(apply, reset, loadBtn, exportBtn);
+    }
+
+    addSection(titleKey) {
+        const section = createElement('div', 'clip-section');
+        section.appendChild(createElement('h4', null, this.viewer.t(titleKey)));
+        this.container.appendChild(section);
+        return section;
+    }
+
+    createRange(label, path, range, value) {
+        const row = createElement('label', 'clip-role', label);
+        const slider = createElement('input', 'clip-range');
+        Object.assign(slider, { type: 'range', ...range });
+        slider.value = value;
+        slider.addEventListener('input', () => this.update(path, Number(slider.value)));
+        row.appendChild(slider);
+        return row;
+    }
+
+    createSelect(label, path, options, value) {
+        const row = createElement('label', 'clip-role', label);
+        const select = createElement('select', 'clip-select');
+        options.forEach((option) => {
+            const element = createElement('option', null, this.viewer.t(`builder.shape.${option}`));
+            element.value = option;
+            select.appendChild(element);
+        });
+        select.value = value;
+        select.addEventListener('change', () => this.update(path, select.value));
+        row.appendChild(select);
+        return row;
+    }
+
+    createCheckbox(label, path, value) {
+        const row = createElement('label', 'check-row');
+        const checkbox = createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = value;
+        checkbox.addEventListener('change', () => this.update(path, checkbox.checked));
+        row.append(checkbox, createElement('span', null, label));
+        return row;
+    }
+
+    async loadFile() {
+        const file = this.fileInput.files[0];
+        this.fileInput.value = '';
+        if (!file) return;
+
+        try {
+            const spec = this.viewer.setRobotSpec(await file.text());
+            this.render();
+            this.viewer.showStatus(msg('builder.loaded', { name: spec.name }), 'success');
+        } catch (error) {
+            this.viewer.reportError(msg('builder.invalid', { error: errorDetail(error) }), error);
+        }
+    }
+}
@@ -0,0 +1,139 @@
+// Especificación del robot procedural: proporciones, forma de la cabeza,
+// segmentos de brazos y piernas, colores, materiales y accesorios. Sin
+// dependencias de Three.js; la construye robotBuilder.js. Un JSON propio
+// puede definir solo una parte: el resto se toma del robot original.
+//
+// {
+//   "name": "Mi robot",
+//   "body": { "width": 2.2, "height": 2.8, "depth": 1.6 },
+//   "head": { "shape": "box", "width": 1.6, "height": 1.6, "depth": 1.4, "neck": 0 },   // box | sphere | cylinder
+//   "visor": { "shape": "round", "size": 0.8 },                                          // round | band | none
+//   "eyes": { "count": 2, "size": 0.12, "spacing": 0.5 },
+//   "arms": { "segments": 1, "length": 1.8, "thickness": 0.4, "hands": true },
+//   "legs": { "segments": 1, "length": 2, "thickness": 0.4, "spacing": 1.2, "feet": true },
+//   "colors": { "primary": "#ff6b35", "accent": "#1abc9c", "limbs": "#f8f9fa", "joints": "#2c3e50", "eyes": "#f8f9fa" },
+//   "materials": {
+//     "body": { "roughness": 0.2, "metalness": 0.8 },
+//     "limbs": { "roughness": 0.3, "metalness": 0.7 }
+//   },
+//   "accessories": { "antennas": 0, "antennaLength": 0.6, "ears": false, "backpack": false, "chestLight": false }
+// }
+import { msg, MessageError } from './i18n.js';
+
+export const HEAD_SHAPES = ['box', 'sphere', 'cylinder'];
+export const VISOR_SHAPES = ['round', 'band', 'none'];
+export const COLOR_NAMES = ['primary', 'accent', 'limbs', 'joints', 'eyes'];
+export const MATERIAL_NAMES = ['body', 'limbs'];
+
+// Límites de cada valor numérico, que usa también el personalizador
+export const SPEC_LIMITS = {
+    body: {
+        width: { min: 1, max: 4, step: 0.1 },
+        height: { min: 1, max: 4, step: 0.1 },
+        depth: { min: 0.6, max: 3, step: 0.1 }
+    },
+    head: {
+        width: { min: 0.6, max: 3, step: 0.1 },
+        height: { min: 0.6, max: 3, step: 0.1 },
+        depth: { min: 0.6, max: 3, step: 0.1 },
+        neck: { min: 0, max: 1, step: 0.05 }
+    },
+    visor: {
+        size: { min: 0.2, max: 1.5, step: 0.05 }
+    },
+    eyes: {
+        count: { min: 0, max: 4, step: 1 },
+        size: { min: 0.05, max: 0.4, step: 0.01 },
+        spacing: { min: 0.2, max: 1.2, step: 0.05 }
+    },
+    arms: {
+        segments: { min: 1, max: 3, step: 1 },
+        length: { min: 0.8, max: 3.5, step: 0.1 },
+        thickness: { min: 0.15, max: 0.8, step: 0.05 }
+    },
+    legs: {
+        segments: { min: 1, max: 3, step: 1 },
+        length: { min: 0.8, max: 3.5, step: 0.1 },
+        thickness: { min: 0.15, max: 0.9, step: 0.05 },
+        spacing: { min: 0.4, max: 3, step: 0.1 }
+    },
+    accessories: {
+        antennas: { min: 0, max: 3, step: 1 },
+        antennaLength: { min: 0.2, max: 1.5, step: 0.05 }
+    }
+};
+
+const MATERIAL_LIMITS = { roughness: { min: 0, max: 1, step: 0.05 }, metalness: { min: 0, max: 1, step: 0.05 } };
+
+const toHex = (color) => `#${color.toString(16).padStart(6, '0')}`;
+
+// El robot de siempre, con los colores de las opciones del visor
+export function createDefaultSpec(colors) {
+    return {
+        name: 'Robot',
+        body: { width: 2.2, height: 2.8, depth: 1.6 },
+        head: { shape: 'box', width: 1.6, height: 1.6, depth: 1.4, neck: 0 },
+        visor: { shape: 'round', size: 0.8 },
+        eyes: { count: 2, size: 0.12, spacing: 0.5 },
+        arms: { segments: 1, length: 1.8, thickness: 0.4, hands: true },
+        legs: { segments: 1, length: 2, thickness: 0.4, spacing: 1.2, feet: true },
+        colors: {
+            primary: toHex(colors.primary),
+            accent: toHex(colors.accent),
+            limbs: '#f8f9fa',
+            joints: '#2c3e50',
+            eyes: '#f8f9fa'
+        },
+        materials: {
+            body: { roughness: 0.2, metalness: 0.8 },
+            limbs: { roughness: 0.3, metalness: 0.7 }
+        },
+        accessories: { antennas: 0, antennaLength: 0.6, ears: false, backpack: false, chestLight: false }
+    };
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+const inRange = (value, { min, max, step }) => isNumber(value) && value >= min && value <= max
+    && (step !== 1 || Number.isInteger(value));
+
+// Valores numéricos de un apartado dentro de sus límites
+const withinLimits = (section, limits) => Object.entries(limits).every(([key, range]) => inRange(section?.[key], range));
+
+// Comprobaciones de cada apartado de la especificación ya combinada con la base
+const SECTION_CHECKS = {
+    name: (name) => typeof name === 'string' && name.length > 0,
+    body: (body) => withinLimits(body, SPEC_LIMITS.body),
+    head: (head) => HEAD_SHAPES.includes(head?.shape) && withinLimits(head, SPEC_LIMITS.head),
+    visor: (visor) => VISOR_SHAPES.includes(visor?.shape) && withinLimits(visor, SPEC_LIMITS.visor),
+    eyes: (eyes) => withinLimits(eyes, SPEC_LIMITS.eyes),
+    arms: (arms) => withinLimits(arms, SPEC_LIMITS.arms) && typeof arms.hands === 'boolean',
+    legs: (legs) => withinLimits(legs, SPEC_LIMITS.legs) && typeof legs.feet === 'boolean',
+    colors: (colors) => COLOR_NAMES.every((name) => isColor(colors?.[name])),
+    materials: (materials) => MATERIAL_NAMES.every((name) => withinLimits(materials?.[name], MATERIAL_LIMITS)),
+    accessories: (accessories) => withinLimits(accessories, SPEC_LIMITS.accessories)
+        && ['ears', 'backpack', 'chestLight'].every((key) => typeof accessories[key] === 'boolean')
+};
+
+// Valida una especificación (objeto o texto JSON) y completa lo que falte con `base`
+export function parseRobotSpec(data, base) {
+    const source = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!source || typeof source !== 'object') {
+        throw new MessageError('builder.errorObject');
+    }
+
+    const spec = { name: source.name ?? base.name };
+    Object.keys(SECTION_CHECKS).filter((section) => section !== 'name').forEach((section) => {
+        spec[section] = { ...base[section], ...source[section] };
+    });
+    spec.materials = Object.fromEntries(MATERIAL_NAMES.map((name) =>
+        [name, { ...base.materials[name], ...source.materials?.[name] }]));
+
+    Object.entries(SECTION_CHECKS).forEach(([section, check]) => {
+        if (!check(spec[section])) {
+            throw new MessageError('builder.errorSection', { name: spec.name ?? msg('error.unnamed'), section });
+        }
+    });
+
+    return spec;
+}
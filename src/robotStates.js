@@ -0,0 +1,22 @@
+// Estados del robot y transiciones permitidas entre ellos
+export const RobotState = Object.freeze({
+    IDLE: 'idle',
+    WALKING: 'walking',
+    JUMPING: 'jumping',
+    DANCING: 'dancing',
+    RESETTING: 'resetting',
+    LANDING: 'landing'
+});
+
+export const ROBOT_TRANSITIONS = {
+    [RobotState.IDLE]: [RobotState.WALKING, RobotState.JUMPING, RobotState.DANCING, RobotState.RESETTING],
+    [RobotState.WALKING]: [RobotState.IDLE, RobotState.JUMPING, RobotState.DANCING, RobotState.RESETTING],
+    // No se puede bailar ni resetear en el aire; solo tocar el suelo
+    [RobotState.JUMPING]: [RobotState.LANDING],
+    [RobotState.LANDING]: [RobotState.IDLE, RobotState.WALKING, RobotState.JUMPING, RobotState.DANCING, RobotState.RESETTING],
+    [RobotState.DANCING]: [RobotState.IDLE, RobotState.RESETTING],
+    [RobotState.RESETTING]: [RobotState.IDLE]
+};
+
+// Segundos sin recibir movimiento antes de volver a idle
+export const WALK_TIMEOUT = 0.3;
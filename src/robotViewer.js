@@ -0,0 +1,2545 @@
+// Importar Three.js desde CDN
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.min.js';
+import { RobotState } from './robotStates.js';
+import { ChoreographySequencer } from './choreography.js';
+import { parseCommands, CommandError } from './commandParser.js';
+import { CommandConsole } from './commandConsole.js';
+import { TurtleRunner } from './turtleRunner.js';
+import { TurtlePanel } from './turtlePanel.js';
+import { PenTrail } from './penTrail.js';
+import { SoundEngine } from './soundEngine.js';
+import { SoundPanel } from './soundPanel.js';
+import { createDefaultSpec, parseRobotSpec } from './robotSpec.js';
+import { buildRobot } from './robotBuilder.js';
+import { RobotCustomizer } from './robotCustomizer.js';
+import { InputRecorder, InputReplayer } from './inputRecorder.js';
+import { downloadJSON } from './download.js';
+import { disposeObject } from './modelUtils.js';
+import { ClipBrowser } from './clipBrowser.js';
+import { LOOK_MODES } from './proceduralOverlay.js';
+import { RobotActor, ANIMATION_ROLES } from './robotActor.js';
+import { CollisionWorld, FLOOR_SIZE, parseLevel } from './collision.js';
+import { buildLevelMeshes } from './levelMeshes.js';
+import { findPath } from './pathfinding.js';
+import { CameraRig } from './cameraRig.js';
+import { InputBindings, ACTIONS, MOVE_ACTIONS, BINDING_SLOTS, keyLabel } from './inputBindings.js';
+import { InputManager } from './inputManager.js';
+import { TouchControls } from './touchControls.js';
+import { GamepadInput } from './gamepadInput.js';
+import { BindingsPanel } from './bindingsPanel.js';
+import { createViewerUI } from './viewerUI.js';
+import { NetSession } from './netSession.js';
+import { CaptureTool } from './captureTool.js';
+import { LIGHTING_PRESETS, createOriginalPreset, parsePreset } from './lightingPresets.js';
+import { LightingRig } from './lightingRig.js';
+import { LightingPanel } from './lightingPanel.js';
+import { QualityScaler, FrameMonitor, QUALITY_SETTINGS } from './qualityScaler.js';
+import { Translator, LANGUAGES, LANGUAGE_NAMES, detectLanguage, msg, errorDetail, MessageError } from './i18n.js';
+import { parseSceneState, serializeSceneState, encodeSceneHash, readSceneHash, SCENE_STATE_VERSION, SCENE_HASH_KEY } from './sceneState.js';
+import { loadJSON, saveJSON } from './storage.js';
+
+// Rutas relativas a este módulo para que funcionen desde cualquier página
+const assetUrl = (path) => new URL(path, import.meta.url).href;
+
+// JSON de `url`; una respuesta de error (un 404) se avisa como tal y no como JSON inválido
+async function fetchJSON(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new MessageError('error.notFound', { url, status: response.status });
+    }
+    return response.json();
+}
+
+// Desplazamiento máximo del ratón (px) para considerar un clic y no un arrastre
+const CLICK_TOLERANCE = 5;
+
+const GLTF_LOADER_URL = 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/examples/jsm/loaders/GLTFLoader.js';
+const SKELETON_UTILS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/examples/jsm/utils/SkeletonUtils.js';
+
+// Distancias (desde el robot seleccionado) a las que se prueba a colocar uno nuevo
+const SPAWN_RINGS = [3, 6, 9];
+const SPAWN_SPACING = 2.5;
+
+// Segundos entre autoguardados del estado de la escena
+const AUTOSAVE_INTERVAL = 3;
+
+// Segundos entre refrescos del overlay de rendimiento
+const STATS_INTERVAL = 0.5;
+
+const SHADOW_TYPES = {
+    basic: THREE.BasicShadowMap,
+    pcf: THREE.PCFShadowMap,
+    pcfSoft: THREE.PCFSoftShadowMap
+};
+
+export const VIEWER_EVENTS = ['loaded', 'stateChange', 'jump', 'moodChange', 'error'];
+
+const DEFAULT_OPTIONS = {
+    modelUrl: assetUrl('../models/cute_robot.glb'),
+    levelUrl: assetUrl('../levels/default.json'),          // null: sin nivel
+    choreographyUrl: assetUrl('../choreographies/demo.json'),
+    moveSpeed: 0.15,
+    doubleJump: true,           // segundo salto en el aire
+    sleepAfter: 30,             // segundos quieto hasta que al robot le entra sueño
+    showUI: true,
+    stateKey: 'sceneState',     // clave del autoguardado en localStorage (null: sin autoguardado)
+    urlState: true,             // restaurar la escena de un enlace compartido (#escena=...)
+    quality: 'auto',            // auto | low | medium | high | ultra (lo elegido en la interfaz tiene prioridad)
+    showStats: false,           // overlay con fps y tiempo de frame
+    language: null,             // es | en | ... (null: el del navegador; lo elegido en la interfaz tiene prioridad)
+    colors: {}
+};
+
+const DEFAULT_COLORS = {
+    background: 0x1a1a2e,
+    floor: 0x2c3e50,
+    grid: 0x3498db,
+    primary: 0xff6b35,      // Naranja principal (robot procedural)
+    accent: 0x1abc9c        // Verde azulado (visor)
+};
+
+// Visor del robot 3D. Se puede crear varias veces en la misma página:
+// cada instancia tiene su canvas, su interfaz y sus listeners dentro de
+// `container`, y dispose() lo libera todo.
+export class Robot3DViewer {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.colors = { ...DEFAULT_COLORS, ...options.colors };
+        
+        // Suscriptores de eventos públicos (loaded, stateChange, jump, error)
+        this.listeners = new Map();
+        
+        // Listeners fuera del contenedor (window), para quitarlos en dispose()
+        this.cleanups = [];
+        this.disposed = false;
+        
+        // Idioma de la interfaz y los mensajes
+        this.i18n = new Translator(loadJSON('language', this.options.language ?? detectLanguage()));
+        this.i18n.onChange(() => this.renderLanguage());
+        this.statusMessage = null;
+        
+        // Raíz del visor: recibe el foco para el teclado y contiene la interfaz
+        this.root = document.createElement('div');
+        this.root.className = 'robot-viewer';
+        this.root.tabIndex = 0;
+        this.root.lang = this.i18n.language;
+        if (this.options.showUI) {
+            createViewerUI(this.root, this.i18n);
+        }
+        container.appendChild(this.root);
+        
+        // Robots de la escena; la entrada se aplica solo al seleccionado
+        this.robots = [];
+        this.selected = null;
+        this.nextRobotId = 1;
+        this.lookMode = LOOK_MODES[0];
+        
+        // Último GLB cargado, del que se sacan las copias
+        this.modelSource = null;
+        
+        this.modelUrl = this.options.modelUrl;
+        this.modelObjectUrl = null;
+        this.clock = new THREE.Clock();
+        
+        // Suelo y obstáculos
+        this.collisionWorld = new CollisionWorld();
+        this.levelGroup = null;
+        
+        // Secuenciador de coreografías
+        this.sequencer = new ChoreographySequencer(this);
+        
+        // Órdenes de texto de la consola (runCommands), con su propia cola
+        this.commands = new ChoreographySequencer(this);
+        
+        // Programas de la tortuga (runTurtle), en un worker aparte
+        this.turtle = new TurtleRunner(this);
+        
+        // Grabación y reproducción de sesiones de entrada
+        this.recorder = new InputRecorder();
+        this.replayer = new InputReplayer();
+        this.lastSession = null;
+        
+        // Sesión multiusuario (robots de otros jugadores)
+        this.net = new NetSession(this);
+        
+        // Capturas de imagen, vídeo y pose
+        this.capture = new CaptureTool(this);
+        
+        // Autoguardado del estado de la escena; empieza cuando se ha
+        // restaurado el guardado (o no había) para no pisarlo antes
+        this.autosaveReady = false;
+        this.autosaveTimer = 0;
+        this.levelData = null;
+        
+        // Calidad de render adaptativa y medida de los tiempos de frame
+        this.quality = new QualityScaler({ mode: loadJSON('quality', this.options.quality) });
+        this.frameMonitor = new FrameMonitor();
+        this.statsTimer = 0;
+        this.paused = false;
+        
+        // Efectos de sonido sintetizados; el AudioContext se crea con el primer gesto
+        this.sound = new SoundEngine({ settings: loadJSON('sound') });
+        this.listenerForward = new THREE.Vector3();
+        
+        // Diseño del robot procedural: el original y el del personalizador
+        this.defaultRobotSpec = createDefaultSpec(this.colors);
+        this.robotSpec = this.loadSavedRobotSpec();
+        
+        // Configuración de movimiento
+        this.moveSpeed = this.options.moveSpeed;
+        
+        // Entrada por acciones (teclado reasignable, táctil y mando)
+        this.bindings = new InputBindings();
+        this.input = new InputManager();
+        
+        // Inicializar la aplicación
+        this.init();
+        this.setupLighting();
+        this.createEnvironment();
+        this.setupLightingPresets();
+        this.applyQuality();
+        this.selectRobot(this.createRobotActor().id);
+        this.setupEventListeners();
+        this.loadInitialContent();
+        this.animate();
+    }
+
+    // Elemento de la interfaz de esta instancia (null si se creó sin interfaz)
+    ui(name) {
+        return this.root.querySelector(`[data-ui="${name}"]`);
+    }
+
+    // addEventListener que se deshace en dispose()
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.cleanups.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    // Suscribirse a un evento del visor. Devuelve la función para desuscribirse.
+    on(event, listener) {
+        if (!VIEWER_EVENTS.includes(event)) {
+            throw new Error(`Evento desconocido "${event}"`);
+        }
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    off(event, listener) {
+        this.listeners.get(event)?.delete(listener);
+    }
+
+    emit(event, data) {
+        this.listeners.get(event)?.forEach((listener) => listener(data));
+    }
+
+    // Avisar de un error al usuario y a los suscriptores de 'error'.
+    // `message`: texto o mensaje de msg() (se traduce al mostrarlo)
+    reportError(message, error) {
+        const text = this.i18n.format(message);
+        console.warn(text, error);
+        this.showStatus(message, 'error');
+        this.emit('error', { message: text, error });
+    }
+
+    // Texto traducido de `key` (catálogos en src/locales/)
+    t(key, params) {
+        return this.i18n.t(key, params);
+    }
+
+    // Cambiar el idioma de la interfaz y los mensajes. Devuelve false si no
+    // hay catálogo para `language` (ver LANGUAGES en i18n.js).
+    setLanguage(language) {
+        if (!this.i18n.setLanguage(language)) return false;
+        saveJSON('language', language);
+        return true;
+    }
+
+    // Volver a poner todos los textos de la interfaz en el idioma actual
+    renderLanguage() {
+        this.root.lang = this.i18n.language;
+        this.i18n.translate(this.root);
+        
+        // Textos que dependen del estado (los de data-i18n ya están puestos)
+        this.updateDanceButton(this.controller.is(RobotState.DANCING));
+        this.updateCameraModeButton();
+        this.updateLookModeButton();
+        this.updateRobotsUI();
+        this.updateQualityUI();
+        this.updateStatsOverlay();
+        this.renderShortcutList();
+        this.sequencer.emit();
+        this.capture.emit();
+        this.net.setStatus(this.net.status);
+        
+        this.bindingsPanel?.render();
+        this.lightingPanel?.render();
+        this.clipBrowser?.render();
+        this.commandConsole?.render();
+        this.turtlePanel?.render();
+        this.soundPanel?.render();
+        this.robotCustomizer?.render();
+        
+        const language = this.ui('language');
+        if (language) language.value = this.i18n.language;
+        
+        const status = this.ui('status');
+        if (status && this.statusMessage) status.textContent = this.i18n.format(this.statusMessage);
+    }
+
+    focus() {
+        this.root.focus({ preventScroll: true });
+    }
+
+    // Atajos al robot seleccionado, que es el que controlan la interfaz,
+    // las coreografías y el navegador de clips
+    get controller() {
+        return this.selected.controller;
+    }
+
+    get robot() {
+        return this.selected.object;
+    }
+
+    get robotParts() {
+        return this.selected.parts;
+    }
+
+    get mixer() {
+        return this.selected.mixer;
+    }
+
+    get animations() {
+        return this.selected.animations;
+    }
+
+    get modelName() {
+        return this.selected.modelName;
+    }
+
+    // Robots de este jugador (sin los remotos de la sesión en red)
+    get localRobots() {
+        return this.robots.filter((actor) => !actor.remote);
+    }
+
+    getRobot(id) {
+        return this.robots.find((actor) => actor.id === id) || null;
+    }
+
+    // Modelo, nivel y coreografía iniciales. Si hay una escena guardada (enlace
+    // compartido o autoguardado) se restaura cuando el primer robot tiene modelo.
+    async loadInitialContent() {
+        const state = await this.readInitialSceneState();
+        if (this.disposed) return;
+        
+        if (state) {
+            if (state.model) this.modelUrl = state.model.url;
+            const unsubscribe = this.on('loaded', () => {
+                unsubscribe();
+                try {
+                    this.restoreSceneState(state);
+                } catch (error) {
+                    this.reportError(msg('scene.restoreFailed', { error: errorDetail(error) }), error);
+                }
+                this.autosaveReady = true;
+            });
+        } else {
+            this.autosaveReady = true;
+        }
+        
+        this.loadRobot();
+        this.loadDefaultContent({ level: !state });
+    }
+
+    // `level`: false si la escena restaurada ya trae su nivel
+    loadDefaultContent({ level = true } = {}) {
+        const { levelUrl, choreographyUrl } = this.options;
+        
+        if (levelUrl && level) {
+            fetchJSON(levelUrl)
+                .then((data) => !this.disposed && this.loadLevel(data))
+                .catch((error) => this.reportError(msg('level.defaultFailed', { error: errorDetail(error) }), error));
+        }
+        
+        if (choreographyUrl) {
+            fetchJSON(choreographyUrl)
+                .then((data) => !this.disposed && this.sequencer.load(data))
+                .catch((error) => console.warn('No se pudo cargar la coreografía demo:', error));
+        }
+    }
+
+    // === API pública ===
+
+    jump() {
+        this.jumpRobot();
+    }
+
+    // Sin argumento alterna; con true/false empieza o termina el baile
+    dance(enabled = !this.controller.is(RobotState.DANCING)) {
+        if (enabled !== this.controller.is(RobotState.DANCING)) {
+            this.toggleDance();
+        }
+    }
+
+    reset() {
+        this.resetRobot();
+    }
+
+    // Ejecutar órdenes de texto en español o inglés ('camina adelante 3; salta').
+    // Los pasos se encolan detrás de los que estén en curso. Si alguna orden no
+    // se entiende lanza CommandError y no se ejecuta ninguna. Durante una
+    // grabación o una reproducción no se aceptan: no forman parte de la sesión.
+    runCommands(text) {
+        if (this.recorder.recording || this.replayer.active) {
+            throw new CommandError('console.sessionActive');
+        }
+        const commands = parseCommands(text, { clips: Object.keys(this.animations || {}) });
+        
+        commands.forEach(({ name, steps }) => {
+            if (name === 'stop') {
+                this.stopCommands();
+            } else if (steps) {
+                this.sequencer.stop();
+                this.turtle.stop();
+                this.commands.append({ name: 'console', steps });
+            }
+        });
+        return commands;
+    }
+
+    stopCommands() {
+        this.commands.stop();
+        this.selected?.controller.cancelPath();
+    }
+
+    // Ejecutar un programa de la tortuga con el robot seleccionado
+    // (forward, turn, penDown, penUp, setColor, jump, dance, wait, clear)
+    runTurtle(code) {
+        this.turtle.run(code);
+    }
+
+    stopTurtle() {
+        return this.turtle.stop();
+    }
+
+    clearTrails() {
+        this.penTrail.clear();
+    }
+
+    loadModel(url, name) {
+        return this.loadRobot(url, name);
+    }
+
+    // Añadir un robot junto al seleccionado: copia del último GLB ('clone') o
+    // procedural ('procedural'). Queda seleccionado.
+    addRobot(type = 'clone') {
+        const actor = this.spawnRobot(this.findSpawnPosition(), { type });
+        this.selectRobot(actor.id);
+        return actor;
+    }
+
+    // Crear un robot con modelo en `position`, sin seleccionarlo. `spec`: diseño
+    // del robot procedural (por defecto, el del personalizador)
+    spawnRobot(position, { type = 'clone', spec, ...actorOptions } = {}) {
+        const actor = this.createRobotActor(position, actorOptions);
+        
+        if (type === 'clone' && this.modelSource) {
+            this.setupGLBClone(actor, this.modelSource);
+        } else {
+            this.createAdvancedRobot(actor, spec);
+        }
+        return actor;
+    }
+
+    // Quitar un robot (siempre queda al menos uno)
+    removeRobot(id = this.selected.id) {
+        const actor = this.getRobot(id);
+        if (!actor || actor.remote) return false;
+        
+        if (this.localRobots.length <= 1) {
+            this.showStatus(msg('robots.lastOne'), 'warning');
+            return false;
+        }
+        
+        this.destroyRobot(actor);
+        return true;
+    }
+
+    selectRobot(id) {
+        const actor = this.getRobot(id);
+        if (!actor || actor.remote) return false;
+        if (actor === this.selected) return true;
+        
+        // La coreografía, las órdenes, el programa en curso y las teclas pulsadas eran del robot anterior
+        this.sequencer.stop();
+        this.stopCommands();
+        this.turtle.stop();
+        this.releaseAllActions();
+        
+        this.selected = actor;
+        this.updateDanceButton(actor.controller.is(RobotState.DANCING));
+        this.updateMoodUI();
+        this.updateRobotsUI();
+        this.clipBrowser?.render();
+        this.robotCustomizer?.render();
+        return true;
+    }
+
+    selectNextRobot() {
+        const robots = this.localRobots;
+        const index = robots.indexOf(this.selected);
+        this.selectRobot(robots[(index + 1) % robots.length].id);
+        this.showStatus(msg('robots.selected', { id: this.selected.id }), 'success');
+    }
+
+    // Todos a bailar; si ya bailan todos, todos paran
+    toggleDanceAll() {
+        const robots = this.localRobots.filter((actor) => actor.object);
+        const allDancing = robots.every((actor) => actor.controller.is(RobotState.DANCING));
+        
+        robots.forEach((actor) => {
+            if (actor.controller.is(RobotState.DANCING) === allDancing) {
+                actor.controller.toggleDance();
+            }
+        });
+    }
+
+    createRobotActor(position, { id = this.nextRobotId++, remote = false } = {}) {
+        const actor = new RobotActor({
+            id,
+            remote,
+            world: this.collisionWorld,
+            camera: this.camera,
+            doubleJump: this.options.doubleJump,
+            sleepAfter: this.options.sleepAfter
+        });
+        actor.overlay.setLookMode(this.lookMode);
+        actor.expression.onChange((event) => this.emit('moodChange', { ...event, robot: actor.id }));
+        if (position) {
+            actor.controller.setHome(position.x, position.z);
+        }
+        actor.controller.onStateChange((event) => this.handleStateChange(actor, event));
+        
+        this.robots.push(actor);
+        this.updateRobotsUI();
+        return actor;
+    }
+
+    destroyRobot(actor) {
+        // Sin su robot, el jugador sale de la sesión en red
+        if (actor === this.net.localActor) {
+            this.net.disconnect();
+        }
+        if (this.pathPreview?.actor === actor) {
+            this.clearPathPreview();
+        }
+        if (actor.object) {
+            this.scene.remove(actor.object);
+        }
+        actor.dispose();
+        this.sound.removeSource(actor.id);
+        
+        this.robots.splice(this.robots.indexOf(actor), 1);
+        if (actor === this.selected) {
+            this.selected = null;
+            this.selectRobot(this.localRobots[0].id);
+        }
+        this.updateRobotsUI();
+    }
+
+    // Poner un modelo a un robot, sustituyendo el que tuviera
+    setRobotModel(actor, model, options) {
+        if (actor.object) {
+            this.scene.remove(actor.object);
+        }
+        actor.setModel(model, options);
+        this.scene.add(actor.object);
+        
+        if (actor === this.selected) {
+            this.clipBrowser?.render();
+        }
+    }
+
+    // Primer hueco libre alrededor del robot seleccionado
+    findSpawnPosition() {
+        const center = this.selected?.controller.position ?? { x: 0, z: 0 };
+        
+        for (const distance of SPAWN_RINGS) {
+            for (let i = 0; i < 8; i++) {
+                const angle = i / 8 * Math.PI * 2;
+                const x = center.x + Math.cos(angle) * distance;
+                const z = center.z + Math.sin(angle) * distance;
+                
+                const blocked = this.collisionWorld.collides(x, z, 1) || this.robots.some(({ controller }) =>
+                    Math.hypot(controller.position.x - x, controller.position.z - z) < SPAWN_SPACING);
+                if (!blocked) return { x, z };
+            }
+        }
+        return { x: center.x, z: center.z };
+    }
+
+    updateRobotsUI() {
+        const status = this.ui('robots-status');
+        if (status && this.selected) {
+            status.textContent = this.t('robots.status', { id: this.selected.id, count: this.localRobots.length });
+        }
+    }
+
+    // Parar el bucle de render, quitar listeners y liberar los recursos de GPU
+    dispose() {
+        if (this.disposed) return;
+        this.saveSceneState();
+        this.disposed = true;
+        
+        cancelAnimationFrame(this.frameId);
+        this.cleanups.forEach((cleanup) => cleanup());
+        this.cleanups = [];
+        this.resizeObserver?.disconnect();
+        this.gamepad.dispose();
+        this.bindingsPanel?.dispose();
+        
+        this.sequencer.stop();
+        this.turtle.stop();
+        this.replayer.stop();
+        this.sound.dispose();
+        this.net.disconnect();
+        this.capture.stopTurntable(false);
+        this.clearPathPreview();
+        this.clearLevel();
+        this.robots.forEach((actor) => actor.dispose());
+        this.robots = [];
+        this.setModelSource(null);
+        
+        this.scene.traverse((object) => object.shadow?.map?.dispose());
+        disposeObject(this.scene);
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+        
+        if (this.modelObjectUrl) {
+            URL.revokeObjectURL(this.modelObjectUrl);
+            this.modelObjectUrl = null;
+        }
+        
+        this.root.remove();
+        this.listeners.clear();
+    }
+
+    handleStateChange(actor, event) {
+        const { from, to } = event;
+        this.emit('stateChange', { ...event, robot: actor.id });
+        if (to === RobotState.JUMPING) {
+            this.emit('jump', { ...event, robot: actor.id });
+        }
+        
+        if (actor === this.selected) {
+            if (from === RobotState.DANCING) {
+                this.updateDanceButton(false);
+            }
+            if (to === RobotState.DANCING) {
+                this.updateDanceButton(true);
+            }
+        }
+        
+        actor.playStateAnimation();
+        this.playStateSound(actor, event);
+    }
+
+    // Impulso y golpe del salto, ritmo mientras baila y servos al reiniciarse
+    playStateSound(actor, { from, to, airJump, impact }) {
+        const position = actor.object?.position;
+        if (to === RobotState.JUMPING) {
+            this.sound.play('whoosh', position, { strength: airJump ? 0.7 : 1 });
+        } else if (to === RobotState.LANDING) {
+            this.sound.play('thud', position, { impact });
+        }
+        
+        const loops = { [RobotState.DANCING]: 'dance', [RobotState.RESETTING]: 'servo' };
+        if (loops[from]) this.sound.stopLoop(actor.id, loops[from]);
+        if (loops[to]) this.sound.startLoop(actor.id, loops[to]);
+    }
+
+    // Clip del estado actual del robot seleccionado
+    playStateAnimation() {
+        return this.selected.playStateAnimation();
+    }
+
+    // Suscribirse a los cambios de estado de cualquier robot
+    onStateChange(listener) {
+        return this.on('stateChange', listener);
+    }
+
+    // Tamaño del contenedor (la ventana si aún no tiene tamaño propio)
+    get width() {
+        return this.root.clientWidth || window.innerWidth;
+    }
+
+    get height() {
+        return this.root.clientHeight || window.innerHeight;
+    }
+
+    // Crear el renderer, o sustituirlo si ya había uno: el antialiasing solo
+    // se puede elegir al crear el contexto WebGL
+    createRenderer(antialias) {
+        const previous = this.renderer;
+        
+        this.renderer = new THREE.WebGLRenderer({ 
+            antialias,
+            alpha: true
+        });
+        this.renderer.setSize(this.width, this.height);
+        this.renderer.setPixelRatio(previous?.getPixelRatio() ?? window.devicePixelRatio);
+        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = previous?.shadowMap.type ?? THREE.PCFSoftShadowMap;
+        this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
+        this.renderer.toneMappingExposure = previous?.toneMappingExposure ?? 1.2;
+        this.antialias = antialias;
+        
+        if (!previous) {
+            this.canvasHost.appendChild(this.renderer.domElement);
+            return;
+        }
+        
+        // Geometrías, materiales y texturas se vuelven a subir solos al nuevo
+        // contexto; los mapas de sombras eran del anterior
+        this.scene.traverse((object) => {
+            if (!object.shadow?.map) return;
+            object.shadow.map.dispose();
+            object.shadow.map = null;
+        });
+        previous.domElement.replaceWith(this.renderer.domElement);
+        previous.dispose();
+        previous.forceContextLoss();
+        this.lightingRig.renderer = this.renderer;
+        console.log(`🖥️ Renderer recreado (antialiasing ${antialias ? 'activado' : 'desactivado'})`);
+    }
+
+    init() {
+        // Crear escena
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(this.colors.background);
+        this.scene.fog = new THREE.Fog(this.colors.background, 10, 50);
+        
+        // Configurar cámara
+        this.camera = new THREE.PerspectiveCamera(
+            75, 
+            this.width / this.height, 
+            0.1, 
+            1000
+        );
+        this.camera.position.set(0, 4, 10);
+        this.camera.lookAt(0, 2, 0);
+        
+        // Modos de cámara (órbita, seguimiento, primera persona, vuelo libre)
+        this.cameraRig = new CameraRig(this.camera);
+        
+        // Configurar renderer. El canvas va dentro de un contenedor fijo que
+        // recibe los eventos, porque cambiar el antialiasing lo sustituye
+        this.canvasHost = document.createElement('div');
+        this.canvasHost.className = 'viewer-canvas';
+        this.root.appendChild(this.canvasHost);
+        this.createRenderer(QUALITY_SETTINGS[this.quality.level].antialias);
+        
+        // Controles de cámara simplificados
+        this.setupCameraControls();
+    }
+
+    setupCameraControls() {
+        let isDragging = false;
+        let previousMousePosition = { x: 0, y: 0 };
+        let downPosition = { x: 0, y: 0 };
+        
+        this.canvasHost.addEventListener('mousedown', (e) => {
+            isDragging = true;
+            previousMousePosition = { x: e.clientX, y: e.clientY };
+            downPosition = { x: e.clientX, y: e.clientY };
+        });
+        
+        this.canvasHost.addEventListener('mousemove', (e) => {
+            if (!isDragging) return;
+            
+            this.dispatchInput({
+                type: 'orbit',
+                dx: e.clientX - previousMousePosition.x,
+                dy: e.clientY - previousMousePosition.y
+            });
+            
+            previousMousePosition = { x: e.clientX, y: e.clientY };
+        });
+        
+        this.canvasHost.addEventListener('mouseup', (e) => {
+            isDragging = false;
+            
+            // Un clic sin arrastre selecciona un robot o envía al seleccionado al suelo
+            const moved = Math.hypot(e.clientX - downPosition.x, e.clientY - downPosition.y);
+            if (e.button === 0 && moved <= CLICK_TOLERANCE) {
+                this.handleSceneClick(e);
+            }
+        });
+        
+        // Zoom con rueda del mouse
+        this.canvasHost.addEventListener('wheel', (e) => {
+            this.dispatchInput({ type: 'zoom', deltaY: e.deltaY });
+        });
+        
+        // Joystick virtual y gestos táctiles
+        this.touchControls = new TouchControls(this.canvasHost, this.ui('joystick'), {
+            onAxis: (x, z) => this.dispatchInput({ type: 'axis', source: 'touch', x, z }),
+            onOrbit: (dx, dy) => this.dispatchInput({ type: 'orbit', dx, dy }),
+            onZoom: (deltaY) => this.dispatchInput({ type: 'zoom', deltaY }),
+            onTap: (clientX, clientY) => this.handleSceneClick({ clientX, clientY })
+        });
+        
+        // Mando (se consulta en cada frame desde animate)
+        this.gamepad = new GamepadInput({
+            onAction: (action, pressed) => 
+                this.dispatchInput({ type: pressed ? 'actionDown' : 'actionUp', action }),
+            onAxis: (x, z) => this.dispatchInput({ type: 'axis', source: 'gamepad', x, z }),
+            onOrbit: (dx, dy) => this.dispatchInput({ type: 'orbit', dx, dy }),
+            onZoom: (deltaY) => this.dispatchInput({ type: 'zoom', deltaY })
+        });
+    }
+
+    // Clic o toque en la escena: sobre un robot lo selecciona, sobre el suelo
+    // envía allí al robot seleccionado
+    handleSceneClick(e) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            -((e.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, this.camera);
+        
+        const objects = this.localRobots.map((actor) => actor.object).filter(Boolean);
+        const [robotHit] = raycaster.intersectObjects(objects, true);
+        if (robotHit) {
+            let object = robotHit.object;
+            while (object && object.userData.robotId === undefined) {
+                object = object.parent;
+            }
+            if (object) {
+                this.dispatchInput({ type: 'select', id: object.userData.robotId });
+                return;
+            }
+        }
+        
+        if (!this.floor) return;
+        const [hit] = raycaster.intersectObject(this.floor);
+        if (!hit) return;
+        
+        this.dispatchInput({ type: 'moveTo', x: hit.point.x, z: hit.point.z });
+    }
+
+    orbitCamera(dx, dy) {
+        this.cameraRig.orbit(dx, dy);
+    }
+
+    zoomCamera(deltaY) {
+        this.cameraRig.zoom(deltaY);
+    }
+
+    cycleCameraMode() {
+        const mode = this.cameraRig.nextMode();
+        this.updateCameraModeButton();
+        this.showStatus(msg('camera.status', { mode: msg(`camera.${mode}`) }), 'success');
+    }
+
+    updateCameraModeButton() {
+        const button = this.ui('camera-mode');
+        if (button) button.textContent = this.t('camera.status', { mode: msg(`camera.${this.cameraRig.mode}`) });
+    }
+
+    setupLighting() {
+        // Luz ambiental
+        const ambientLight = new THREE.AmbientLight(0x404040, 0.4);
+        this.scene.add(ambientLight);
+        
+        // Luz direccional principal
+        const mainLight = new THREE.DirectionalLight(0xffffff, 1.2);
+        mainLight.position.set(10, 15, 5);
+        mainLight.castShadow = true;
+        mainLight.shadow.mapSize.width = 4096;
+        mainLight.shadow.mapSize.height = 4096;
+        mainLight.shadow.camera.near = 0.5;
+        mainLight.shadow.camera.far = 50;
+        mainLight.shadow.camera.left = -15;
+        mainLight.shadow.camera.right = 15;
+        mainLight.shadow.camera.top = 15;
+        mainLight.shadow.camera.bottom = -15;
+        this.scene.add(mainLight);
+        
+        // Luces de acento
+        const accentLight1 = new THREE.PointLight(0x3498db, 0.8, 20);
+        accentLight1.position.set(-10, 8, -10);
+        this.scene.add(accentLight1);
+        
+        const accentLight2 = new THREE.PointLight(0x2980b9, 0.6, 15);
+        accentLight2.position.set(10, 5, 10);
+        this.scene.add(accentLight2);
+        
+        // Luz de relleno
+        const fillLight = new THREE.DirectionalLight(0x87ceeb, 0.3);
+        fillLight.position.set(-5, 10, -5);
+        this.scene.add(fillLight);
+        
+        // Colores e intensidades los pone después el preset de ambiente
+        this.lights = {
+            ambient: ambientLight,
+            main: mainLight,
+            accent1: accentLight1,
+            accent2: accentLight2,
+            fill: fillLight
+        };
+    }
+
+    // Presets de ambiente: los incluidos, el original con los colores de las
+    // opciones y los propios guardados en localStorage
+    setupLightingPresets() {
+        this.lightingPresets = { original: createOriginalPreset(this.colors), ...LIGHTING_PRESETS };
+        this.customPresetIds = new Set();
+        
+        loadJSON('lightingPresets', []).forEach((data) => {
+            try {
+                this.addLightingPreset(data, { save: false });
+            } catch (error) {
+                console.warn('⚠️ Preset guardado inválido:', error);
+            }
+        });
+        
+        this.lightingRig = new LightingRig({
+            scene: this.scene,
+            renderer: this.renderer,
+            lights: this.lights,
+            floor: this.floor,
+            grid: this.grid,
+            particles: this.particles
+        });
+        this.lightingPreset = 'original';
+        this.lightingRig.setPreset(this.lightingPresets.original, { duration: 0 });
+    }
+
+    // Cambiar de ambiente con una transición (`duration` en segundos; 0: al momento)
+    setLightingPreset(id, { duration } = {}) {
+        const preset = this.lightingPresets[id];
+        if (!preset) return false;
+        
+        this.lightingPreset = id;
+        this.lightingRig.setPreset(preset, { duration });
+        this.lightingPanel?.render();
+        return true;
+    }
+
+    // Añadir un preset propio (objeto o texto JSON); devuelve su id
+    addLightingPreset(data, { save = true } = {}) {
+        const preset = parsePreset(data, this.lightingPresets.original);
+        const slug = preset.name.toLowerCase().normalize('NFD').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const id = `custom-${slug || this.customPresetIds.size + 1}`;
+        
+        this.lightingPresets[id] = preset;
+        this.customPresetIds.add(id);
+        if (save) this.saveCustomPresets();
+        this.lightingPanel?.render();
+        return id;
+    }
+
+    removeLightingPreset(id) {
+        if (!this.customPresetIds.has(id)) return false;
+        
+        delete this.lightingPresets[id];
+        this.customPresetIds.delete(id);
+        this.saveCustomPresets();
+        if (this.lightingPreset === id) {
+            this.setLightingPreset('original');
+        }
+        this.lightingPanel?.render();
+        return true;
+    }
+
+    saveCustomPresets() {
+        saveJSON('lightingPresets', [...this.customPresetIds].map((id) => this.lightingPresets[id]));
+    }
+
+    setExposure(exposure) {
+        this.lightingRig.setExposure(exposure);
+    }
+
+    createEnvironment() {
+        // Crear suelo
+        const floorGeometry = new THREE.PlaneGeometry(FLOOR_SIZE, FLOOR_SIZE);
+        const floorMaterial = new THREE.MeshStandardMaterial({
+            color: this.colors.floor,
+            roughness: 0.7,
+            metalness: 0.3
+        });
+        const floor = new THREE.Mesh(floorGeometry, floorMaterial);
+        floor.rotation.x = -Math.PI / 2;
+        floor.receiveShadow = true;
+        this.scene.add(floor);
+        this.floor = floor;
+        
+        // Grid helper
+        const gridHelper = new THREE.GridHelper(FLOOR_SIZE, FLOOR_SIZE, this.colors.grid, 0x34495e);
+        gridHelper.material.opacity = 0.3;
+        gridHelper.material.transparent = true;
+        this.scene.add(gridHelper);
+        this.grid = gridHelper;
+        
+        // Anillo bajo el robot seleccionado
+        this.selectionMarker = new THREE.Mesh(
+            new THREE.RingGeometry(1, 1.15, 48),
+            new THREE.MeshBasicMaterial({ color: 0xffa502, side: THREE.DoubleSide, transparent: true, opacity: 0.8 })
+        );
+        this.selectionMarker.rotation.x = -Math.PI / 2;
+        this.scene.add(this.selectionMarker);
+        
+        // Trazos de la tortuga
+        this.penTrail = new PenTrail();
+        this.scene.add(this.penTrail.mesh);
+        
+        // El área de movimiento es el propio suelo
+        this.collisionWorld.setArena(FLOOR_SIZE);
+        
+        this.createFuturisticEnvironment();
+    }
+
+    // Cargar un nivel (objeto o texto JSON) con sus obstáculos
+    loadLevel(data) {
+        const level = parseLevel(data);
+        this.clearLevel();
+        
+        this.collisionWorld.setObstacles(level.obstacles);
+        this.levelData = {
+            name: level.name,
+            obstacles: level.obstacles.map(({ minX, maxX, minZ, maxZ, ...obstacle }) => obstacle)
+        };
+        this.levelGroup = buildLevelMeshes(level);
+        this.scene.add(this.levelGroup);
+        
+        this.robots.forEach((actor) => actor.constrain());
+        return level;
+    }
+
+    clearLevel() {
+        this.collisionWorld.clear();
+        this.levelData = null;
+        if (this.levelGroup) {
+            this.scene.remove(this.levelGroup);
+            disposeObject(this.levelGroup);
+            this.levelGroup = null;
+        }
+    }
+
+    createFuturisticEnvironment() {
+        // Partículas flotantes
+        const particlesGeometry = new THREE.BufferGeometry();
+        const particlesCount = 200;
+        const posArray = new Float32Array(particlesCount * 3);
+        
+        for(let i = 0; i < particlesCount * 3; i++) {
+            posArray[i] = (Math.random() - 0.5) * 60;
+            if(i % 3 === 1) posArray[i] = Math.random() * 15;
+        }
+        
+        particlesGeometry.setAttribute('position', new THREE.BufferAttribute(posArray, 3));
+        
+        const particlesMaterial = new THREE.PointsMaterial({
+            size: 0.08,
+            color: 0x3498db,
+            transparent: true,
+            opacity: 0.4
+        });
+        
+        this.particles = new THREE.Points(particlesGeometry, particlesMaterial);
+        this.scene.add(this.particles);
+    }
+
+    // Cargar un modelo en el robot seleccionado (o en `actor`)
+    async loadRobot(url = this.modelUrl, name = url.split('/').pop(), actor = this.selected) {
+        try {
+            this.showStatus(msg('model.loading', { name }), 'warning');
+            await this.loadGLBRobot(url, name, actor);
+        } catch (error) {
+            if (this.disposed) return;
+            
+            // Si ya hay un robot en escena se conserva
+            this.reportError(msg('model.loadFailed', { name }), error);
+            if (actor.object || !this.robots.includes(actor)) return;
+            this.showStatus(msg('model.fallback'), 'warning');
+            this.createAdvancedRobot(actor);
+        }
+    }
+
+    // Cargar un archivo .glb/.gltf local (selector de archivos o arrastrar y soltar)
+    async loadModelFile(file) {
+        if (!/\.(glb|gltf)$/i.test(file.name)) {
+            this.showStatus(msg('model.unsupported'), 'error');
+            return;
+        }
+        
+        const previousObjectUrl = this.modelObjectUrl;
+        this.modelObjectUrl = URL.createObjectURL(file);
+        await this.loadRobot(this.modelObjectUrl, file.name);
+        
+        if (previousObjectUrl) {
+            URL.revokeObjectURL(previousObjectUrl);
+        }
+    }
+
+    async loadGLBRobot(url, name, actor) {
+        // Importar GLTFLoader (y SkeletonUtils para las copias) dinámicamente
+        if (!this.gltfLoader) {
+            const [{ GLTFLoader }, { SkeletonUtils }] = await Promise.all([
+                import(GLTF_LOADER_URL),
+                import(SKELETON_UTILS_URL)
+            ]);
+            this.gltfLoader = new GLTFLoader();
+            this.cloneModel = (model) => SkeletonUtils.clone(model);
+        }
+        
+        return new Promise((resolve, reject) => {
+            this.gltfLoader.load(
+                url,
+                (gltf) => {
+                    // El visor o el robot pudieron desaparecer durante la descarga
+                    if (this.disposed || !this.robots.includes(actor)) return resolve(gltf);
+                    
+                    console.log('✅ Modelo GLB cargado exitosamente');
+                    this.setupGLBRobot(gltf, name, actor, url);
+                    resolve(gltf);
+                },
+                (progress) => {
+                    if (!progress.total) return;
+                    const percentage = (progress.loaded / progress.total * 100).toFixed(0);
+                    this.showStatus(msg('model.progress', { percentage }), 'warning');
+                    console.log(`Cargando: ${percentage}%`);
+                },
+                (error) => {
+                    console.error('❌ Error cargando GLB:', error);
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    setupGLBRobot(gltf, name, actor, url) {
+        const model = gltf.scene;
+        
+        // Configurar el modelo
+        model.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+                
+                // Mejorar materiales
+                if (child.material) {
+                    child.material.roughness = Math.max(0.1, child.material.roughness * 0.8);
+                    child.material.metalness = Math.min(0.9, child.material.metalness * 1.2);
+                }
+            }
+        });
+        
+        // El GLB cargado no se añade a la escena: cada robot usa una copia
+        this.setModelSource({ template: model, clips: gltf.animations || [], name, url, users: 0 });
+        this.setupGLBClone(actor, this.modelSource);
+        
+        this.hideLoading();
+        this.showStatus(msg('model.loaded'), 'success');
+        this.emit('loaded', { name, robot: actor.id });
+    }
+
+    setupGLBClone(actor, source) {
+        this.setRobotModel(actor, this.cloneModel(source.template), {
+            name: source.name,
+            clips: source.clips,
+            source,
+            normalize: true
+        });
+    }
+
+    // El visor cuenta como un usuario más del último GLB para poder seguir copiándolo
+    setModelSource(source) {
+        const previous = this.modelSource;
+        this.modelSource = source;
+        if (source) source.users++;
+        if (previous && --previous.users === 0) {
+            disposeObject(previous.template);
+        }
+    }
+
+    getAnimationRoles() {
+        return this.selected.getAnimationRoles();
+    }
+
+    setAnimationRole(role, clipName) {
+        this.selected.setAnimationRole(role, clipName);
+    }
+
+    // Acepta un alias común (idle, walk, jump, land, dance) o el nombre de cualquier clip
+    playAnimation(animationName, loop = true, fadeTime = 0.3) {
+        return this.selected.playAnimation(animationName, loop, fadeTime);
+    }
+
+    // Robot procedural construido a partir de `spec` (formato en robotSpec.js)
+    createAdvancedRobot(actor = this.selected, spec = this.robotSpec) {
+        this.buildProceduralModel(actor, spec);
+        
+        this.hideLoading();
+        this.showStatus(msg('model.proceduralCreated'), 'success');
+        this.emit('loaded', { name: 'procedural', robot: actor.id });
+    }
+
+    buildProceduralModel(actor, spec) {
+        const { object, parts } = buildRobot(spec);
+        this.setRobotModel(actor, object, { name: 'procedural', parts, spec });
+    }
+
+    // Diseño guardado con el personalizador (el original si no hay o no es válido)
+    loadSavedRobotSpec() {
+        const saved = loadJSON('robotSpec');
+        if (!saved) return this.defaultRobotSpec;
+        
+        try {
+            return parseRobotSpec(saved, this.defaultRobotSpec);
+        } catch (error) {
+            console.warn('⚠️ Robot guardado inválido:', error);
+            return this.defaultRobotSpec;
+        }
+    }
+
+    // Cambiar el diseño del robot procedural (objeto o texto JSON; lo que falte
+    // se toma del original). Se guarda y, si `actor` es procedural, se
+    // reconstruye al momento. Devuelve la especificación validada.
+    setRobotSpec(data, actor = this.selected) {
+        const spec = parseRobotSpec(data, this.defaultRobotSpec);
+        this.robotSpec = spec;
+        saveJSON('robotSpec', spec);
+        
+        if (actor?.modelName === 'procedural') {
+            this.buildProceduralModel(actor, spec);
+        }
+        return spec;
+    }
+
+    // Descargar el diseño del robot seleccionado (o el actual si es un GLB)
+    exportRobotSpec(actor = this.selected) {
+        downloadJSON(actor?.robotSpec ?? this.robotSpec, `robot-${Date.now()}.json`);
+    }
+
+    // `message`: texto o mensaje de msg(), que se vuelve a traducir si cambia
+    // el idioma mientras se muestra
+    showStatus(message, type = 'success') {
+        const status = this.ui('status');
+        if (!status) return;
+        
+        this.statusMessage = message;
+        status.textContent = this.i18n.format(message);
+        status.className = `status ${type}`;
+        status.style.display = 'block';
+        
+        setTimeout(() => {
+            status.style.display = 'none';
+        }, 3000);
+    }
+
+    hideLoading() {
+        const loading = this.ui('loading');
+        if (loading) {
+            loading.style.opacity = '0';
+            setTimeout(() => {
+                loading.style.display = 'none';
+            }, 300);
+        }
+    }
+
+    setupEventListeners() {
+        // Teclado: cada tecla se traduce a su acción según las asignaciones
+        const isTyping = (e) => e.target.closest?.('input, select, textarea');
+        
+        this.root.addEventListener('keydown', (e) => {
+            const action = isTyping(e) ? null : this.bindings.actionForCode(e.code);
+            if (!action) return;
+            
+            // Sin scroll con espacio ni flechas
+            e.preventDefault();
+            if (e.repeat) return;
+            this.dispatchInput({ type: 'actionDown', action });
+        });
+        
+        this.root.addEventListener('keyup', (e) => {
+            const action = this.bindings.actionForCode(e.code);
+            if (action && this.input.isHeld(action)) this.dispatchInput({ type: 'actionUp', action });
+        });
+        
+        // El navegador solo deja sonar el audio tras un gesto del usuario
+        this.root.addEventListener('pointerdown', () => this.sound.unlock());
+        this.root.addEventListener('keydown', () => this.sound.unlock());
+        
+        // Soltar todo al perder el foco, o las teclas quedarían pulsadas
+        this.listen(window, 'blur', () => this.releaseAllActions());
+        this.root.addEventListener('focusout', (e) => {
+            if (!this.root.contains(e.relatedTarget)) this.releaseAllActions();
+        });
+        
+        // Eventos de botones UI
+        this.setupUIEvents();
+        
+        // Posición del ratón para que la cabeza la siga
+        this.listen(window, 'mousemove', (e) => {
+            const rect = this.renderer.domElement.getBoundingClientRect();
+            const x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+            const y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+            this.robots.forEach((actor) => actor.overlay.setPointer(x, y));
+        });
+        
+        // Sin render mientras la pestaña está oculta
+        this.listen(document, 'visibilitychange', () => this.setPaused(document.hidden));
+        
+        // Redimensionamiento del contenedor
+        this.resizeObserver = new ResizeObserver(() => this.onResize());
+        this.resizeObserver.observe(this.root);
+    }
+
+    releaseAllActions() {
+        this.input.held.forEach((action) => this.dispatchInput({ type: 'actionUp', action }));
+    }
+
+    setupUIEvents() {
+        // Acciones de los botones; los clics pasan por dispatchInput para poder grabarlos
+        this.buttonActions = {
+            jump: () => this.jumpRobot(),
+            dance: () => this.toggleDance(),
+            reset: () => this.resetRobot(),
+            wave: () => this.playGesture('wave'),
+            point: () => this.playGesture('point'),
+            'look-mode': () => this.cycleLookMode(),
+            'camera-mode': () => this.cycleCameraMode(),
+            'robot-add-clone': () => this.addRobot('clone'),
+            'robot-add-procedural': () => this.addRobot('procedural'),
+            'robot-remove': () => this.removeRobot(),
+            'robot-next': () => this.selectNextRobot(),
+            'robot-dance-all': () => this.toggleDanceAll(),
+            'choreo-play': () => this.playChoreography(),
+            'choreo-pause': () => this.sequencer.pause(),
+            'choreo-stop': () => this.sequencer.stop(),
+            'choreo-loop': () => this.sequencer.setLoop(!this.sequencer.loop)
+        };
+        
+        Object.keys(this.buttonActions).forEach((id) => {
+            this.ui(id)?.addEventListener('click', () => 
+                this.dispatchInput({ type: 'click', id }));
+        });
+        
+        // Flechas de la interfaz: se mantienen pulsadas como las teclas
+        const moveButtons = { up: 'moveUp', down: 'moveDown', left: 'moveLeft', right: 'moveRight' };
+        Object.entries(moveButtons).forEach(([id, action]) => {
+            const button = this.ui(id);
+            if (!button) return;
+            
+            button.addEventListener('pointerdown', () => this.dispatchInput({ type: 'actionDown', action }));
+            ['pointerup', 'pointerleave', 'pointercancel'].forEach((type) => 
+                button.addEventListener(type, () => {
+                    if (this.input.isHeld(action)) this.dispatchInput({ type: 'actionUp', action });
+                }));
+        });
+        
+        this.setupBindingsUI();
+        this.setupChoreographyUI();
+        this.setupSessionUI();
+        this.setupModelUI();
+        this.setupLevelUI();
+        this.setupNetUI();
+        this.setupCaptureUI();
+        this.setupSceneUI();
+        this.setupQualityUI();
+        this.setupLanguageUI();
+        this.setupConsoleUI();
+        this.setupTurtleUI();
+        this.setupSoundUI();
+        this.setupMoodUI();
+        this.setupBuilderUI();
+        
+        this.updateCameraModeButton();
+        this.updateLookModeButton();
+    }
+
+    setupLanguageUI() {
+        const select = this.ui('language');
+        if (!select) return;
+        
+        LANGUAGES.forEach((code) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = LANGUAGE_NAMES[code];
+            select.appendChild(option);
+        });
+        select.value = this.i18n.language;
+        select.addEventListener('change', () => this.setLanguage(select.value));
+    }
+
+    setupBindingsUI() {
+        const panel = this.ui('bindings-panel');
+        if (panel) {
+            this.bindingsPanel = new BindingsPanel(this.bindings, panel, this.i18n, () => this.renderShortcutList());
+            const toggle = this.ui('bindings-toggle');
+            toggle?.addEventListener('click', () => 
+                toggle.classList.toggle('active', this.bindingsPanel.toggle()));
+        }
+        
+        this.renderShortcutList();
+        
+        const lightingPanel = this.ui('lighting-panel');
+        if (lightingPanel) {
+            this.lightingPanel = new LightingPanel(this, lightingPanel);
+            const toggle = this.ui('lighting-toggle');
+            toggle?.addEventListener('click', () => 
+                toggle.classList.toggle('active', this.lightingPanel.toggle()));
+        }
+    }
+
+    setupConsoleUI() {
+        const panel = this.ui('console-panel');
+        if (!panel) return;
+        
+        this.commandConsole = new CommandConsole(this, panel);
+        this.ui('console-toggle')?.addEventListener('click', () => this.toggleConsole());
+    }
+
+    // Mostrar u ocultar la consola de órdenes (sin argumento alterna)
+    toggleConsole(visible) {
+        if (!this.commandConsole) return;
+        if (visible !== undefined && visible === this.commandConsole.container.classList.contains('visible')) return;
+        
+        this.ui('console-toggle')?.classList.toggle('active', this.commandConsole.toggle());
+    }
+
+    setupTurtleUI() {
+        const panel = this.ui('turtle-panel');
+        if (!panel) return;
+        
+        this.turtlePanel = new TurtlePanel(this, panel);
+        this.ui('turtle-toggle')?.addEventListener('click', () => this.toggleTurtle());
+    }
+
+    setupMoodUI() {
+        const select = this.ui('mood');
+        select?.addEventListener('change', () => {
+            this.setMood(select.value);
+            this.focus();
+        });
+    }
+
+    setupBuilderUI() {
+        const panel = this.ui('builder-panel');
+        if (!panel) return;
+        
+        this.robotCustomizer = new RobotCustomizer(this, panel);
+        const toggle = this.ui('builder-toggle');
+        toggle?.addEventListener('click', () => 
+            toggle.classList.toggle('active', this.robotCustomizer.toggle()));
+    }
+
+    setupSoundUI() {
+        const toggle = this.ui('sound-toggle');
+        toggle?.classList.toggle('muted', this.sound.muted);
+        
+        const panel = this.ui('sound-panel');
+        if (!panel) return;
+        
+        this.soundPanel = new SoundPanel(this, panel);
+        toggle?.addEventListener('click', () => 
+            toggle.classList.toggle('active', this.soundPanel.toggle()));
+    }
+
+    // Mostrar u ocultar el editor de la tortuga (sin argumento alterna)
+    toggleTurtle(visible) {
+        if (!this.turtlePanel) return;
+        if (visible !== undefined && visible === this.turtlePanel.container.classList.contains('visible')) return;
+        
+        this.ui('turtle-toggle')?.classList.toggle('active', this.turtlePanel.toggle());
+    }
+
+    // Lista de atajos del panel de información, generada a partir de las asignaciones
+    renderShortcutList() {
+        const list = this.ui('shortcut-list');
+        if (!list) return;
+        
+        const line = (keys, label) => {
+            const p = document.createElement('p');
+            const hint = document.createElement('span');
+            hint.className = 'key-hint';
+            hint.textContent = keys;
+            p.append(hint, ` - ${label}`);
+            return p;
+        };
+        
+        // Movimiento en una línea: una combinación por hueco (↑←↓→ / WASD)
+        const moveKeys = [];
+        for (let slot = 0; slot < BINDING_SLOTS; slot++) {
+            const codes = MOVE_ACTIONS.map((action) => this.bindings.bindings[action][slot]);
+            if (codes.some(Boolean)) {
+                moveKeys.push(codes.map((code) => (code ? keyLabel(code, this.i18n) : '·')).join(''));
+            }
+        }
+        
+        const lines = [];
+        if (moveKeys.length > 0) lines.push(line(moveKeys.join(' / '), this.t('info.move')));
+        
+        ACTIONS.forEach((action) => {
+            if (MOVE_ACTIONS.includes(action)) return;
+            const codes = this.bindings.get(action);
+            if (codes.length > 0) {
+                lines.push(line(codes.map((code) => keyLabel(code, this.i18n)).join(' / '), this.t(`action.${action}`)));
+            }
+        });
+        
+        list.replaceChildren(...lines);
+    }
+
+    setupLevelUI() {
+        const fileInput = this.ui('level-file');
+        
+        this.ui('level-load')?.addEventListener('click', () => 
+            fileInput?.click());
+        this.ui('level-clear')?.addEventListener('click', () => {
+            this.clearLevel();
+            this.showStatus(msg('level.cleared'), 'success');
+        });
+        
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            
+            try {
+                const level = this.loadLevel(await file.text());
+                this.showStatus(msg('level.loaded', { name: level.name ?? msg('level.untitled') }), 'success');
+            } catch (error) {
+                this.reportError(msg('level.invalid', { error: errorDetail(error) }), error);
+            }
+        });
+    }
+
+    setupModelUI() {
+        const fileInput = this.ui('model-file');
+        const dropOverlay = this.ui('drop-overlay');
+        
+        this.ui('model-open')?.addEventListener('click', () => 
+            fileInput?.click());
+        
+        // Navegador de clips
+        const clipsPanel = this.ui('clips-panel');
+        if (clipsPanel) {
+            this.clipBrowser = new ClipBrowser(this, clipsPanel);
+            this.clipBrowser.render();
+            const clipsToggle = this.ui('clips-toggle');
+            clipsToggle?.addEventListener('click', () => 
+                clipsToggle.classList.toggle('active', this.clipBrowser.toggle()));
+        }
+        
+        fileInput?.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) this.loadModelFile(file);
+        });
+        
+        // Arrastrar y soltar modelos sobre el visor
+        this.root.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropOverlay?.classList.add('visible');
+        });
+        
+        this.root.addEventListener('dragleave', (e) => {
+            if (!this.root.contains(e.relatedTarget)) {
+                dropOverlay?.classList.remove('visible');
+            }
+        });
+        
+        this.root.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropOverlay?.classList.remove('visible');
+            
+            const file = e.dataTransfer?.files[0];
+            if (file) this.loadModelFile(file);
+        });
+    }
+
+    // Punto de entrada único de la entrada del usuario (teclado, botones y cámara)
+    dispatchInput(event) {
+        // Durante una reproducción se ignora la entrada en vivo
+        if (this.replayer.active) return;
+        
+        this.recorder.recordEvent(event);
+        this.applyInput(event);
+    }
+
+    applyInput(event) {
+        switch (event.type) {
+            case 'actionDown':
+                if (this.input.press(event.action)) {
+                    this.triggerAction(event.action);
+                }
+                break;
+            case 'actionUp':
+                this.input.release(event.action);
+                if (event.action === 'jump') {
+                    this.releaseJump();
+                }
+                break;
+            case 'axis':
+                this.input.setAxis(event.source, event.x, event.z);
+                break;
+            case 'click':
+                this.buttonActions[event.id]?.();
+                break;
+            case 'orbit':
+                this.orbitCamera(event.dx, event.dy);
+                break;
+            case 'zoom':
+                this.zoomCamera(event.deltaY);
+                break;
+            case 'moveTo':
+                this.walkTo(event.x, event.z);
+                break;
+            case 'select':
+                this.selectRobot(event.id);
+                break;
+        }
+    }
+
+    setupChoreographyUI() {
+        const loopBtn = this.ui('choreo-loop');
+        const fileInput = this.ui('choreo-file');
+        const statusText = this.ui('choreo-status');
+        
+        this.ui('choreo-load')?.addEventListener('click', () => 
+            fileInput?.click());
+        
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            
+            try {
+                this.loadChoreography(await file.text());
+            } catch (error) {
+                this.reportError(msg('choreo.invalid', { error: errorDetail(error) }), error);
+            }
+        });
+        
+        this.sequencer.onChange(({ status, loop, index, total, name }) => {
+            loopBtn?.classList.toggle('active', loop);
+            if (!statusText) return;
+            
+            if (!name) {
+                statusText.textContent = this.t('choreo.none');
+            } else if (status === 'stopped') {
+                statusText.textContent = this.t('choreo.ready', { name, total });
+            } else {
+                const label = status === 'paused' ? '⏸' : '▶';
+                statusText.textContent = this.t('choreo.progress', { label, name, step: index + 1, total });
+            }
+        });
+    }
+
+    setupSessionUI() {
+        const recordBtn = this.ui('session-record');
+        const fileInput = this.ui('session-file');
+        
+        recordBtn?.addEventListener('click', () => {
+            if (this.recorder.recording) {
+                this.stopRecording();
+            } else {
+                this.startRecording();
+            }
+        });
+        
+        this.ui('session-replay')?.addEventListener('click', () => {
+            if (this.replayer.active) {
+                this.stopReplay();
+            } else if (this.lastSession) {
+                this.startReplay(this.lastSession);
+            } else {
+                this.showStatus(msg('session.nothingToReplay'), 'warning');
+            }
+        });
+        
+        this.ui('session-export')?.addEventListener('click', () => {
+            if (!this.lastSession) {
+                this.showStatus(msg('session.nothingToExport'), 'warning');
+                return;
+            }
+            downloadJSON(this.lastSession, `sesion-robot-${Date.now()}.json`);
+        });
+        
+        this.ui('session-import')?.addEventListener('click', () => 
+            fileInput?.click());
+        
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            
+            try {
+                this.startReplay(await file.text());
+            } catch (error) {
+                this.reportError(msg('session.invalid', { error: errorDetail(error) }), error);
+            }
+        });
+    }
+
+    setupSceneUI() {
+        const fileInput = this.ui('scene-file');
+        
+        this.ui('scene-export')?.addEventListener('click', () => this.exportSceneState());
+        this.ui('scene-import')?.addEventListener('click', () => fileInput?.click());
+        
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            
+            try {
+                this.restoreSceneState(await file.text());
+                this.showStatus(msg('scene.loaded', { name: file.name }), 'success');
+            } catch (error) {
+                this.reportError(msg('scene.invalid', { error: errorDetail(error) }), error);
+            }
+        });
+        
+        this.ui('scene-share')?.addEventListener('click', async () => {
+            try {
+                const url = await this.getSceneUrl();
+                await navigator.clipboard.writeText(url);
+                this.showStatus(msg('scene.linkCopied'), 'success');
+            } catch (error) {
+                this.reportError(msg('scene.linkFailed', { error: error.message }), error);
+            }
+        });
+        
+        // Guardar al cerrar o recargar la página
+        this.listen(window, 'pagehide', () => this.saveSceneState());
+    }
+
+    setupCaptureUI() {
+        const sizeSelect = this.ui('capture-size');
+        const transparentCheck = this.ui('capture-transparent');
+        const turntableBtn = this.ui('capture-turntable');
+        
+        this.ui('capture-png')?.addEventListener('click', async () => {
+            try {
+                await this.screenshot({ size: sizeSelect.value, transparent: transparentCheck.checked });
+                this.showStatus(msg('capture.saved'), 'success');
+            } catch (error) {
+                this.reportError(msg('capture.failed', { error: errorDetail(error) }), error);
+            }
+        });
+        
+        turntableBtn?.addEventListener('click', () => {
+            if (this.capture.recording) {
+                this.capture.stopTurntable();
+                return;
+            }
+            try {
+                this.recordTurntable();
+                this.showStatus(msg('capture.recording'), 'success');
+            } catch (error) {
+                this.reportError(msg('capture.recordFailed', { error: errorDetail(error) }), error);
+            }
+        });
+        
+        this.ui('capture-glb')?.addEventListener('click', async () => {
+            try {
+                await this.exportPose();
+                this.showStatus(msg('capture.poseExported'), 'success');
+            } catch (error) {
+                this.reportError(msg('capture.poseFailed', { error: errorDetail(error) }), error);
+            }
+        });
+        
+        this.capture.onChange(({ recording }) => {
+            if (!turntableBtn) return;
+            turntableBtn.textContent = this.t(recording ? 'capture.stop' : 'capture.turntable');
+            turntableBtn.classList.toggle('active', recording);
+        });
+    }
+
+    // Descargar un PNG de la vista actual. `size`: window | hd | fullHd | square | uhd
+    screenshot({ size = 'window', transparent = false } = {}) {
+        return this.capture.downloadScreenshot({ size, transparent });
+    }
+
+    // Grabar en WebM una vuelta de cámara alrededor del robot seleccionado
+    recordTurntable(duration) {
+        return this.capture.startTurntable({ duration });
+    }
+
+    // Descargar el robot seleccionado con su pose actual como .glb
+    exportPose() {
+        return this.capture.exportPose(this.selected);
+    }
+
+    setupQualityUI() {
+        const select = this.ui('quality');
+        const statsCheck = this.ui('stats-toggle');
+        
+        select?.addEventListener('change', () => {
+            this.setQuality(select.value);
+            this.showStatus(msg('quality.status', { level: msg(`quality.${select.value}`) }), 'success');
+        });
+        
+        statsCheck?.addEventListener('change', () => this.setStatsVisible(statsCheck.checked));
+        this.setStatsVisible(loadJSON('showStats', this.options.showStats), { save: false });
+        this.updateQualityUI();
+    }
+
+    updateQualityUI() {
+        const select = this.ui('quality');
+        if (!select) return;
+        
+        select.value = this.quality.mode;
+        select.querySelector('option[value="auto"]').textContent = 
+            this.t('quality.autoLevel', { level: msg(`quality.${this.quality.level}`) });
+    }
+
+    // Calidad de render: 'auto' (se ajusta según los fps) o un nivel fijo
+    // (low | medium | high | ultra). Devuelve false si no existe.
+    setQuality(mode) {
+        if (!this.quality.setMode(mode)) return false;
+        
+        saveJSON('quality', mode);
+        this.applyQuality();
+        return true;
+    }
+
+    // Mostrar u ocultar el overlay de fps y tiempo de frame
+    setStatsVisible(visible, { save = true } = {}) {
+        this.showStats = visible;
+        if (save) saveJSON('showStats', visible);
+        
+        const statsCheck = this.ui('stats-toggle');
+        if (statsCheck) statsCheck.checked = visible;
+        this.ui('perf-overlay')?.classList.toggle('visible', visible);
+        this.updateStatsOverlay();
+    }
+
+    setupNetUI() {
+        const urlInput = this.ui('net-url');
+        const nameInput = this.ui('net-name');
+        const connectBtn = this.ui('net-connect');
+        const status = this.ui('net-status');
+        
+        // Por defecto, el servidor que sirve la página (server/server.mjs)
+        const host = location.host || 'localhost:8080';
+        if (urlInput) urlInput.value = loadJSON('netUrl', `${location.protocol === 'https:' ? 'wss' : 'ws'}://${host}/ws`);
+        if (nameInput) nameInput.value = loadJSON('netName', '');
+        
+        connectBtn?.addEventListener('click', async () => {
+            if (this.net.status !== 'disconnected') {
+                this.net.disconnect();
+                this.showStatus(msg('net.disconnectedStatus'), 'success');
+                return;
+            }
+            
+            const url = urlInput.value.trim();
+            const name = nameInput.value.trim() || `Robot ${this.selected.id}`;
+            saveJSON('netUrl', url);
+            saveJSON('netName', nameInput.value.trim());
+            
+            try {
+                if (await this.net.connect(url, name)) {
+                    this.showStatus(msg('net.connectedAs', { name }), 'success');
+                }
+            } catch (error) {
+                this.reportError(msg('net.connectFailed', { error: errorDetail(error) }), error);
+            }
+        });
+        
+        this.net.onChange(({ status: state, players }) => {
+            if (!connectBtn || !status) return;
+            
+            const labels = {
+                disconnected: ['net.connect', 'net.disconnected'],
+                connecting: ['net.cancel', 'net.connecting'],
+                connected: ['net.disconnect', 'net.connected']
+            };
+            [connectBtn.textContent, status.textContent] = labels[state].map((key) => this.t(key, { players }));
+            connectBtn.classList.toggle('active', state === 'connected');
+            urlInput.disabled = nameInput.disabled = state !== 'disconnected';
+        });
+    }
+
+    // Estado completo de la escena (formato en sceneState.js)
+    captureSceneState() {
+        const modelUrl = this.modelSource?.url;
+        
+        return {
+            version: SCENE_STATE_VERSION,
+            model: modelUrl && !modelUrl.startsWith('blob:') ? { url: modelUrl } : null,
+            robots: this.localRobots.map((actor) => {
+                const { position, targetPosition, originalPosition, heading, state } = actor.controller;
+                return {
+                    id: actor.id,
+                    type: actor.modelName === 'procedural' ? 'procedural' : 'clone',
+                    spec: actor.robotSpec,
+                    position: { x: position.x, z: position.z },
+                    targetPosition: { x: targetPosition.x, z: targetPosition.z },
+                    home: { x: originalPosition.x, z: originalPosition.z },
+                    heading,
+                    action: state,
+                    clip: actor.currentClip
+                };
+            }),
+            selected: this.selected.id,
+            camera: this.cameraRig.getState(),
+            environment: { level: this.levelData },
+            lighting: {
+                preset: this.lightingPreset,
+                custom: this.customPresetIds.has(this.lightingPreset) ? this.lightingPresets[this.lightingPreset] : null,
+                exposure: this.lightingRig.exposure
+            },
+            settings: { lookMode: this.lookMode, moveSpeed: this.moveSpeed }
+        };
+    }
+
+    // Restaurar una escena (objeto o texto JSON). Los robots que falten se crean
+    // con el mismo id y los que sobren se quitan.
+    restoreSceneState(data) {
+        const state = parseSceneState(data);
+        
+        // El preset propio se valida antes de tocar nada: un error deja la escena como estaba
+        if (state.lighting.custom) {
+            parsePreset(state.lighting.custom, this.lightingPresets.original);
+        }
+        
+        if (this.replayer.active) this.stopReplay();
+        this.sequencer.stop();
+        this.stopCommands();
+        this.turtle.stop();
+        this.releaseAllActions();
+        
+        // Entorno, luces y ajustes antes que los robots, que se recolocan fuera de los obstáculos
+        if (state.environment.level) {
+            this.loadLevel(state.environment.level);
+        } else {
+            this.clearLevel();
+        }
+        const { preset, custom, exposure } = state.lighting;
+        const presetId = custom ? this.addLightingPreset(custom, { save: false }) : preset;
+        this.setLightingPreset(presetId, { duration: 0 });
+        if (Number.isFinite(exposure)) {
+            this.setExposure(exposure);
+        }
+        this.setLookMode(state.settings.lookMode);
+        if (Number.isFinite(state.settings.moveSpeed)) {
+            this.moveSpeed = state.settings.moveSpeed;
+        }
+        
+        state.robots.forEach((saved) => {
+            const spec = saved.type === 'procedural' ? this.parseSavedSpec(saved.spec) : undefined;
+            const actor = this.getRobot(saved.id) ?? this.spawnRobot(saved.home, { id: saved.id, type: saved.type, spec });
+            
+            // Mismo tipo de modelo (y diseño) que al guardar
+            if (saved.type === 'procedural' && actor.robotSpec !== spec) {
+                this.createAdvancedRobot(actor, spec);
+            } else if (saved.type === 'clone' && actor.modelName === 'procedural' && this.modelSource) {
+                this.setupGLBClone(actor, this.modelSource);
+            }
+            this.restoreRobot(actor, saved);
+        });
+        
+        this.selectRobot(state.selected);
+        this.localRobots
+            .filter((actor) => !state.robots.some(({ id }) => id === actor.id))
+            .forEach((actor) => this.destroyRobot(actor));
+        this.nextRobotId = Math.max(this.nextRobotId, ...state.robots.map(({ id }) => id + 1));
+        
+        this.cameraRig.setState(state.camera);
+        this.updateCameraModeButton();
+        return state;
+    }
+
+    // Diseño de un robot procedural guardado en la escena; las escenas antiguas
+    // no lo llevan y uno inválido no impide restaurar el resto
+    parseSavedSpec(data) {
+        if (!data) return this.robotSpec;
+        
+        try {
+            return parseRobotSpec(data, this.defaultRobotSpec);
+        } catch (error) {
+            console.warn('⚠️ Robot de la escena inválido:', error);
+            return this.robotSpec;
+        }
+    }
+
+    restoreRobot(actor, { position, targetPosition, home, heading, action, clip }) {
+        const { controller } = actor;
+        controller.restore({
+            position: { x: position.x, y: 0, z: position.z },
+            targetPosition: { x: targetPosition.x, y: 0, z: targetPosition.z },
+            heading
+        });
+        controller.originalPosition = { x: home.x, y: 0, z: home.z };
+        actor.syncObject();
+        
+        // Los saltos y resets son momentáneos: solo se recupera el baile
+        if (action === RobotState.DANCING) {
+            controller.toggleDance();
+        } else if (clip && !ANIMATION_ROLES.includes(clip)) {
+            actor.playAnimation(clip);
+        } else {
+            actor.playStateAnimation();
+        }
+    }
+
+    saveSceneState() {
+        if (!this.options.stateKey || !this.autosaveReady || this.disposed) return;
+        saveJSON(this.options.stateKey, JSON.parse(serializeSceneState(this.captureSceneState())));
+    }
+
+    // Enlace compartido (#escena=...) o, si no hay, el autoguardado
+    async readInitialSceneState() {
+        if (this.options.urlState) {
+            try {
+                const state = await readSceneHash(location.hash);
+                if (state) {
+                    // El enlace se aplica una vez; después manda el autoguardado
+                    history.replaceState(null, '', location.pathname + location.search);
+                    return state;
+                }
+            } catch (error) {
+                this.reportError(msg('scene.linkInvalid', { error: errorDetail(error) }), error);
+            }
+        }
+        
+        const saved = this.options.stateKey && loadJSON(this.options.stateKey);
+        if (!saved) return null;
+        try {
+            return parseSceneState(saved);
+        } catch (error) {
+            console.warn('⚠️ Escena guardada inválida:', error);
+            return null;
+        }
+    }
+
+    exportSceneState() {
+        downloadJSON(JSON.parse(serializeSceneState(this.captureSceneState())), `escena-robot-${Date.now()}.json`);
+    }
+
+    // URL de esta página que abre la escena actual
+    async getSceneUrl() {
+        const hash = await encodeSceneHash(this.captureSceneState());
+        return `${location.origin}${location.pathname}${location.search}#${SCENE_HASH_KEY}=${hash}`;
+    }
+
+    // Estado desde el que arranca una grabación y su reproducción
+    captureSessionState() {
+        return {
+            robots: this.localRobots.map((actor) => ({ id: actor.id, ...actor.controller.getSnapshot() })),
+            selected: this.selected.id,
+            nextRobotId: this.nextRobotId,
+            camera: this.cameraRig.getState()
+        };
+    }
+
+    restoreSessionState({ robots, selected, nextRobotId, camera }) {
+        this.sequencer.stop();
+        this.stopCommands();
+        this.turtle.stop();
+        this.input.clear();
+        
+        // Los robots añadidos después de empezar la grabación se vuelven a crear al reproducirla
+        const missing = robots.filter(({ id }) => !this.getRobot(id));
+        if (missing.length > 0) {
+            this.showStatus(msg('session.missingRobots', { count: missing.length }), 'warning');
+        }
+        this.selectRobot(this.getRobot(selected) ? selected : robots[0]?.id);
+        this.localRobots
+            .filter((actor) => !robots.some(({ id }) => id === actor.id) && actor !== this.selected)
+            .forEach((actor) => this.destroyRobot(actor));
+        
+        robots.forEach((snapshot) => this.getRobot(snapshot.id)?.controller.restore(snapshot));
+        this.nextRobotId = nextRobotId;
+        
+        this.cameraRig.setState(camera);
+        this.updateCameraModeButton();
+    }
+
+    startRecording() {
+        if (this.replayer.active) return;
+        
+        const initial = this.captureSessionState();
+        this.restoreSessionState(initial);
+        this.recorder.start(initial);
+        
+        this.updateSessionUI();
+        this.showStatus(msg('session.recording'), 'warning');
+    }
+
+    stopRecording() {
+        const session = this.recorder.stop();
+        this.lastSession = session;
+        
+        this.updateSessionUI();
+        this.showStatus(msg('session.recorded', { frames: session.frames.length }), 'success');
+        return session;
+    }
+
+    startReplay(session) {
+        if (this.recorder.recording) {
+            this.stopRecording();
+        }
+        
+        this.replayer.start(session);
+        this.lastSession = this.replayer.session;
+        this.restoreSessionState(this.lastSession.initial);
+        
+        this.updateSessionUI();
+        this.showStatus(msg('session.replaying'), 'warning');
+    }
+
+    stopReplay() {
+        this.replayer.stop();
+        this.input.clear();
+        
+        this.updateSessionUI();
+        this.showStatus(msg('session.replayDone'), 'success');
+    }
+
+    updateSessionUI() {
+        this.ui('session-record')?.classList.toggle('active', this.recorder.recording);
+        this.ui('session-replay')?.classList.toggle('active', this.replayer.active);
+    }
+
+    // La coreografía y el programa de la tortuga mueven el mismo robot: al
+    // cargar o reproducir una se para el programa (como hace TurtleRunner.run)
+    loadChoreography(data) {
+        const choreography = this.sequencer.load(data);
+        this.turtle.stop();
+        this.showStatus(msg('choreo.loaded', { name: choreography.name }), 'success');
+        return choreography;
+    }
+
+    playChoreography() {
+        this.turtle.stop();
+        this.sequencer.play();
+    }
+
+    // Acción pulsada (tecla, botón del mando o flecha de la interfaz)
+    triggerAction(action) {
+        if (!this.robot) return;
+        
+        // En vuelo libre las teclas de movimiento mueven la cámara (updateContinuousMovement)
+        if (this.cameraRig.mode === 'fly' && MOVE_ACTIONS.includes(action)) return;
+        
+        switch (action) {
+            case 'moveUp':
+                this.moveRobot(0, 0, -this.moveSpeed);
+                break;
+            case 'moveDown':
+                this.moveRobot(0, 0, this.moveSpeed);
+                break;
+            case 'moveLeft':
+                this.moveRobot(-this.moveSpeed, 0, 0);
+                break;
+            case 'moveRight':
+                this.moveRobot(this.moveSpeed, 0, 0);
+                break;
+            case 'jump':
+                this.jumpRobot();
+                break;
+            case 'dance':
+                this.toggleDance();
+                break;
+            case 'reset':
+                this.resetRobot();
+                break;
+            case 'wave':
+                this.playGesture('wave');
+                break;
+            case 'point':
+                this.playGesture('point');
+                break;
+            case 'cameraMode':
+                this.cycleCameraMode();
+                break;
+            case 'nextRobot':
+                this.selectNextRobot();
+                break;
+            case 'console':
+                this.toggleConsole();
+                break;
+            case 'mute':
+                this.setMuted(!this.sound.muted);
+                this.showStatus(msg(this.sound.muted ? 'sound.muted' : 'sound.unmuted'), 'success');
+                break;
+        }
+    }
+
+    // Acciones de un robot (por defecto el seleccionado); la sesión en red
+    // las usa también para repetir las de los robots remotos
+    moveRobot(x, y, z, actor = this.selected) {
+        if (!actor.object) return;
+        
+        // Moverse a mano cancela el camino en curso
+        actor.controller.cancelPath();
+        actor.controller.move(x, z);
+    }
+
+    // Caminar hasta (x, z) esquivando obstáculos
+    walkTo(x, z) {
+        if (!this.robot) return false;
+        
+        const { position, radius } = this.controller;
+        const path = findPath(this.collisionWorld, position, { x, z }, radius);
+        
+        if (!path || !this.controller.followPath(path)) {
+            this.showStatus(msg('path.none'), 'warning');
+            return false;
+        }
+        
+        this.showPathPreview(path, this.selected);
+        return true;
+    }
+
+    showPathPreview(path, actor) {
+        this.clearPathPreview();
+        
+        const points = path.map(({ x, z }) => new THREE.Vector3(x, 0.05, z));
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color: 0x2ed573 })
+        );
+        
+        const marker = new THREE.Mesh(
+            new THREE.RingGeometry(0.3, 0.45, 32),
+            new THREE.MeshBasicMaterial({ color: 0x2ed573, side: THREE.DoubleSide })
+        );
+        marker.rotation.x = -Math.PI / 2;
+        marker.position.copy(points[points.length - 1]);
+        
+        this.pathPreview = new THREE.Group();
+        this.pathPreview.add(line, marker);
+        this.pathPreview.actor = actor;
+        this.scene.add(this.pathPreview);
+    }
+
+    clearPathPreview() {
+        if (!this.pathPreview) return;
+        
+        this.scene.remove(this.pathPreview);
+        disposeObject(this.pathPreview);
+        this.pathPreview = null;
+    }
+
+    jumpRobot(actor = this.selected) {
+        if (!actor.object) return;
+        actor.controller.startJump();
+    }
+    
+    // Soltar el salto: si aún sube, el salto se queda más bajo
+    releaseJump(actor = this.selected) {
+        if (actor.controller.releaseJump()) {
+            this.net.notifyJumpRelease(actor);
+        }
+    }
+
+    toggleDance(actor = this.selected) {
+        if (!actor.object) return;
+        actor.controller.toggleDance();
+    }
+
+    updateDanceButton(dancing) {
+        const danceBtn = this.ui('dance');
+        if (!danceBtn) return;
+        
+        danceBtn.textContent = this.t(dancing ? 'action.stopDance' : 'action.dance');
+        danceBtn.classList.toggle('active', dancing);
+    }
+
+    resetRobot(actor = this.selected) {
+        if (!actor.object) return;
+        actor.controller.startReset();
+    }
+
+    // Estado de ánimo (MOODS) del robot; con `duration` (segundos) es pasajero.
+    // Los automáticos (sorpresa, alegría al bailar, sueño) pasan por delante.
+    setMood(mood, { duration } = {}, actor = this.selected) {
+        actor.expression.setMood(mood, { duration });
+        if (actor === this.selected) this.updateMoodUI();
+    }
+
+    // Ánimo que muestra ahora el robot
+    getMood(actor = this.selected) {
+        return actor.expression.mood;
+    }
+
+    updateMoodUI() {
+        const select = this.ui('mood');
+        if (select) select.value = this.selected.expression.baseMood;
+    }
+
+    playGesture(name, actor = this.selected) {
+        if (!actor.object) return;
+        actor.overlay.playGesture(name);
+        this.net.notifyGesture(actor, name);
+    }
+
+    cycleLookMode() {
+        const index = LOOK_MODES.indexOf(this.lookMode);
+        this.setLookMode(LOOK_MODES[(index + 1) % LOOK_MODES.length]);
+    }
+
+    setLookMode(mode) {
+        if (!LOOK_MODES.includes(mode)) return;
+        this.lookMode = mode;
+        this.robots.forEach((actor) => actor.overlay.setLookMode(mode));
+        this.updateLookModeButton();
+    }
+
+    updateLookModeButton() {
+        const button = this.ui('look-mode');
+        if (button) button.textContent = this.t(`look.${this.lookMode}`);
+    }
+
+    updateContinuousMovement(delta) {
+        // Vector combinado de teclas, joystick y mando; su longitud da la velocidad
+        const { x, z } = this.input.getMoveVector();
+        
+        // En vuelo libre el movimiento es de la cámara, no del robot
+        if (this.cameraRig.mode === 'fly') {
+            const y = (this.input.isHeld('flyUp') ? 1 : 0) - (this.input.isHeld('flyDown') ? 1 : 0);
+            this.cameraRig.flyMove(x, y, z, delta);
+            return;
+        }
+        
+        if (!this.robot || (x === 0 && z === 0)) return;
+        
+        // `moveSpeed * 0.4` por frame a 60 fps, independiente del framerate
+        const continuousSpeed = this.moveSpeed * 0.4 * 60 * delta;
+        this.moveRobot(x * continuousSpeed, 0, z * continuousSpeed);
+    }
+
+    // Anillo de selección bajo el robot seleccionado
+    updateSelectionMarker() {
+        const { object, controller } = this.selected;
+        
+        // Con un solo robot no hace falta marcarlo
+        this.selectionMarker.visible = Boolean(object) && this.robots.length > 1;
+        if (!this.selectionMarker.visible) return;
+        
+        const { position, radius } = controller;
+        const pulse = 1 + Math.sin(controller.time * 4) * 0.04;
+        this.selectionMarker.position.set(position.x, 0.03, position.z);
+        this.selectionMarker.scale.setScalar(radius * 1.1 * pulse);
+    }
+
+    updateParticles() {
+        if (this.particles) {
+            this.particles.rotation.y += 0.003;
+            const time = Date.now() * 0.001;
+            this.particles.position.y = Math.sin(time * 0.5) * 0.5;
+        }
+    }
+
+    // Aplicar los ajustes del nivel de calidad actual (qualityScaler.js)
+    applyQuality() {
+        const settings = QUALITY_SETTINGS[this.quality.level];
+        
+        // Un renderer nuevo cambia de canvas y cortaría la grabación de vídeo
+        if (settings.antialias !== this.antialias) {
+            this.capture.stopTurntable();
+            this.createRenderer(settings.antialias);
+        }
+        
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, settings.pixelRatio));
+        
+        // Otro filtrado de sombras exige recompilar los materiales
+        const shadowType = SHADOW_TYPES[settings.shadowType];
+        if (this.renderer.shadowMap.type !== shadowType) {
+            this.renderer.shadowMap.type = shadowType;
+            this.scene.traverse((object) => {
+                [].concat(object.material ?? []).forEach((material) => { material.needsUpdate = true; });
+            });
+        }
+        
+        // El mapa de sombras se vuelve a crear con el tamaño nuevo
+        const { shadow } = this.lights.main;
+        if (shadow.mapSize.x !== settings.shadowMapSize) {
+            shadow.mapSize.set(settings.shadowMapSize, settings.shadowMapSize);
+            shadow.map?.dispose();
+            shadow.map = null;
+        }
+        
+        const { geometry } = this.particles;
+        geometry.setDrawRange(0, Math.round(geometry.attributes.position.count * settings.particles));
+        
+        this.lightingRig.setFogScale(settings.fogScale);
+        this.updateQualityUI();
+        this.updateStatsOverlay();
+    }
+
+    // Registrar el tiempo de este frame, cambiar de nivel en modo automático
+    // y refrescar el overlay
+    updatePerformance(frameTime) {
+        this.frameMonitor.record(frameTime);
+        
+        // Sin cambios automáticos mientras se graba un vídeo
+        const level = this.capture.recording ? null : this.quality.update(frameTime);
+        if (level) {
+            console.log(`⚙️ Calidad automática: ${level} (${this.frameMonitor.fps.toFixed(0)} fps)`);
+            this.applyQuality();
+        }
+        
+        this.statsTimer += frameTime;
+        if (this.statsTimer >= STATS_INTERVAL) {
+            this.statsTimer = 0;
+            this.updateStatsOverlay();
+        }
+    }
+
+    updateStatsOverlay() {
+        const overlay = this.ui('perf-overlay');
+        if (!overlay || !this.showStats) return;
+        
+        const monitor = this.frameMonitor;
+        overlay.textContent = this.t(this.quality.auto ? 'quality.statsAuto' : 'quality.stats', {
+            fps: monitor.fps.toFixed(0),
+            frameTime: monitor.frameTime.toFixed(1),
+            worst: monitor.worstFrameTime.toFixed(1),
+            level: msg(`quality.${this.quality.level}`)
+        });
+    }
+
+    // Oyente en la cámara y cada robot como fuente, con sus pasos al caminar
+    updateSounds() {
+        if (!this.sound.ready) return;
+        
+        this.camera.getWorldDirection(this.listenerForward);
+        this.sound.setListener(this.camera.position, this.listenerForward, this.camera.up);
+        
+        this.robots.forEach((actor) => {
+            if (!actor.object) return;
+            const walking = actor.controller.is(RobotState.WALKING);
+            this.sound.updateSource(actor.id, actor.object.position, { walking });
+        });
+        this.sound.update();
+    }
+
+    // Volumen de 0 a 1 de 'master' o de una categoría (SOUND_CATEGORIES); se guarda
+    setVolume(name, value) {
+        this.sound.setVolume(name, value);
+        saveJSON('sound', this.sound.settings);
+    }
+
+    setMuted(muted) {
+        this.sound.setMuted(muted);
+        saveJSON('sound', this.sound.settings);
+        this.ui('sound-toggle')?.classList.toggle('muted', this.sound.muted);
+    }
+
+    // Parar el bucle de render con la pestaña oculta y reanudarlo al volver
+    setPaused(paused) {
+        if (paused === this.paused || this.disposed) return;
+        this.paused = paused;
+        
+        this.sound.setPaused(paused);
+        if (paused) {
+            cancelAnimationFrame(this.frameId);
+            this.saveSceneState();
+            return;
+        }
+        
+        // Que el primer frame no cuente el tiempo en pausa
+        this.clock.getDelta();
+        this.quality.resetEvaluation();
+        this.animate();
+    }
+
+    onResize() {
+        this.camera.aspect = this.width / this.height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(this.width, this.height);
+    }
+
+    animate() {
+        this.frameId = requestAnimationFrame(() => this.animate());
+        
+        const frameTime = this.clock.getDelta();
+        let delta = frameTime;
+        
+        // El mando no genera eventos: hay que consultarlo cada frame.
+        // Como el teclado, solo controla el visor que tiene el foco.
+        if (!this.replayer.active && this.root.contains(document.activeElement)) {
+            this.gamepad.poll(delta);
+        }
+        
+        // En reproducción se usan los deltas y eventos grabados en lugar del reloj real
+        if (this.replayer.active) {
+            const frame = this.replayer.nextFrame();
+            if (frame) {
+                delta = frame.dt;
+                frame.events.forEach((event) => this.applyInput(event));
+            } else {
+                this.stopReplay();
+            }
+        } else {
+            this.recorder.recordFrame(delta);
+        }
+        
+        // Deshacer el overlay procedural y aplicar los clips de cada robot
+        this.robots.forEach((actor) => actor.updateAnimation(delta));
+        
+        // Movimiento continuo y coreografía (robot seleccionado)
+        this.updateContinuousMovement(delta);
+        this.sequencer.update(delta);
+        this.commands.update(delta);
+        this.turtle.update(delta);
+        
+        // Enviar el estado propio y mover los robots remotos hacia el recibido
+        this.net.update(delta);
+        
+        // Avanzar la simulación de cada robot, reflejarla en su modelo y
+        // aplicar mirada, gestos y expresión encima de la pose del clip
+        this.robots.forEach((actor) => actor.step(delta));
+        this.updateSelectionMarker();
+        
+        // Colocar la cámara según el modo activo (girándola si se graba una vuelta)
+        this.capture.update(delta);
+        this.cameraRig.update(delta, this.controller, this.robotParts.head);
+        
+        // Pasos, bucles de sonido y oyente en la cámara
+        this.updateSounds();
+        
+        // Quitar la vista previa del camino al llegar
+        if (this.pathPreview && !this.pathPreview.actor.controller.path) {
+            this.clearPathPreview();
+        }
+        
+        // Actualizar partículas
+        this.updateParticles();
+        
+        // Sincronizar el navegador de clips
+        this.clipBrowser?.update();
+        
+        // Transición entre presets de ambiente
+        this.lightingRig.update(delta);
+        
+        // Autoguardado periódico de la escena
+        this.autosaveTimer += delta;
+        if (this.autosaveTimer >= AUTOSAVE_INTERVAL) {
+            this.autosaveTimer = 0;
+            this.saveSceneState();
+        }
+        
+        // Tiempos de frame y calidad adaptativa
+        this.updatePerformance(frameTime);
+        
+        // Renderizar
+        this.penTrail.flush();
+        this.renderer.render(this.scene, this.camera);
+    }
+}
@@ -0,0 +1,145 @@
+// Estado completo de la escena (robots, cámara, entorno, luces y ajustes) en
+// un formato serializable para el autoguardado, los archivos JSON y los
+// enlaces compartidos (#escena=...).
+//
+// {
+//   "version": 1,
+//   "model": { "url": "models/cute_robot.glb" },          // null: modelo por defecto
+//   "robots": [{
+//     "id": 1, "type": "clone",                           // clone | procedural
+//     "spec": null,                                       // diseño del procedural (robotSpec.js)
+//     "position": { "x": 0, "z": 0 }, "targetPosition": { "x": 2, "z": 1 },
+//     "home": { "x": 0, "z": 0 }, "heading": 1.57,
+//     "action": "dancing", "clip": "dance"
+//   }],
+//   "selected": 1,
+//   "camera": { ... },                                    // CameraRig.getState()
+//   "environment": { "level": { "name": "Sala", "obstacles": [...] } },
+//   "lighting": { "preset": "sunset", "custom": null, "exposure": 1.1 },   // custom: preset propio
+//   "settings": { "lookMode": "mouse", "moveSpeed": 0.15 }
+// }
+import { parseLevel } from './collision.js';
+import { CAMERA_MODES } from './cameraRig.js';
+import { MessageError } from './i18n.js';
+
+export const SCENE_STATE_VERSION = 1;
+
+// Prefijo del estado en el hash de la URL
+export const SCENE_HASH_KEY = 'escena';
+
+const ROBOT_TYPES = ['clone', 'procedural'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPoint = (value) => isNumber(value?.x) && isNumber(value?.z);
+const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(isNumber);
+
+function validateRobot(robot, index) {
+    const valid = Number.isInteger(robot?.id) && robot.id > 0
+        && ROBOT_TYPES.includes(robot.type)
+        && isPoint(robot.position) && isPoint(robot.targetPosition) && isPoint(robot.home)
+        && isNumber(robot.heading)
+        && typeof robot.action === 'string'
+        && (robot.clip === null || typeof robot.clip === 'string')
+        // El diseño lo valida el visor al construir el robot
+        && (robot.spec === undefined || typeof robot.spec === 'object');
+
+    if (!valid) {
+        throw new MessageError('scene.errorRobot', { index: index + 1 });
+    }
+}
+
+// Todos los campos de CameraRig.getState(): setState no comprueba nada
+function validateCamera(camera) {
+    const { mode, spherical, center, follow, look, fly } = camera ?? {};
+    const valid = CAMERA_MODES.includes(mode)
+        && isNumber(spherical?.radius) && isNumber(spherical.theta) && isNumber(spherical.phi)
+        && isVector(center)
+        && isNumber(follow?.distance) && isNumber(follow.height) && isVector(follow.position)
+        && isNumber(look?.yaw) && isNumber(look.pitch)
+        && isVector(fly?.position) && isNumber(fly.yaw) && isNumber(fly.pitch);
+
+    if (!valid) {
+        throw new MessageError('scene.errorCamera');
+    }
+}
+
+// Valida un estado (objeto o texto JSON) y lo devuelve normalizado
+export function parseSceneState(data) {
+    const state = typeof data === 'string' ? JSON.parse(data) : data;
+
+    if (state?.version !== SCENE_STATE_VERSION) {
+        throw new MessageError('scene.errorVersion', { version: String(state?.version) });
+    }
+    if (!Array.isArray(state.robots) || state.robots.length === 0) {
+        throw new MessageError('scene.errorNoRobots');
+    }
+    state.robots.forEach(validateRobot);
+
+    if (!state.robots.some(({ id }) => id === state.selected)) {
+        throw new MessageError('scene.errorSelected');
+    }
+    validateCamera(state.camera);
+
+    // Solo se valida: loadLevel normaliza el nivel al cargarlo
+    const level = state.environment?.level ?? null;
+    if (level) parseLevel(level);
+
+    return {
+        ...state,
+        model: typeof state.model?.url === 'string' ? { url: state.model.url } : null,
+        environment: { level },
+        lighting: { ...state.lighting },
+        settings: { ...state.settings }
+    };
+}
+
+// JSON del estado con los números redondeados, para que el archivo y el
+// enlace ocupen menos
+export function serializeSceneState(state) {
+    return JSON.stringify(state, (key, value) =>
+        typeof value === 'number' ? Math.round(value * 1000) / 1000 : value);
+}
+
+const toBase64Url = (bytes) => btoa(bytes.reduce((text, byte) => text + String.fromCharCode(byte), ''))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text) => Uint8Array.from(
+    atob(text.replace(/-/g, '+').replace(/_/g, '/')), (char) => char.charCodeAt(0));
+
+async function transform(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+// Texto para el hash: 'z' + deflate en base64url, o 'j' + JSON en base64url
+// si el navegador no tiene CompressionStream
+export async function encodeSceneHash(state) {
+    const bytes = new TextEncoder().encode(serializeSceneState(state));
+
+    if (typeof CompressionStream === 'function') {
+        return 'z' + toBase64Url(await transform(bytes, new CompressionStream('deflate-raw')));
+    }
+    return 'j' + toBase64Url(bytes);
+}
+
+export async function decodeSceneHash(text) {
+    const format = text[0];
+    let bytes = fromBase64Url(text.slice(1));
+
+    if (format === 'z') {
+        if (typeof DecompressionStream !== 'function') {
+            throw new MessageError('scene.errorCompression');
+        }
+        bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+    } else if (format !== 'j') {
+        throw new MessageError('scene.errorLink');
+    }
+
+    return parseSceneState(new TextDecoder().decode(bytes));
+}
+
+// Estado de un hash de URL (#escena=...), o null si no lo lleva
+export async function readSceneHash(hash) {
+    const match = new RegExp(`[#&]${SCENE_HASH_KEY}=([^&]+)`).exec(hash);
+    return match ? decodeSceneHash(match[1]) : null;
+}
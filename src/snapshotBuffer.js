@@ -0,0 +1,64 @@
+// Interpolación de los robots remotos. Los estados recibidos se muestran con
+// un pequeño retraso para tener casi siempre dos entre los que interpolar,
+// así el movimiento es continuo aunque lleguen a 10 Hz y con irregularidad.
+
+// Interpolación de ángulos por el camino más corto
+export function lerpAngle(a, b, t) {
+    let delta = (b - a) % (Math.PI * 2);
+    if (delta > Math.PI) delta -= Math.PI * 2;
+    if (delta < -Math.PI) delta += Math.PI * 2;
+    return a + delta * t;
+}
+
+export class SnapshotBuffer {
+    constructor({ delay = 0.15, capacity = 32 } = {}) {
+        this.delay = delay;
+        this.capacity = capacity;
+        this.items = [];   // { time, state } por orden de llegada
+    }
+
+    // `time` en segundos (reloj local de llegada)
+    push(time, state) {
+        this.items.push({ time, state });
+        if (this.items.length > this.capacity) {
+            this.items.shift();
+        }
+    }
+
+    get latest() {
+        return this.items[this.items.length - 1]?.state ?? null;
+    }
+
+    // Estado interpolado ({ x, z, heading }) para el instante `now`
+    sample(now) {
+        if (this.items.length === 0) return null;
+
+        const time = now - this.delay;
+        const first = this.items[0];
+        const last = this.items[this.items.length - 1];
+
+        if (time <= first.time) return { ...first.state };
+        if (time >= last.time) return { ...last.state };
+
+        let index = 0;
+        while (this.items[index + 1].time < time) {
+            index++;
+        }
+
+        // Lo anterior al par en uso ya no hace falta
+        this.items.splice(0, index);
+
+        const [from, to] = this.items;
+        const t = (time - from.time) / (to.time - from.time);
+        return {
+            ...to.state,
+            x: from.state.x + (to.state.x - from.state.x) * t,
+            z: from.state.z + (to.state.z - from.state.z) * t,
+            heading: lerpAngle(from.state.heading, to.state.heading, t)
+        };
+    }
+
+    clear() {
+        this.items = [];
+    }
+}
@@ -0,0 +1,332 @@
+// Sonido de la escena: efectos de soundSynth.js posicionados en 3D respecto
+// al oyente (la cámara), con volumen general y por categoría y silencio.
+//
+// Sin dependencias de Three.js ni del visor: recibe posiciones { x, y, z } y
+// un contexto de audio. Con un OfflineAudioContext se puede renderizar lo
+// programado y comprobar el resultado:
+//
+//   const context = new OfflineAudioContext(2, 44100, 44100);
+//   const sound = new SoundEngine({ context });
+//   sound.play('thud', { x: 2, y: 0, z: 0 }, { impact: 1 });
+//   const buffer = await context.startRendering();
+import { footstep, whoosh, thud, beat, servo } from './soundSynth.js';
+
+export const SOUND_CATEGORIES = ['footsteps', 'jumps', 'music', 'servos'];
+
+export const DEFAULT_VOLUMES = {
+    master: 0.8,
+    footsteps: 0.6,
+    jumps: 0.8,
+    music: 0.5,
+    servos: 0.6
+};
+
+// Efectos sueltos y la categoría de volumen de cada uno
+const SOUNDS = {
+    footstep: { category: 'footsteps', play: footstep },
+    whoosh: { category: 'jumps', play: whoosh },
+    thud: { category: 'jumps', play: thud },
+    beat: { category: 'music', play: beat },
+    servo: { category: 'servos', play: servo }
+};
+
+// Sonidos continuos: el efecto se repite cada `interval` segundos
+const DANCE_BPM = 120;
+const SERVO_SEGMENT = 0.3;
+const LOOPS = {
+    dance: { sound: 'beat', interval: 60 / DANCE_BPM / 2, options: (index) => ({ step: index }) },
+    servo: { sound: 'servo', interval: SERVO_SEGMENT, options: (index) => ({ index, duration: SERVO_SEGMENT }) }
+};
+
+const LOOKAHEAD = 0.15;         // segundos programados por adelantado en los bucles
+const LOOP_FADE = 0.03;         // constante de tiempo al parar un bucle
+const VOLUME_SMOOTHING = 0.02;  // constante de tiempo de los cambios de volumen
+
+// Distancia recorrida entre pasos, y la del primero tras echar a andar
+const STRIDE = 0.9;
+const FIRST_STRIDE = 0.3;
+
+// Atenuación con la distancia a la cámara
+const PANNER_SETTINGS = {
+    panningModel: 'equalpower',
+    distanceModel: 'inverse',
+    refDistance: 4,
+    maxDistance: 60,
+    rolloffFactor: 1
+};
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// resume(), suspend() y close() del contexto devuelven promesas; si fallan
+// (p. ej. el contexto ya se cerró) basta con avisar
+const warnOnFailure = (promise) => promise?.catch((error) => console.warn('⚠️ Audio:', error));
+
+// Ajustes guardados ({ muted, volumes }) con valores por defecto para lo que falte
+export function parseSoundSettings(data) {
+    const volumes = { ...DEFAULT_VOLUMES };
+    Object.keys(volumes).forEach((name) => {
+        const value = data?.volumes?.[name];
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            volumes[name] = clamp01(value);
+        }
+    });
+    return { muted: data?.muted === true, volumes };
+}
+
+// Los navegadores antiguos solo tienen setPosition / setOrientation
+function setPosition(node, { x, y, z }) {
+    if (node.positionX) {
+        node.positionX.value = x;
+        node.positionY.value = y;
+        node.positionZ.value = z;
+    } else {
+        node.setPosition(x, y, z);
+    }
+}
+
+export class SoundEngine {
+    // `context`: contexto de audio ya creado (p. ej. un OfflineAudioContext);
+    // sin él, unlock() crea un AudioContext tras el primer gesto del usuario
+    constructor({ context = null, settings } = {}) {
+        const { muted, volumes } = parseSoundSettings(settings);
+        this.muted = muted;
+        this.volumes = volumes;
+        this.listeners = new Set();
+
+        this.context = null;
+        this.ownsContext = false;
+        this.master = null;
+        this.categories = {};
+        this.sources = new Map();   // clave -> { position, stride, loops }
+
+        if (context) this.attach(context);
+    }
+
+    get ready() {
+        return this.context !== null;
+    }
+
+    get settings() {
+        return { muted: this.muted, volumes: { ...this.volumes } };
+    }
+
+    // Crear (o reanudar) el AudioContext. Los navegadores no dejan sonar
+    // nada hasta un gesto del usuario, así que se llama desde uno.
+    unlock() {
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+            if (!AudioContextClass) return false;
+            this.attach(new AudioContextClass());
+            this.ownsContext = true;
+        }
+        if (this.context.state === 'suspended') {
+            warnOnFailure(this.context.resume());
+        }
+        return true;
+    }
+
+    attach(context) {
+        this.context = context;
+        this.master = context.createGain();
+        this.master.connect(context.destination);
+
+        SOUND_CATEGORIES.forEach((category) => {
+            const gain = context.createGain();
+            gain.connect(this.master);
+            this.categories[category] = gain;
+        });
+        this.applyVolumes(true);
+    }
+
+    // Volumen de 0 a 1 de 'master' o de una categoría
+    setVolume(name, value) {
+        if (!Object.hasOwn(this.volumes, name)) {
+            throw new Error(`Categoría de sonido desconocida "${name}"`);
+        }
+        this.volumes[name] = clamp01(value);
+        this.applyVolumes();
+        this.emit();
+    }
+
+    setMuted(muted) {
+        this.muted = Boolean(muted);
+        this.applyVolumes();
+        this.emit();
+    }
+
+    toggleMuted() {
+        this.setMuted(!this.muted);
+        return this.muted;
+    }
+
+    applyVolumes(immediate = false) {
+        if (!this.context) return;
+
+        const set = (param, value) => {
+            if (immediate) {
+                param.value = value;
+            } else {
+                param.setTargetAtTime(value, this.context.currentTime, VOLUME_SMOOTHING);
+            }
+        };
+        set(this.master.gain, this.muted ? 0 : this.volumes.master);
+        SOUND_CATEGORIES.forEach((category) => set(this.categories[category].gain, this.volumes[category]));
+    }
+
+    // Oyente en `position` mirando hacia `forward` con `up` hacia arriba
+    setListener(position, forward, up) {
+        if (!this.context) return;
+
+        const { listener } = this.context;
+        setPosition(listener, position);
+        if (listener.forwardX) {
+            listener.forwardX.value = forward.x;
+            listener.forwardY.value = forward.y;
+            listener.forwardZ.value = forward.z;
+            listener.upX.value = up.x;
+            listener.upY.value = up.y;
+            listener.upZ.value = up.z;
+        } else {
+            listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+        }
+    }
+
+    // Nodo de entrada para un sonido en `position` (sin posición, sin panorámica)
+    createOutput(category, position) {
+        const output = this.categories[category];
+        if (!position) return output;
+
+        const panner = this.context.createPanner();
+        Object.assign(panner, PANNER_SETTINGS);
+        setPosition(panner, position);
+        panner.connect(output);
+        return panner;
+    }
+
+    // Efecto suelto de SOUNDS; devuelve cuándo termina (null sin contexto)
+    play(name, position, options = {}) {
+        const sound = Object.hasOwn(SOUNDS, name) && SOUNDS[name];
+        if (!sound) {
+            throw new Error(`Sonido desconocido "${name}"`);
+        }
+        if (!this.context) return null;
+
+        const output = this.createOutput(sound.category, position);
+        return sound.play(this.context, output, this.context.currentTime, options);
+    }
+
+    source(key) {
+        let source = this.sources.get(key);
+        if (!source) {
+            source = { position: null, stride: null, loops: new Map() };
+            this.sources.set(key, source);
+        }
+        return source;
+    }
+
+    // Actualizar la fuente `key` (un robot): mueve sus bucles y, si camina,
+    // suena un paso cada STRIDE de distancia recorrida. Devuelve si sonó un paso.
+    updateSource(key, position, { walking = false } = {}) {
+        const source = this.source(key);
+        const previous = source.position;
+        source.position = { x: position.x, y: position.y, z: position.z };
+        source.loops.forEach((loop) => loop.panner && setPosition(loop.panner, source.position));
+
+        if (!walking || !previous) {
+            source.stride = null;
+            return false;
+        }
+
+        // Los pasos van alternando de pie
+        source.stride ??= { distance: STRIDE - FIRST_STRIDE, foot: 0 };
+        source.stride.distance += Math.hypot(position.x - previous.x, position.z - previous.z);
+        if (source.stride.distance < STRIDE) return false;
+
+        source.stride.distance %= STRIDE;
+        source.stride.foot = 1 - source.stride.foot;
+        this.play('footstep', source.position, { pitch: source.stride.foot ? 1.08 : 0.94 });
+        return true;
+    }
+
+    // Empezar el sonido continuo `type` de LOOPS en la fuente `key`
+    startLoop(key, type) {
+        const definition = Object.hasOwn(LOOPS, type) && LOOPS[type];
+        if (!definition) {
+            throw new Error(`Bucle de sonido desconocido "${type}"`);
+        }
+
+        const source = this.source(key);
+        if (!this.context || source.loops.has(type)) return;
+
+        const category = SOUNDS[definition.sound].category;
+        const gain = this.context.createGain();
+        const panner = source.position ? this.createOutput(category, source.position) : null;
+        gain.connect(panner ?? this.categories[category]);
+
+        source.loops.set(type, { definition, gain, panner, next: this.context.currentTime, index: 0 });
+        this.update();
+    }
+
+    stopLoop(key, type) {
+        const source = this.sources.get(key);
+        const loop = source?.loops.get(type);
+        if (!loop) return;
+
+        // Lo ya programado se apaga en vez de cortarse
+        loop.gain.gain.setTargetAtTime(0, this.context.currentTime, LOOP_FADE);
+        source.loops.delete(type);
+    }
+
+    // Quitar una fuente (el robot ya no está) y parar sus bucles
+    removeSource(key) {
+        const source = this.sources.get(key);
+        if (!source) return;
+        [...source.loops.keys()].forEach((type) => this.stopLoop(key, type));
+        this.sources.delete(key);
+    }
+
+    // Programar los bucles hasta LOOKAHEAD por delante; llamar una vez por frame
+    update() {
+        if (!this.context) return;
+
+        const now = this.context.currentTime;
+        this.sources.forEach((source) => {
+            source.loops.forEach((loop) => {
+                const { sound, interval, options } = loop.definition;
+                // Tras una pausa (pestaña oculta) se retoma desde ahora
+                if (loop.next < now) loop.next = now;
+
+                while (loop.next < now + LOOKAHEAD) {
+                    SOUNDS[sound].play(this.context, loop.gain, loop.next, options(loop.index));
+                    loop.next += interval;
+                    loop.index++;
+                }
+            });
+        });
+    }
+
+    // Parar el audio mientras el visor está en pausa (pestaña oculta)
+    setPaused(paused) {
+        if (!this.ownsContext) return;
+        warnOnFailure(paused ? this.context.suspend() : this.context.resume());
+    }
+
+    dispose() {
+        this.sources.forEach((source, key) => this.removeSource(key));
+        if (this.ownsContext) {
+            warnOnFailure(this.context.close());
+        }
+        this.context = null;
+    }
+
+    // Suscribirse a los cambios de volumen y silencio. Devuelve la función
+    // para desuscribirse.
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit() {
+        this.listeners.forEach((listener) => listener(this.settings));
+    }
+}
@@ -0,0 +1,52 @@
+// Panel de sonido: silenciar y ajustar el volumen general y el de cada
+// categoría. Los cambios los guarda el visor (setVolume / setMuted).
+import { SOUND_CATEGORIES } from './soundEngine.js';
+
+const VOLUME_RANGE = { min: 0, max: 1, step: 0.05 };
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+export class SoundPanel {
+    constructor(viewer, container) {
+        this.viewer = viewer;
+        this.container = container;
+        viewer.sound.onChange(() => this.render());
+    }
+
+    // Mostrar u ocultar el panel; devuelve si queda visible
+    toggle() {
+        const visible = this.container.classList.toggle('visible');
+        this.render();
+        return visible;
+    }
+
+    render() {
+        if (!this.container.classList.contains('visible')) return;
+
+        const viewer = this.viewer;
+        const { muted, volumes } = viewer.sound.settings;
+        this.container.replaceChildren();
+        this.container.appendChild(createElement('h3', null, viewer.t('sound.title')));
+
+        const mute = createElement('button', 'action-btn toggle-btn', viewer.t(muted ? 'sound.unmute' : 'sound.mute'));
+        mute.classList.toggle('active', muted);
+        mute.addEventListener('click', () => viewer.setMuted(!muted));
+        this.container.appendChild(mute);
+
+        ['master', ...SOUND_CATEGORIES].forEach((name) => {
+            const row = createElement('label', 'clip-role', viewer.t(`sound.${name}`));
+            const slider = createElement('input', 'clip-range');
+            Object.assign(slider, { type: 'range', ...VOLUME_RANGE });
+            slider.value = volumes[name];
+            slider.disabled = muted;
+            slider.addEventListener('change', () => viewer.setVolume(name, Number(slider.value)));
+            row.appendChild(slider);
+            this.container.appendChild(row);
+        });
+    }
+}
@@ -0,0 +1,152 @@
+// Efectos de sonido sintetizados con nodos de WebAudio, sin muestras externas.
+// Cada función programa un sonido en `time` (segundos del contexto) hacia el
+// nodo `output` y devuelve cuándo termina. Solo usan la API común a
+// AudioContext y OfflineAudioContext, así que se pueden renderizar sin
+// altavoces para probarlas.
+
+const SILENCE = 0.0001;     // las rampas exponenciales no pueden llegar a 0
+
+// Un segundo de ruido blanco por contexto, compartido por todos los efectos
+const noiseBuffers = new WeakMap();
+
+function noiseBuffer(context) {
+    let buffer = noiseBuffers.get(context);
+    if (!buffer) {
+        buffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        noiseBuffers.set(context, buffer);
+    }
+    return buffer;
+}
+
+// Ganancia con ataque lineal y caída exponencial
+function envelope(context, time, peak, attack, decay) {
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(SILENCE, time);
+    gain.gain.linearRampToValueAtTime(peak, time + attack);
+    gain.gain.exponentialRampToValueAtTime(SILENCE, time + attack + decay);
+    return gain;
+}
+
+// Ruido filtrado; `filter` es { type, frequency, Q } y `to` la frecuencia final si barre
+function noise(context, output, time, { peak, attack = 0.002, decay, filter, to }) {
+    const end = time + attack + decay;
+    const source = context.createBufferSource();
+    source.buffer = noiseBuffer(context);
+
+    const biquad = context.createBiquadFilter();
+    biquad.type = filter.type;
+    biquad.Q.value = filter.Q ?? 1;
+    biquad.frequency.setValueAtTime(filter.frequency, time);
+    if (to) biquad.frequency.exponentialRampToValueAtTime(to, end);
+
+    const gain = envelope(context, time, peak, attack, decay);
+    source.connect(biquad).connect(gain).connect(output);
+    source.start(time);
+    source.stop(end);
+    return end;
+}
+
+// Oscilador con caída de tono (golpes graves, bombo)
+function tone(context, output, time, { type = 'sine', from, to, peak, attack = 0.002, decay }) {
+    const end = time + attack + decay;
+    const oscillator = context.createOscillator();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(from, time);
+    if (to) oscillator.frequency.exponentialRampToValueAtTime(to, end);
+
+    const gain = envelope(context, time, peak, attack, decay);
+    oscillator.connect(gain).connect(output);
+    oscillator.start(time);
+    oscillator.stop(end);
+    return end;
+}
+
+// Paso metálico: chasquido filtrado y golpe grave. `pitch` alterna entre pies
+export function footstep(context, output, time, { intensity = 1, pitch = 1 } = {}) {
+    return Math.max(
+        noise(context, output, time, {
+            peak: 0.35 * intensity,
+            decay: 0.07,
+            filter: { type: 'bandpass', frequency: 1800 * pitch, Q: 3 }
+        }),
+        tone(context, output, time, { from: 95 * pitch, to: 50, peak: 0.5 * intensity, decay: 0.1 })
+    );
+}
+
+// Impulso del salto: ruido que sube de frecuencia
+export function whoosh(context, output, time, { strength = 1 } = {}) {
+    return noise(context, output, time, {
+        peak: 0.4 * strength,
+        attack: 0.08,
+        decay: 0.3,
+        filter: { type: 'bandpass', frequency: 400, Q: 1.5 },
+        to: 2400
+    });
+}
+
+// Aterrizaje: golpe grave y crujido, más fuertes cuanto mayor el impacto (0..1)
+export function thud(context, output, time, { impact = 1 } = {}) {
+    const level = 0.3 + 0.7 * impact;
+    return Math.max(
+        tone(context, output, time, { from: 120, to: 40, peak: 0.9 * level, decay: 0.35 }),
+        noise(context, output, time, {
+            peak: 0.4 * level,
+            decay: 0.12,
+            filter: { type: 'lowpass', frequency: 700 }
+        })
+    );
+}
+
+// Una corchea del ritmo de baile; `step` es su posición en el compás (0..7)
+export function beat(context, output, time, { step = 0 } = {}) {
+    const position = step % 8;
+    let end = noise(context, output, time, {
+        peak: position % 2 === 0 ? 0.12 : 0.2,
+        decay: 0.04,
+        filter: { type: 'highpass', frequency: 7000 }
+    });
+
+    if (position === 0 || position === 3 || position === 4) {
+        end = Math.max(end, tone(context, output, time, { from: 150, to: 45, peak: 0.9, decay: 0.3 }));
+    }
+    if (position === 2 || position === 6) {
+        end = Math.max(
+            end,
+            noise(context, output, time, { peak: 0.35, decay: 0.15, filter: { type: 'highpass', frequency: 1200 } }),
+            tone(context, output, time, { type: 'triangle', from: 190, to: 140, peak: 0.25, decay: 0.08 })
+        );
+    }
+    return end;
+}
+
+// Tramo de zumbido de servo; `index` varía el tono entre tramos seguidos
+export function servo(context, output, time, { duration = 0.3, index = 0 } = {}) {
+    const pitch = [1, 1.15, 0.92, 1.07][index % 4];
+    const end = time + duration;
+
+    const oscillator = context.createOscillator();
+    oscillator.type = 'sawtooth';
+    oscillator.frequency.setValueAtTime(170 * pitch, time);
+    oscillator.frequency.linearRampToValueAtTime(260 * pitch, time + duration * 0.6);
+    oscillator.frequency.linearRampToValueAtTime(200 * pitch, end);
+
+    const filter = context.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.value = 1100;
+    filter.Q.value = 4;
+
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(SILENCE, time);
+    gain.gain.linearRampToValueAtTime(0.25, time + 0.03);
+    gain.gain.setValueAtTime(0.25, end - 0.04);
+    gain.gain.linearRampToValueAtTime(SILENCE, end);
+
+    oscillator.connect(filter).connect(gain).connect(output);
+    oscillator.start(time);
+    oscillator.stop(end);
+    return end;
+}
@@ -0,0 +1,70 @@
+// Máquina de estados finita genérica: estados con hooks enter/exit/update,
+// transiciones permitidas explícitas y suscripción a cambios de estado.
+export class StateMachine {
+    /**
+     * @param {Object} config
+     * @param {string} config.initial - Estado inicial
+     * @param {Object<string, {enter?: Function, exit?: Function, update?: Function}>} config.states
+     * @param {Object<string, string[]>} config.transitions - Destinos permitidos desde cada estado
+     * @param {Object} [config.context] - `this` con el que se invocan los hooks
+     */
+    constructor({ initial, states = {}, transitions = {}, context = null }) {
+        this.states = states;
+        this.transitions = transitions;
+        this.context = context;
+        this.listeners = new Set();
+
+        this.state = initial;
+        this.previousState = null;
+        this.timeInState = 0;
+
+        this.states[initial]?.enter?.call(this.context, { from: null, to: initial });
+    }
+
+    is(...names) {
+        return names.includes(this.state);
+    }
+
+    can(to) {
+        return (this.transitions[this.state] || []).includes(to);
+    }
+
+    // Cambia de estado si la transición está permitida. Devuelve true si se aplicó.
+    transition(to, data = {}) {
+        if (to === this.state || !this.can(to)) return false;
+        this.enterState(to, data);
+        return true;
+    }
+
+    // Fuerza un estado sin comprobar las transiciones (p. ej. al restaurar una sesión)
+    reset(to, data = {}) {
+        this.enterState(to, data);
+    }
+
+    enterState(to, data) {
+        const from = this.state;
+        const event = { from, to, ...data };
+
+        this.states[from]?.exit?.call(this.context, event);
+
+        this.previousState = from;
+        this.state = to;
+        this.timeInState = 0;
+
+        this.states[to]?.enter?.call(this.context, event);
+
+        this.listeners.forEach((listener) => listener(event));
+    }
+
+    // Avanza el estado actual; `delta` en segundos
+    update(delta) {
+        this.timeInState += delta;
+        this.states[this.state]?.update?.call(this.context, delta, this.timeInState);
+    }
+
+    // Suscribirse a los cambios de estado. Devuelve la función para desuscribirse.
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
@@ -0,0 +1,22 @@
+// Acceso a localStorage tolerante a errores (modo privado, cuota llena, JSON corrupto)
+const PREFIX = 'robot3d.';
+
+export function loadJSON(key, fallback = null) {
+    try {
+        const raw = localStorage.getItem(PREFIX + key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch (error) {
+        console.warn(`No se pudo leer ${key}:`, error);
+        return fallback;
+    }
+}
+
+export function saveJSON(key, value) {
+    try {
+        localStorage.setItem(PREFIX + key, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        console.warn(`No se pudo guardar ${key}:`, error);
+        return false;
+    }
+}
@@ -0,0 +1,151 @@
+// Controles táctiles: joystick virtual para mover el robot, un dedo para
+// tocar el suelo (ir allí), dos dedos para orbitar la cámara y pellizcar
+// para hacer zoom. No aplica nada directamente: avisa por los callbacks
+// para que la entrada pase por el mismo camino que el teclado y el ratón.
+
+// Desplazamiento máximo del dedo (px) para considerar un toque y no un gesto
+const TAP_TOLERANCE = 10;
+
+// Píxeles de pellizco equivalentes a un paso de rueda del ratón
+const PINCH_ZOOM_SCALE = 4;
+
+const midpoint = (a, b) => ({ x: (a.clientX + b.clientX) / 2, y: (a.clientY + b.clientY) / 2 });
+const distance = (a, b) => Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+
+export class TouchControls {
+    // handlers: { onAxis(x, z), onOrbit(dx, dy), onZoom(deltaY), onTap(clientX, clientY) }
+    constructor(surface, joystick, handlers) {
+        this.surface = surface;
+        this.joystick = joystick;
+        this.knob = joystick?.querySelector('.joystick-knob');
+        this.handlers = handlers;
+
+        this.joystickTouch = null;
+        this.gesture = null;
+
+        this.setupSurface();
+        this.setupJoystick();
+    }
+
+    setupSurface() {
+        const options = { passive: false };
+
+        this.surface.addEventListener('touchstart', (e) => {
+            // Evita los eventos de ratón simulados después del toque
+            e.preventDefault();
+            this.joystick?.classList.add('visible');
+            this.startGesture(e.touches);
+        }, options);
+
+        this.surface.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            this.moveGesture(e.touches);
+        }, options);
+
+        const end = (e) => {
+            e.preventDefault();
+            const gesture = this.gesture;
+
+            if (gesture?.fingers === 1 && !gesture.moved && e.touches.length === 0) {
+                this.handlers.onTap?.(gesture.start.x, gesture.start.y);
+            }
+
+            // Si queda un dedo tras un gesto de dos, no debe contar como toque
+            this.startGesture(e.touches);
+            if (this.gesture) this.gesture.moved = true;
+        };
+        this.surface.addEventListener('touchend', end, options);
+        this.surface.addEventListener('touchcancel', end, options);
+    }
+
+    startGesture(touches) {
+        if (touches.length === 0) {
+            this.gesture = null;
+        } else if (touches.length === 1) {
+            const [touch] = touches;
+            this.gesture = { fingers: 1, start: { x: touch.clientX, y: touch.clientY }, moved: false };
+        } else {
+            this.gesture = {
+                fingers: 2,
+                center: midpoint(touches[0], touches[1]),
+                distance: distance(touches[0], touches[1]),
+                moved: true
+            };
+        }
+    }
+
+    moveGesture(touches) {
+        const gesture = this.gesture;
+        if (!gesture) return;
+
+        if (gesture.fingers === 1) {
+            const [touch] = touches;
+            if (Math.hypot(touch.clientX - gesture.start.x, touch.clientY - gesture.start.y) > TAP_TOLERANCE) {
+                gesture.moved = true;
+            }
+            return;
+        }
+
+        if (touches.length < 2) return;
+
+        const center = midpoint(touches[0], touches[1]);
+        const spread = distance(touches[0], touches[1]);
+
+        this.handlers.onOrbit?.(center.x - gesture.center.x, center.y - gesture.center.y);
+        // Separar los dedos acerca la cámara (como la rueda hacia arriba)
+        this.handlers.onZoom?.((gesture.distance - spread) * PINCH_ZOOM_SCALE);
+
+        gesture.center = center;
+        gesture.distance = spread;
+    }
+
+    setupJoystick() {
+        if (!this.joystick) return;
+        const options = { passive: false };
+
+        this.joystick.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            if (this.joystickTouch === null) {
+                this.joystickTouch = e.changedTouches[0].identifier;
+                this.updateJoystick(e.changedTouches[0]);
+            }
+        }, options);
+
+        this.joystick.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            const touch = Array.from(e.changedTouches).find((t) => t.identifier === this.joystickTouch);
+            if (touch) this.updateJoystick(touch);
+        }, options);
+
+        const release = (e) => {
+            e.preventDefault();
+            const ended = Array.from(e.changedTouches).some((t) => t.identifier === this.joystickTouch);
+            if (!ended) return;
+
+            this.joystickTouch = null;
+            if (this.knob) this.knob.style.transform = '';
+            this.handlers.onAxis?.(0, 0);
+        };
+        this.joystick.addEventListener('touchend', release, options);
+        this.joystick.addEventListener('touchcancel', release, options);
+    }
+
+    // Vector del joystick en -1..1 según la posición del dedo respecto al centro
+    updateJoystick(touch) {
+        const rect = this.joystick.getBoundingClientRect();
+        const radius = rect.width / 2;
+        let x = (touch.clientX - rect.left - radius) / radius;
+        let z = (touch.clientY - rect.top - radius) / radius;
+
+        const length = Math.hypot(x, z);
+        if (length > 1) {
+            x /= length;
+            z /= length;
+        }
+
+        if (this.knob) {
+            this.knob.style.transform = `translate(${x * radius * 0.6}px, ${z * radius * 0.6}px)`;
+        }
+        this.handlers.onAxis?.(Math.round(x * 100) / 100, Math.round(z * 100) / 100);
+    }
+}
@@ -0,0 +1,117 @@
+// Editor de programas de la tortuga: un área de texto (Tab indenta,
+// Ctrl+Enter ejecuta), botones para ejecutar, parar y borrar los trazos, y un
+// registro con lo que imprime el programa y sus errores. El código se guarda
+// entre sesiones; lo ejecuta Robot3DViewer#runTurtle.
+import { loadJSON, saveJSON } from './storage.js';
+
+const CODE_KEY = 'turtleCode';
+const INDENT = '    ';
+const MAX_LOG_LINES = 100;
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+export class TurtlePanel {
+    constructor(viewer, container) {
+        this.viewer = viewer;
+        this.container = container;
+        this.status = 'idle';
+
+        this.title = createElement('h3');
+        this.editor = createElement('textarea', 'text-input turtle-editor');
+        Object.assign(this.editor, { spellcheck: false, rows: 12 });
+        const saved = loadJSON(CODE_KEY, null);
+        this.editor.value = typeof saved === 'string' ? saved : viewer.t('turtle.example');
+        this.editor.addEventListener('keydown', (e) => this.handleKey(e));
+        this.editor.addEventListener('change', () => this.save());
+
+        this.runButton = createElement('button', 'action-btn');
+        this.runButton.addEventListener('click', () => this.run());
+        this.stopButton = createElement('button', 'action-btn');
+        this.stopButton.addEventListener('click', () => viewer.stopTurtle());
+        this.clearButton = createElement('button', 'action-btn');
+        this.clearButton.addEventListener('click', () => viewer.clearTrails());
+
+        const buttons = createElement('div', 'turtle-buttons');
+        buttons.append(this.runButton, this.stopButton, this.clearButton);
+
+        this.statusLine = createElement('div', 'turtle-status');
+        this.log = createElement('div', 'console-log turtle-log');
+
+        this.container.append(this.title, this.editor, buttons, this.statusLine, this.log);
+
+        viewer.turtle.onChange((event) => this.handleEvent(event));
+        this.render();
+    }
+
+    // Mostrar u ocultar el panel; devuelve si queda visible
+    toggle() {
+        const visible = this.container.classList.toggle('visible');
+        if (visible) {
+            this.editor.focus();
+        } else {
+            this.viewer.focus();
+        }
+        return visible;
+    }
+
+    render() {
+        const t = (key, params) => this.viewer.t(key, params);
+        this.title.textContent = t('turtle.title');
+        this.runButton.textContent = t('turtle.run');
+        this.stopButton.textContent = t('turtle.stop');
+        this.clearButton.textContent = t('turtle.clear');
+        this.editor.placeholder = t('turtle.placeholder');
+
+        const running = this.status === 'running';
+        this.runButton.disabled = running;
+        this.stopButton.disabled = !running;
+        this.statusLine.textContent = t(`turtle.${this.status}`);
+    }
+
+    handleKey(e) {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            this.run();
+        } else if (e.key === 'Tab') {
+            e.preventDefault();
+            this.editor.setRangeText(INDENT, this.editor.selectionStart, this.editor.selectionEnd, 'end');
+        } else if (e.key === 'Escape') {
+            this.viewer.toggleTurtle(false);
+        }
+    }
+
+    save() {
+        saveJSON(CODE_KEY, this.editor.value);
+    }
+
+    run() {
+        this.save();
+        this.log.replaceChildren();
+        this.viewer.runTurtle(this.editor.value);
+    }
+
+    handleEvent(event) {
+        if (event.type === 'status') {
+            this.status = event.status;
+            this.render();
+        } else if (event.type === 'log') {
+            this.print(event.text, 'info');
+        } else if (event.type === 'error') {
+            this.print(this.viewer.i18n.format(event.message), 'error');
+        }
+    }
+
+    print(text, type) {
+        const line = createElement('div', `console-line ${type}`, text);
+        this.log.appendChild(line);
+        while (this.log.childElementCount > MAX_LOG_LINES) {
+            this.log.firstElementChild.remove();
+        }
+        this.log.scrollTop = this.log.scrollHeight;
+    }
+}
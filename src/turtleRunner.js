@@ -0,0 +1,289 @@
+// Ejecuta programas de la tortuga (estilo Logo) en un Web Worker
+// (turtleWorker.js) y aplica sus llamadas al robot que estaba seleccionado
+// al empezar. Las acciones con movimiento se convierten en pasos de
+// coreografía y se ejecutan de una en una; con el lápiz bajado, el camino
+// del robot se dibuja en el suelo (PenTrail).
+//
+// El programa corre en otro hilo, así que nunca bloquea el render. El worker
+// manda un latido mientras no esté ocupado; si pasa BUSY_TIMEOUT segundos sin
+// noticias suyas (p. ej. un bucle infinito sin await) o el programa supera
+// MAX_DURATION, se termina.
+import { ChoreographySequencer, TURN_SPEED } from './choreography.js';
+import { isColor } from './penTrail.js';
+import { msg } from './i18n.js';
+
+const BUSY_TIMEOUT = 5;         // segundos sin mensajes ni latido del worker
+const MAX_DURATION = 600;       // segundos de programa como máximo
+const DEFAULT_COLOR = '#ffa502';
+const DEFAULT_DANCE = 3;
+
+// Los dibujos tienen que cerrar: se espera a que el robot llegue del todo
+const ARRIVAL_TOLERANCE = 0.01;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Objeto con la interfaz del visor que usan los pasos de coreografía, pero
+// fijado a `actor` aunque cambie la selección
+function robotTarget(viewer, actor) {
+    return {
+        get controller() {
+            return actor.controller;
+        },
+        get moveSpeed() {
+            return viewer.moveSpeed;
+        },
+        moveRobot: (x, y, z) => viewer.moveRobot(x, y, z, actor),
+        jumpRobot: () => viewer.jumpRobot(actor),
+        toggleDance: () => viewer.toggleDance(actor),
+        resetRobot: () => viewer.resetRobot(actor),
+        playAnimation: (...args) => actor.playAnimation(...args),
+        playStateAnimation: () => actor.playStateAnimation()
+    };
+}
+
+export class TurtleRunner {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.listeners = new Set();
+
+        this.worker = null;
+        this.actor = null;
+        this.sequencer = null;
+
+        this.queue = [];            // llamadas recibidas pendientes
+        this.current = null;        // llamada cuyo movimiento está en curso
+        this.programDone = false;   // el programa terminó (puede quedar cola)
+        this.busy = 0;
+        this.elapsed = 0;
+        this.penDown = false;
+    }
+
+    get running() {
+        return this.worker !== null;
+    }
+
+    get trail() {
+        return this.viewer.penTrail;
+    }
+
+    // Empezar `code` con el robot seleccionado; para el programa anterior.
+    // Con una sesión grabándose o reproduciéndose no empieza: los tiempos del
+    // worker no se pueden repetir igual.
+    run(code) {
+        this.stop();
+
+        if (this.viewer.recorder.recording || this.viewer.replayer.active) {
+            this.emit({ type: 'error', message: msg('turtle.sessionActive') });
+            return;
+        }
+
+        this.actor = this.viewer.selected;
+        this.sequencer = new ChoreographySequencer(robotTarget(this.viewer, this.actor));
+        this.queue = [];
+        this.current = null;
+        this.programDone = false;
+        this.busy = 0;
+        this.elapsed = 0;
+        this.setPen(false);
+        this.trail.setColor(DEFAULT_COLOR);
+
+        // La coreografía y la consola moverían el mismo robot
+        this.viewer.sequencer.stop();
+        this.viewer.stopCommands();
+
+        this.worker = new Worker(new URL('./turtleWorker.js', import.meta.url));
+        this.worker.onmessage = ({ data }) => this.handleMessage(data);
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.fail(msg('turtle.error', { error: event.message }));
+        };
+        this.worker.postMessage({ type: 'run', code });
+
+        this.emit({ type: 'status', status: 'running' });
+    }
+
+    // Parar el programa en curso; devuelve false si no había ninguno
+    stop() {
+        if (!this.running) return false;
+        this.finish('stopped');
+        return true;
+    }
+
+    handleMessage(data) {
+        if (!this.running) return;
+        this.busy = 0;
+
+        switch (data.type) {
+            case 'call':
+                this.queue.push(data);
+                this.nextCall();
+                break;
+            case 'log':
+                this.emit({ type: 'log', text: data.text });
+                break;
+            case 'done':
+                this.programDone = true;
+                break;
+            case 'error':
+                this.fail(data.line
+                    ? msg('turtle.errorLine', { line: data.line, error: data.message })
+                    : msg('turtle.error', { error: data.message }));
+                break;
+        }
+    }
+
+    // Atender la siguiente llamada si el robot está libre
+    nextCall() {
+        while (this.running && !this.current && this.queue.length > 0) {
+            const call = this.queue.shift();
+
+            let steps;
+            try {
+                steps = this.execute(call);
+            } catch (error) {
+                this.reply(call, error.message);
+                continue;
+            }
+
+            if (steps.length === 0) {
+                this.reply(call);
+            } else {
+                this.current = call;
+                this.sequencer.load({ steps });
+                this.sequencer.play();
+            }
+        }
+    }
+
+    // Aplicar una llamada de la API. Devuelve los pasos de coreografía que
+    // hay que esperar (ninguno si es inmediata); lanza un error si los
+    // argumentos no valen.
+    execute({ name, args }) {
+        const [value] = args;
+        const expectNumber = (number) => {
+            if (!isNumber(number)) {
+                throw new Error(this.viewer.t('turtle.badNumber', { name, value: String(number) }));
+            }
+            return number;
+        };
+
+        switch (name) {
+            case 'forward':
+                return [{ type: 'walk', direction: 'forward', distance: expectNumber(value), tolerance: ARRIVAL_TOLERANCE }];
+            case 'turn': {
+                const angle = expectNumber(value);
+                return [{ type: 'turn', angle, duration: Math.abs(angle) / TURN_SPEED }];
+            }
+            case 'jump':
+                return [{ type: 'jump' }];
+            case 'dance': {
+                const duration = expectNumber(value ?? DEFAULT_DANCE);
+                return duration > 0 ? [{ type: 'dance', duration }] : [];
+            }
+            case 'wait':
+                return [{ type: 'wait', duration: Math.max(expectNumber(value), 0) }];
+            case 'penDown':
+                this.setPen(true);
+                return [];
+            case 'penUp':
+                this.setPen(false);
+                return [];
+            case 'setColor':
+                if (!isColor(value)) {
+                    throw new Error(this.viewer.t('turtle.badColor', { value: String(value) }));
+                }
+                // Cerrar el trazo con el color anterior y seguir con el nuevo
+                if (this.penDown) this.setPen(true);
+                this.trail.setColor(value);
+                return [];
+            case 'clear':
+                this.trail.clear();
+                return [];
+            default:
+                throw new Error(this.viewer.t('turtle.unknownCall', { name }));
+        }
+    }
+
+    reply(call, error) {
+        this.worker?.postMessage({ type: 'result', id: call.id, error });
+    }
+
+    setPen(down) {
+        const { position } = this.actor.controller;
+        if (this.penDown) {
+            this.trail.end(position.x, position.z);
+        }
+
+        this.penDown = down;
+        if (down) {
+            this.trail.start(position.x, position.z);
+        }
+    }
+
+    // Llamar una vez por frame, antes de avanzar los robots
+    update(dt) {
+        if (!this.running) return;
+
+        // El robot de la tortuga se ha quitado de la escena
+        if (!this.viewer.robots.includes(this.actor)) {
+            this.stop();
+            return;
+        }
+
+        this.elapsed += dt;
+        this.sequencer.update(dt);
+
+        if (this.current && this.sequencer.status === 'stopped') {
+            this.reply(this.current);
+            this.current = null;
+            this.nextCall();
+        }
+
+        if (this.penDown) {
+            const { position } = this.actor.controller;
+            this.trail.extend(position.x, position.z);
+        }
+
+        const idle = !this.current && this.queue.length === 0;
+        if (idle && this.programDone) {
+            this.finish('done');
+            return;
+        }
+
+        // Cualquier mensaje del worker (también el latido) lo pone a cero
+        this.busy += dt;
+        if (this.busy > BUSY_TIMEOUT) {
+            this.fail(msg('turtle.timeout', { seconds: BUSY_TIMEOUT }));
+        } else if (this.elapsed > MAX_DURATION) {
+            this.fail(msg('turtle.tooLong', { minutes: MAX_DURATION / 60 }));
+        }
+    }
+
+    fail(message) {
+        this.emit({ type: 'error', message });
+        this.finish('failed');
+    }
+
+    // status: done | stopped | failed
+    finish(status) {
+        this.worker.terminate();
+        this.worker = null;
+        this.sequencer.stop();
+        this.queue = [];
+        this.current = null;
+        this.setPen(false);
+        this.emit({ type: 'status', status });
+    }
+
+    // Suscribirse a los eventos de la ejecución: { type: 'status', status },
+    // { type: 'log', text } y { type: 'error', message } (mensaje de msg()).
+    // Devuelve la función para desuscribirse.
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit(event) {
+        this.listeners.forEach((listener) => listener(event));
+    }
+}
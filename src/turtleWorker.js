@@ -0,0 +1,81 @@
+// Sandbox de los programas de la tortuga: se ejecutan en un Web Worker, sin
+// acceso a la página ni al visor. Cada función de la API manda un mensaje al
+// hilo principal (turtleRunner.js) y su promesa se resuelve cuando el robot
+// termina la acción, así que los programas usan `await forward(3)`.
+//
+// Del visor:  { type: 'run', code }  { type: 'result', id, error? }
+// Al visor:   { type: 'call', id, name, args }  { type: 'log', text }
+//             { type: 'done' }  { type: 'error', message, line }  { type: 'tick' }
+
+// Latido para el visor: solo sale si el programa cede el hilo, así que un
+// bucle sin await lo corta y un await largo (un setTimeout propio) no
+const HEARTBEAT_INTERVAL = 500;
+
+const API = ['forward', 'turn', 'penDown', 'penUp', 'setColor', 'jump', 'dance', 'wait', 'clear'];
+
+const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
+
+let nextId = 1;
+const pending = new Map();   // id de la llamada -> { resolve, reject, origin }
+
+function call(name, args) {
+    // Creado aquí para que su pila apunte a la línea del programa que llamó
+    const origin = new Error();
+    return new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { resolve, reject, origin });
+        postMessage({ type: 'call', id, name, args });
+    });
+}
+
+const format = (value) => (typeof value === 'string' ? value : JSON.stringify(value) ?? String(value));
+
+function print(...values) {
+    postMessage({ type: 'log', text: values.map(format).join(' ') });
+}
+
+// Línea del programa donde saltó el error (el cuerpo de la función empieza en la 3)
+function errorLine(error) {
+    const match = /(?:<anonymous>|Function):(\d+):\d+/.exec(error?.stack ?? '');
+    return match ? Number(match[1]) - 2 : null;
+}
+
+function reportError(error) {
+    postMessage({ type: 'error', message: String(error?.message ?? error), line: errorLine(error) });
+}
+
+async function run(code) {
+    const api = Object.fromEntries(API.map((name) => [name, (...args) => call(name, args)]));
+    api.print = print;
+    api.console = { log: print, info: print, warn: print, error: print };
+
+    try {
+        const program = new AsyncFunction(...Object.keys(api), code);
+        await program(...Object.values(api));
+        postMessage({ type: 'done' });
+    } catch (error) {
+        reportError(error);
+    }
+}
+
+self.onmessage = ({ data }) => {
+    if (data.type === 'run') {
+        setInterval(() => postMessage({ type: 'tick' }), HEARTBEAT_INTERVAL);
+        run(data.code);
+    } else if (data.type === 'result') {
+        const call = pending.get(data.id);
+        pending.delete(data.id);
+        if (data.error && call) {
+            call.origin.message = data.error;
+            call.reject(call.origin);
+        } else {
+            call?.resolve();
+        }
+    }
+};
+
+// Llamadas sin await que fallan
+self.addEventListener('unhandledrejection', (event) => {
+    event.preventDefault();
+    reportError(event.reason);
+});
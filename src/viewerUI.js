@@ -0,0 +1,184 @@
+// Marcado de la interfaz del visor. Cada instancia crea su propia copia dentro
+// de su contenedor, así que los elementos se identifican con `data-ui` en vez
+// de ids globales y se buscan con Robot3DViewer#ui(nombre). Los textos son
+// claves de los catálogos (data-i18n*) y los pone Translator#translate.
+const TEMPLATE = `
+    <div class="viewer-loading" data-ui="loading">
+        <div class="spinner"></div>
+        <p data-i18n="ui.loading"></p>
+    </div>
+
+    <div class="status" data-ui="status" style="display: none;"></div>
+
+    <div class="perf-overlay" data-ui="perf-overlay"></div>
+
+    <div class="drop-overlay" data-ui="drop-overlay" data-i18n="ui.dropModel"></div>
+
+    <div class="viewer-ui" data-ui="panel">
+        <div class="control-group">
+            <h3 data-i18n="ui.movement"></h3>
+            <div class="button-group">
+                <button class="control-btn" data-ui="up">↑</button>
+                <button class="control-btn" data-ui="left">←</button>
+                <button class="control-btn" data-ui="down">↓</button>
+                <button class="control-btn" data-ui="right">→</button>
+            </div>
+        </div>
+        
+        <div class="control-group">
+            <h3 data-i18n="ui.actions"></h3>
+            <button class="action-btn" data-ui="jump" data-i18n="action.jump"></button>
+            <button class="action-btn toggle-btn" data-ui="dance" data-i18n="action.dance"></button>
+            <button class="action-btn" data-ui="reset" data-i18n="action.reset"></button>
+            <button class="action-btn" data-ui="wave" data-i18n="action.wave"></button>
+            <button class="action-btn" data-ui="point" data-i18n="action.point"></button>
+            <select class="text-input" data-ui="mood" data-i18n-title="ui.mood">
+                <option value="neutral" data-i18n="mood.neutral"></option>
+                <option value="happy" data-i18n="mood.happy"></option>
+                <option value="sad" data-i18n="mood.sad"></option>
+                <option value="surprised" data-i18n="mood.surprised"></option>
+                <option value="sleepy" data-i18n="mood.sleepy"></option>
+                <option value="angry" data-i18n="mood.angry"></option>
+            </select>
+            <button class="action-btn" data-ui="look-mode"></button>
+            <button class="action-btn" data-ui="camera-mode"></button>
+            <button class="action-btn toggle-btn" data-ui="bindings-toggle" data-i18n="ui.keys"></button>
+            <button class="action-btn toggle-btn" data-ui="lighting-toggle" data-i18n="ui.lighting"></button>
+            <button class="action-btn toggle-btn" data-ui="console-toggle" data-i18n="ui.console"></button>
+            <button class="action-btn toggle-btn" data-ui="turtle-toggle" data-i18n="ui.turtle"></button>
+            <button class="action-btn toggle-btn" data-ui="sound-toggle" data-i18n="ui.sound"></button>
+        </div>
+        
+        <div class="control-group">
+            <h3 data-i18n="ui.model"></h3>
+            <button class="action-btn" data-ui="model-open" data-i18n="ui.modelOpen"></button>
+            <button class="action-btn toggle-btn" data-ui="clips-toggle" data-i18n="ui.clips"></button>
+            <button class="action-btn toggle-btn" data-ui="builder-toggle" data-i18n="ui.builder"></button>
+            <input type="file" data-ui="model-file" accept=".glb,.gltf" hidden>
+        </div>
+        
+        <div class="control-group">
+            <h3 data-i18n="ui.robots"></h3>
+            <button class="action-btn" data-ui="robot-add-clone" data-i18n="ui.robotAddClone"></button>
+            <button class="action-btn" data-ui="robot-add-procedural" data-i18n="ui.robotAddProcedural"></button>
+            <button class="action-btn" data-ui="robot-next" data-i18n="ui.robotNext"></button>
+            <button class="action-btn" data-ui="robot-remove" data-i18n="ui.robotRemove"></button>
+            <button class="action-btn" data-ui="robot-dance-all" data-i18n="ui.robotDanceAll"></button>
+            <p class="sequence-status" data-ui="robots-status"></p>
+        </div>
+        
+        <div class="control-group">
+            <h3 data-i18n="ui.level"></h3>
+            <button class="action-btn" data-ui="level-load" data-i18n="ui.levelLoad"></button>
+            <button class="action-btn" data-ui="level-clear" data-i18n="ui.levelClear"></button>
+            <input type="file" data-ui="level-file" accept=".json,application/json" hidden>
+        </div>
+        
+        <div class="control-group">
+            <h3 data-i18n="ui.choreography"></h3>
+            <div class="sequence-controls">
+                <button class="control-btn" data-ui="choreo-play" data-i18n-title="ui.play">▶</button>
+                <button class="control-btn" data-ui="choreo-pause" data-i18n-title="ui.pause">⏸</button>
+                <button class="control-btn" data-ui="choreo-stop" data-i18n-title="ui.stop">■</button>
+                <button class="control-btn toggle-btn" data-ui="choreo-loop" data-i18n-title="ui.loop">↻</button>
+            </div>
+            <button class="action-btn" data-ui="choreo-load" data-i18n="ui.loadJson"></button>
+            <input type="file" data-ui="choreo-file" accept=".json,application/json" hidden>
+            <p class="sequence-status" data-ui="choreo-status" data-i18n="choreo.none"></p>
+        </div>
+        
+        <div class="control-group">
+            <h3 data-i18n="ui.session"></h3>
+            <div class="sequence-controls">
+                <button class="control-btn toggle-btn" data-ui="session-record" data-i18n-title="ui.record">⏺</button>
+                <button class="control-btn toggle-btn" data-ui="session-replay" data-i18n-title="ui.play">▶</button>
+                <button class="control-btn" data-ui="session-export" data-i18n-title="ui.exportJson">⬇</button>
+                <button class="control-btn" data-ui="session-import" data-i18n-title="ui.loadJson">⬆</button>
+            </div>
+            <input type="file" data-ui="session-file" accept=".json,application/json" hidden>
+        </div>
+        
+        <div class="control-group">
+            <h3 data-i18n="ui.scene"></h3>
+            <button class="action-btn" data-ui="scene-export" data-i18n="ui.exportJson"></button>
+            <button class="action-btn" data-ui="scene-import" data-i18n="ui.importJson"></button>
+            <button class="action-btn" data-ui="scene-share" data-i18n="ui.sceneShare"></button>
+            <input type="file" data-ui="scene-file" accept=".json,application/json" hidden>
+        </div>
+        
+        <div class="control-group">
+            <h3 data-i18n="ui.capture"></h3>
+            <select class="text-input" data-ui="capture-size">
+                <option value="window" data-i18n="ui.captureWindow"></option>
+                <option value="hd">1280 × 720</option>
+                <option value="fullHd">1920 × 1080</option>
+                <option value="square">1024 × 1024</option>
+                <option value="uhd">3840 × 2160</option>
+            </select>
+            <label class="check-row"><input type="checkbox" data-ui="capture-transparent"> <span data-i18n="ui.captureTransparent"></span></label>
+            <button class="action-btn" data-ui="capture-png" data-i18n="ui.capturePng"></button>
+            <button class="action-btn toggle-btn" data-ui="capture-turntable" data-i18n="capture.turntable"></button>
+            <button class="action-btn" data-ui="capture-glb" data-i18n="ui.captureGlb"></button>
+        </div>
+        
+        <div class="control-group">
+            <h3 data-i18n="ui.performance"></h3>
+            <select class="text-input" data-ui="quality">
+                <option value="auto"></option>
+                <option value="low" data-i18n="quality.low"></option>
+                <option value="medium" data-i18n="quality.medium"></option>
+                <option value="high" data-i18n="quality.high"></option>
+                <option value="ultra" data-i18n="quality.ultra"></option>
+            </select>
+            <label class="check-row"><input type="checkbox" data-ui="stats-toggle"> <span data-i18n="ui.showFps"></span></label>
+        </div>
+        
+        <div class="control-group">
+            <h3 data-i18n="ui.network"></h3>
+            <input class="text-input" data-ui="net-url" placeholder="ws://localhost:8080/ws" spellcheck="false">
+            <input class="text-input" data-ui="net-name" data-i18n-placeholder="ui.netName" maxlength="24">
+            <button class="action-btn toggle-btn" data-ui="net-connect" data-i18n="net.connect"></button>
+            <p class="sequence-status" data-ui="net-status" data-i18n="net.disconnected"></p>
+        </div>
+        
+        <div class="control-group">
+            <h3 data-i18n="ui.language"></h3>
+            <select class="text-input" data-ui="language"></select>
+        </div>
+    </div>
+
+    <div class="clips-panel" data-ui="clips-panel"></div>
+
+    <div class="bindings-panel" data-ui="bindings-panel"></div>
+
+    <div class="bindings-panel lighting-panel" data-ui="lighting-panel"></div>
+
+    <div class="command-console" data-ui="console-panel"></div>
+
+    <div class="bindings-panel turtle-panel" data-ui="turtle-panel"></div>
+
+    <div class="bindings-panel sound-panel" data-ui="sound-panel"></div>
+
+    <div class="bindings-panel builder-panel" data-ui="builder-panel"></div>
+
+    <div class="joystick" data-ui="joystick"><div class="joystick-knob"></div></div>
+
+    <div class="info">
+        <h4 data-i18n="info.title"></h4>
+        <div data-ui="shortcut-list"></div>
+        <p><span class="key-hint" data-i18n="info.mouse"></span> - <span data-i18n="info.camera"></span></p>
+        <p><span class="key-hint" data-i18n="info.twoFingers"></span> - <span data-i18n="info.orbitZoom"></span></p>
+        <p><span class="key-hint" data-i18n="info.gamepad"></span> - <span data-i18n="info.gamepadHelp"></span></p>
+        <p><span class="key-hint" data-i18n="info.clickRobot"></span> - <span data-i18n="info.select"></span></p>
+        <p><span class="key-hint" data-i18n="info.clickFloor"></span> - <span data-i18n="info.goThere"></span></p>
+        <p><span class="key-hint" data-i18n="info.dragGlb"></span> - <span data-i18n="info.changeModel"></span></p>
+    </div>
+`;
+
+// Añade la interfaz completa a `root`, con los textos en el idioma de `i18n`
+export function createViewerUI(root, i18n) {
+    const template = document.createElement('template');
+    template.innerHTML = TEMPLATE;
+    i18n.translate(template.content);
+    root.appendChild(template.content);
+}
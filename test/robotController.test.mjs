@@ -0,0 +1,81 @@
+// Pruebas del núcleo de simulación (robotController.js), sin navegador:
+//
+//   node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RobotController } from '../src/robotController.js';
+import { RobotState } from '../src/robotStates.js';
+
+// Sin respiración en idle, para que la altura solo dependa del salto
+const createController = (options) => new RobotController({ proceduralIdle: false, ...options });
+
+// Avanza `seconds` en pasos de `dt`; devuelve la altura máxima alcanzada
+function run(controller, seconds, dt = 1 / 60) {
+    let maxY = controller.position.y;
+    for (let frame = 0; frame < Math.round(seconds / dt); frame++) {
+        controller.step(dt);
+        maxY = Math.max(maxY, controller.position.y);
+    }
+    return maxY;
+}
+
+test('el movimiento no sale del área de bounds', () => {
+    const controller = createController({ bounds: 5 });
+
+    assert.equal(controller.move(50, -50), true);
+    assert.deepEqual(controller.targetPosition, { x: 5, y: 0, z: -5 });
+
+    run(controller, 5);
+    assert.ok(Math.abs(controller.position.x) <= 5 && Math.abs(controller.position.z) <= 5);
+    assert.ok(controller.position.x > 4.99 && controller.position.z < -4.99);
+});
+
+test('el salto llega a jumpHeight y aterriza en el suelo', () => {
+    const controller = createController({ jumpHeight: 2, gravity: 20 });
+    const flight = 2 * Math.sqrt(2 * 2 / 20);
+
+    assert.equal(controller.startJump(), true);
+    assert.equal(controller.state, RobotState.JUMPING);
+
+    const apex = run(controller, flight / 2, 1 / 240);
+    assert.ok(Math.abs(apex - 2) < 0.01, `altura máxima ${apex}`);
+
+    run(controller, flight / 2 + 0.01, 1 / 240);
+    assert.equal(controller.state, RobotState.LANDING);
+    assert.equal(controller.position.y, 0);
+
+    run(controller, controller.landingDuration);
+    assert.equal(controller.state, RobotState.IDLE);
+});
+
+test('la altura del salto no depende del framerate', () => {
+    const apexes = [1 / 20, 1 / 60, 1 / 144].map((dt) => {
+        const controller = createController();
+        controller.startJump();
+        return run(controller, 2, dt);
+    });
+
+    apexes.forEach((apex) => assert.ok(Math.abs(apex - apexes[1]) < 0.05, `alturas ${apexes}`));
+});
+
+test('el reset vuelve al origen con easeOutCubic', () => {
+    const controller = createController({ resetDuration: 1 });
+    controller.move(4, 2);
+    run(controller, 3);
+    controller.heading = 1;
+    const from = { ...controller.position };
+
+    assert.equal(controller.startReset(), true);
+    assert.equal(controller.move(1, 0), false);
+
+    // easeOutCubic(0.5) = 0.875: queda un octavo del camino
+    run(controller, 0.5);
+    assert.ok(Math.abs(controller.position.x - from.x / 8) < 1e-9);
+    assert.ok(Math.abs(controller.position.z - from.z / 8) < 1e-9);
+    assert.ok(Math.abs(controller.heading - 1 / 8) < 1e-9);
+
+    run(controller, 0.5);
+    assert.equal(controller.state, RobotState.IDLE);
+    assert.deepEqual(controller.position, { x: 0, y: 0, z: 0 });
+    assert.equal(controller.heading, 0);
+});